@@ -3,6 +3,10 @@
  * Handles video downloads and file management
  */
 
+// Size of each chunk posted to the content script. Extension messages are
+// JSON-serialized, so chunks travel base64-encoded.
+const CLIP_CHUNK_SIZE = 1024 * 1024;
+
 class BackgroundVideoManager {
     constructor() {
         this.downloads = new Map(); // downloadId -> data
@@ -41,6 +45,91 @@ class BackgroundVideoManager {
         }
     }
 
+    /**
+     * Fetch clip bytes and stream them to the content script over a port.
+     * The service worker has host permissions for the Twitch CDN, so this
+     * works where a fetch from the page would be blocked by CORS.
+     */
+    async streamVideo(videoUrl, port) {
+        let disconnected = false;
+        port.onDisconnect.addListener(() => { disconnected = true; });
+
+        try {
+            console.log('📥 Background: Streaming clip to content script...', videoUrl);
+
+            const response = await fetch(videoUrl);
+            if (!response.ok) {
+                throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+            }
+
+            const total = parseInt(response.headers.get('content-length'), 10) || 0;
+            const mimeType = response.headers.get('content-type') || 'video/mp4';
+            const reader = response.body.getReader();
+
+            let pending = new Uint8Array(0);
+            let received = 0;
+
+            const postChunk = (bytes) => {
+                port.postMessage({
+                    type: 'CLIP_CHUNK',
+                    data: this.bytesToBase64(bytes),
+                    received,
+                    total
+                });
+            };
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (disconnected) {
+                    reader.cancel();
+                    return;
+                }
+                if (done) break;
+
+                received += value.length;
+                pending = this.concatBytes(pending, value);
+
+                while (pending.length >= CLIP_CHUNK_SIZE) {
+                    postChunk(pending.subarray(0, CLIP_CHUNK_SIZE));
+                    pending = pending.slice(CLIP_CHUNK_SIZE);
+                }
+            }
+
+            if (pending.length > 0) postChunk(pending);
+
+            port.postMessage({ type: 'CLIP_DONE', mimeType, size: received });
+            console.log('✅ Clip streamed:', received, 'bytes');
+
+        } catch (error) {
+            console.error('❌ Clip streaming failed:', error);
+            if (!disconnected) {
+                port.postMessage({ type: 'CLIP_ERROR', error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Concatenate two byte arrays
+     */
+    concatBytes(first, second) {
+        const result = new Uint8Array(first.length + second.length);
+        result.set(first, 0);
+        result.set(second, first.length);
+        return result;
+    }
+
+    /**
+     * Encode bytes as base64 for JSON messaging
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        const sliceSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += sliceSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + sliceSize));
+        }
+        return btoa(binary);
+    }
+
     /**
      * Get local file path for video
      */
@@ -105,41 +194,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'downloadVideo') {
-        const { videoUrl } = message;
-        chrome.downloads.download({
-            url: videoUrl,
-            filename: `twitch-clip-${Date.now()}.mp4`,
-            conflictAction: 'overwrite',
-            saveAs: false
-        }, (downloadId) => {
-            if (chrome.runtime.lastError) {
-                sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                return;
-            }
-            chrome.downloads.onChanged.addListener(function listener(delta) {
-                if (delta.id === downloadId && delta.state?.current === 'complete') {
-                    chrome.downloads.onChanged.removeListener(listener);
-                    chrome.downloads.search({ id: downloadId }, (results) => {
-                        if (results.length > 0) {
-                            const fileEntry = results[0];
-                            // Note: Direct blob access is not possible; we need a workaround
-                            sendResponse({
-                                success: true,
-                                localUrl: `file://${fileEntry.filename.replace(/\\/g, '/')}`, // Placeholder
-                                size: fileEntry.fileSize,
-                                error: null
-                            });
-                        } else {
-                            sendResponse({ success: false, error: 'Download result not found' });
-                        }
-                    });
-                } else if (delta.id === downloadId && delta.state?.current === 'interrupted') {
-                    sendResponse({ success: false, error: 'Download interrupted' });
-                }
-            });
-        });
-        return true; // Indica resposta assíncrona
-    }
-});
\ No newline at end of file
+// Stream clip bytes to content scripts that need a manipulable Blob
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'fetch-clip') return;
+
+    port.onMessage.addListener((message) => {
+        if (message.type === 'FETCH_CLIP') {
+            videoManager.streamVideo(message.videoUrl, port);
+        }
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Audio Waveform Module
+ * Peak levels of the clip audio at several resolutions, so the timeline can draw its
+ * waveform at any zoom by reading only about one peak per pixel
+ */
+
+const AudioWaveform = {
+    /**
+     * Peak levels of decoded audio
+     * @param {AudioBuffer} buffer - Decoded clip audio
+     * @returns {Object} { duration, levels: [{ perSecond, peaks }] } from finest to coarsest,
+     *     each peak the largest absolute sample of any channel in its bin
+     */
+    getPeaks: (buffer) => {
+        const { PEAKS_PER_SECOND } = window.EDITOR_CONSTANTS.WAVEFORM;
+        const binSamples = Math.max(1, Math.round(buffer.sampleRate / PEAKS_PER_SECOND));
+        const finest = new Float32Array(Math.ceil(buffer.length / binSamples));
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const channel = buffer.getChannelData(c);
+            for (let i = 0; i < channel.length; i++) {
+                const bin = Math.floor(i / binSamples);
+                const level = Math.abs(channel[i]);
+                if (level > finest[bin]) finest[bin] = level;
+            }
+        }
+
+        // Each coarser level merges pairs of bins of the one before
+        const levels = [{ perSecond: buffer.sampleRate / binSamples, peaks: finest }];
+        while (levels[levels.length - 1].peaks.length > 1) {
+            const { perSecond, peaks } = levels[levels.length - 1];
+            const merged = new Float32Array(Math.ceil(peaks.length / 2));
+            for (let i = 0; i < merged.length; i++) {
+                merged[i] = Math.max(peaks[i * 2], peaks[i * 2 + 1] || 0);
+            }
+            levels.push({ perSecond: perSecond / 2, peaks: merged });
+        }
+
+        return { duration: buffer.duration, levels };
+    },
+
+    /**
+     * Coarsest level that still has a peak for every pixel
+     * @param {Object} waveform - From getPeaks()
+     * @param {number} pixelsPerSecond - Drawing scale
+     * @returns {Object} { perSecond, peaks }
+     */
+    getLevel: (waveform, pixelsPerSecond) => {
+        const levels = waveform.levels;
+        for (let i = levels.length - 1; i >= 0; i--) {
+            if (levels[i].perSecond >= pixelsPerSecond) return levels[i];
+        }
+        return levels[0];
+    },
+
+    /**
+     * Largest peak between two times
+     * @param {Object} level - From getLevel()
+     * @param {number} start - Seconds
+     * @param {number} end - Seconds
+     * @returns {number} 0 to 1
+     */
+    getPeak: (level, start, end) => {
+        const first = Math.max(0, Math.floor(start * level.perSecond));
+        const last = Math.min(level.peaks.length, Math.max(first + 1, Math.ceil(end * level.perSecond)));
+        let peak = 0;
+        for (let i = first; i < last; i++) {
+            if (level.peaks[i] > peak) peak = level.peaks[i];
+        }
+        return peak;
+    },
+
+    /**
+     * Draw the waveform of a stretch of time mirrored around the middle, dimmed where it is not exported
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} waveform - From getPeaks()
+     * @param {Object} options - { start, end } seconds shown, { width, height } in canvas pixels,
+     *     gain (vertical zoom), color, isKept(time) telling whether a time is exported
+     */
+    draw: (ctx, waveform, options) => {
+        const { start, end, width, height, gain, color, isKept } = options;
+        const secondsPerPixel = (end - start) / width;
+        const level = AudioWaveform.getLevel(waveform, 1 / secondsPerPixel);
+        const middle = height / 2;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = color;
+        for (let x = 0; x < width; x++) {
+            const time = start + x * secondsPerPixel;
+            const peak = Math.min(1, AudioWaveform.getPeak(level, time, time + secondsPerPixel) * gain);
+            const size = Math.max(1, peak * middle);
+            ctx.globalAlpha = isKept(time) ? 1 : 0.3;
+            ctx.fillRect(x, middle - size, 1, size * 2);
+        }
+        ctx.globalAlpha = 1;
+    }
+};
+
+// Export for use in editor modules
+if (typeof window !== 'undefined') {
+    window.AudioWaveform = AudioWaveform;
+}
@@ -0,0 +1,193 @@
+/**
+ * Branding Manager Module
+ * Controls for the saved branding preset (logo, handle, corner, margin, opacity)
+ * and whether it is stamped on the current export
+ */
+
+class BrandingManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.BRANDING;
+
+        this.preset = { ...this.config.DEFAULT_PRESET };
+        this.exportEnabled = this.preset.enabled;
+        this.savePreset = this.utils.EventUtils.debounce(() => {
+            window.BrandingPreset.save(this.preset);
+        }, this.config.SAVE_DELAY);
+
+        const container = editor.container;
+        this.elements = {
+            exportToggle: container.querySelector('.branding-export'),
+            defaultToggle: container.querySelector('.branding-default'),
+            logoInput: container.querySelector('#branding-logo-input'),
+            logoButton: container.querySelector('.branding-logo-btn'),
+            logoClear: container.querySelector('.branding-logo-clear'),
+            logoName: container.querySelector('.branding-logo-name'),
+            handle: container.querySelector('.branding-handle'),
+            corner: container.querySelector('.branding-corner'),
+            margin: container.querySelector('.branding-margin'),
+            marginValue: container.querySelector('.branding-margin-value'),
+            opacity: container.querySelector('.branding-opacity'),
+            opacityValue: container.querySelector('.branding-opacity-value')
+        };
+    }
+
+    /**
+     * Attach the branding controls and load the saved preset
+     */
+    attachEventListeners() {
+        const elements = this.elements;
+
+        if (elements.corner) {
+            this.config.CORNERS.forEach(corner => {
+                const option = document.createElement('option');
+                option.value = corner.value;
+                option.textContent = corner.label;
+                elements.corner.appendChild(option);
+            });
+        }
+        if (elements.margin) elements.margin.max = this.config.MAX_MARGIN;
+
+        elements.exportToggle?.addEventListener('change', () => {
+            this.exportEnabled = elements.exportToggle.checked;
+            this.updatePreview();
+        });
+        elements.defaultToggle?.addEventListener('change', () => {
+            this.exportEnabled = elements.defaultToggle.checked;
+            this.updatePreset({ enabled: elements.defaultToggle.checked });
+        });
+
+        elements.logoButton?.addEventListener('click', () => elements.logoInput?.click());
+        elements.logoInput?.addEventListener('change', this.handleLogoSelect.bind(this));
+        elements.logoClear?.addEventListener('click', () => this.updatePreset({ logo: null, logoName: '' }));
+
+        elements.handle?.addEventListener('input', () => this.updatePreset({ handle: elements.handle.value }));
+        elements.corner?.addEventListener('change', () => this.updatePreset({ corner: elements.corner.value }));
+        elements.margin?.addEventListener('input', () => this.updatePreset({ margin: parseInt(elements.margin.value, 10) }));
+        elements.opacity?.addEventListener('input', () => this.updatePreset({ opacity: parseFloat(elements.opacity.value) }));
+
+        window.BrandingPreset.load().then(preset => {
+            this.preset = preset;
+            this.exportEnabled = preset.enabled;
+            this.updateControls();
+            this.updatePreview();
+        });
+    }
+
+    /**
+     * Change the preset and save it
+     * @param {Object} changes - Changed preset fields
+     */
+    updatePreset(changes) {
+        this.preset = { ...this.preset, ...changes };
+        this.savePreset();
+        this.updateControls();
+        this.updatePreview();
+    }
+
+    /**
+     * Read a logo image, scaled down so the preset stays small
+     * @param {Event} event - File input change event
+     */
+    async handleLogoSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            this.editor.showError('Please select an image file (PNG, JPEG, WebP or GIF)');
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+
+            const { LOGO_MAX_PIXELS } = this.config;
+            const fit = Math.min(1, LOGO_MAX_PIXELS / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * fit));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * fit));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            this.updatePreset({ logo: canvas.toDataURL('image/png'), logoName: file.name });
+            this.utils.Logger.info(`🏷️ Branding logo set: ${file.name}`);
+        } catch (error) {
+            this.utils.Logger.error('Branding logo could not be read:', error);
+            this.editor.showError(`Could not read ${file.name}`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Channel the clip came from: the library entry's, or the Twitch page's
+     * @returns {string}
+     */
+    getChannel() {
+        return this.editor.libraryClip?.channel || this.utils.VideoUtils.getChannelName();
+    }
+
+    /**
+     * Branding for the renderers
+     * @returns {Object|null} Resolved branding, or null when turned off for this export
+     */
+    getExportBranding() {
+        if (!this.exportEnabled) return null;
+        return window.BrandingPreset.resolve(this.preset, this.getChannel());
+    }
+
+    /**
+     * Show the preset in the controls
+     */
+    updateControls() {
+        const elements = this.elements;
+        const preset = this.preset;
+
+        if (elements.exportToggle) elements.exportToggle.checked = this.exportEnabled;
+        if (elements.defaultToggle) elements.defaultToggle.checked = preset.enabled;
+        if (elements.handle && document.activeElement !== elements.handle) elements.handle.value = preset.handle;
+        if (elements.corner) elements.corner.value = preset.corner;
+        if (elements.margin) elements.margin.value = preset.margin;
+        if (elements.marginValue) elements.marginValue.textContent = `${preset.margin}px`;
+        if (elements.opacity) elements.opacity.value = preset.opacity;
+        if (elements.opacityValue) elements.opacityValue.textContent = `${Math.round(preset.opacity * 100)}%`;
+        if (elements.logoName) elements.logoName.textContent = preset.logo ? preset.logoName || 'Logo' : 'No logo';
+        elements.logoClear?.classList.toggle('hidden', !preset.logo);
+
+        if (elements.handle) {
+            const channel = this.getChannel();
+            elements.handle.title = channel
+                ? `{channel} is replaced with ${channel}`
+                : '{channel} is replaced with the clip\'s channel (none found for this clip)';
+        }
+    }
+
+    /**
+     * Show the branding on the preview as it will be exported
+     */
+    updatePreview() {
+        const preview = this.editor.previewRenderer;
+        if (!preview) return;
+
+        const branding = this.getExportBranding();
+        preview.setBranding(branding);
+        window.BrandingPreset.loadLogo(branding).then(() => {
+            if (!this.editor.isPlaying) preview.render();
+        });
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.BrandingManager = BrandingManager;
+}
@@ -0,0 +1,159 @@
+/**
+ * Branding Preset Module
+ * The channel logo and handle stamped in a corner of exports: stored with chrome.storage
+ * so it follows the user across clips, and turned into overlay layers for the renderers
+ */
+
+const BrandingPreset = {
+    /**
+     * Load the saved preset
+     * @returns {Promise<Object>} Preset with defaults for anything not saved
+     */
+    load: async () => {
+        const { STORAGE_KEY, DEFAULT_PRESET } = window.EDITOR_CONSTANTS.BRANDING;
+        try {
+            const stored = await chrome.storage.local.get(STORAGE_KEY);
+            return { ...DEFAULT_PRESET, ...stored[STORAGE_KEY] };
+        } catch (error) {
+            window.TWITCH_CLIP_EDITOR_UTILS.Logger.warn('Branding preset could not be loaded:', error);
+            return { ...DEFAULT_PRESET };
+        }
+    },
+
+    /**
+     * Save the preset
+     * @param {Object} preset
+     * @returns {Promise<void>}
+     */
+    save: async (preset) => {
+        const { STORAGE_KEY } = window.EDITOR_CONSTANTS.BRANDING;
+        try {
+            await chrome.storage.local.set({ [STORAGE_KEY]: preset });
+        } catch (error) {
+            window.TWITCH_CLIP_EDITOR_UTILS.Logger.error('Branding preset could not be saved:', error);
+        }
+    },
+
+    /**
+     * Branding for one clip: the preset with its handle filled in
+     * @param {Object} preset - Saved preset
+     * @param {string} channel - Channel the clip came from (may be empty)
+     * @returns {Object|null} { logo, handle, corner, margin, opacity }, or null when there is nothing to show
+     */
+    resolve: (preset, channel) => {
+        let handle = (preset.handle || '').trim();
+        if (handle.includes('{channel}')) {
+            handle = channel ? handle.replace(/\{channel\}/g, channel) : '';
+        }
+        if (!preset.logo && !handle) return null;
+
+        return {
+            logo: preset.logo,
+            handle,
+            corner: preset.corner,
+            margin: preset.margin,
+            opacity: preset.opacity
+        };
+    },
+
+    /**
+     * Overlay layers for the branding in an output frame: the logo in the corner,
+     * and the handle beside it towards the middle
+     * @param {Object|null} branding - From resolve()
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} start - First second the layers are shown (source video seconds)
+     * @param {number} end - Second the layers disappear
+     * @returns {Object[]}
+     */
+    getLayers: (branding, width, height, start, end) => {
+        if (!branding) return [];
+
+        const { LOGO_SIZE, TEXT_SCALE, GAP } = window.EDITOR_CONSTANTS.BRANDING;
+        const { IMAGE_WIDTH, TEXT_STYLE } = window.EDITOR_CONSTANTS.OVERLAYS;
+        const scale = window.CaptionRenderer.getScale(width, height);
+        const margin = branding.margin * scale;
+        const [vertical, horizontal] = branding.corner.split('-');
+        const right = horizontal === 'right';
+        const bottom = vertical === 'bottom';
+
+        const base = {
+            start,
+            end,
+            opacity: branding.opacity,
+            fadeIn: 0,
+            fadeOut: 0,
+            anchorX: right ? 1 : 0,
+            anchorY: bottom ? 1 : 0
+        };
+        const edgeX = (inset) => (right ? width - margin - inset : margin + inset) / width;
+        const edgeY = (inset) => (bottom ? height - margin - inset : margin + inset) / height;
+
+        const layers = [];
+        let logoWidth = 0;
+        let logoHeight = 0;
+
+        if (branding.logo) {
+            logoWidth = Math.min(width, height) * LOGO_SIZE;
+            const image = window.OverlayRenderer.getImage({ src: branding.logo });
+            logoHeight = image ? logoWidth * image.naturalHeight / image.naturalWidth : logoWidth;
+            layers.push({
+                ...base,
+                id: 'branding-logo',
+                type: 'image',
+                name: 'Branding logo',
+                src: branding.logo,
+                x: edgeX(0),
+                y: edgeY(0),
+                scale: logoWidth / (width * IMAGE_WIDTH)
+            });
+        }
+
+        if (branding.handle) {
+            // Level with the middle of the logo when there is one
+            layers.push({
+                ...base,
+                ...TEXT_STYLE,
+                id: 'branding-handle',
+                type: 'text',
+                name: 'Branding handle',
+                text: branding.handle,
+                x: edgeX(logoWidth ? logoWidth + GAP * scale : 0),
+                y: logoHeight ? edgeY(logoHeight / 2) : edgeY(0),
+                anchorY: logoHeight ? 0.5 : base.anchorY,
+                scale: TEXT_SCALE
+            });
+        }
+
+        return layers;
+    },
+
+    /**
+     * Wait until the branding logo has loaded
+     * @param {Object|null} branding - From resolve()
+     * @returns {Promise<void>}
+     */
+    loadLogo: (branding) => {
+        if (!branding?.logo) return Promise.resolve();
+        return window.OverlayRenderer.loadImages([{ type: 'image', name: 'Branding logo', src: branding.logo }]);
+    },
+
+    /**
+     * Overlay layers for an export, once the logo has loaded
+     * @param {Object|null} branding - From resolve()
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} start - First second the layers are shown (source video seconds)
+     * @param {number} end - Second the layers disappear
+     * @returns {Promise<Object[]>}
+     */
+    createLayers: async (branding, width, height, start, end) => {
+        await BrandingPreset.loadLogo(branding);
+        return BrandingPreset.getLayers(branding, width, height, start, end);
+    }
+};
+
+// Export for use in editor modules and export renderers
+if (typeof window !== 'undefined') {
+    window.BrandingPreset = BrandingPreset;
+}
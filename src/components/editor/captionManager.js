@@ -0,0 +1,548 @@
+/**
+ * Caption Manager Module
+ * Captions track of the editor: SRT/WebVTT import, cue blocks on the timeline,
+ * inline text and timing edits, caption style, and the captions sent to the preview and export
+ */
+
+class CaptionManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor (its UI must already be set up)
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.track = new window.CaptionTrack();
+        this.selectedId = null;
+        this.drag = null;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.CAPTIONS;
+        this.style = { ...this.config.DEFAULT_STYLE };
+
+        const container = editor.container;
+        this.elements = {
+            track: container.querySelector('.captions-track'),
+            fileInput: container.querySelector('#caption-file-input'),
+            importButton: container.querySelector('.caption-import-btn'),
+            addButton: container.querySelector('.caption-add-btn'),
+            cueEditor: container.querySelector('.caption-cue-editor'),
+            text: container.querySelector('.caption-text'),
+            start: container.querySelector('.caption-start'),
+            end: container.querySelector('.caption-end'),
+            deleteButton: container.querySelector('.caption-delete-btn'),
+            font: container.querySelector('.caption-font'),
+            bold: container.querySelector('.caption-bold'),
+            size: container.querySelector('.caption-size'),
+            sizeValue: container.querySelector('.caption-size-value'),
+            color: container.querySelector('.caption-color'),
+            strokeColor: container.querySelector('.caption-stroke-color'),
+            strokeWidth: container.querySelector('.caption-stroke'),
+            strokeWidthValue: container.querySelector('.caption-stroke-value'),
+            box: container.querySelector('.caption-box-toggle'),
+            boxColor: container.querySelector('.caption-box-color'),
+            boxOpacity: container.querySelector('.caption-box-opacity'),
+            position: container.querySelector('.caption-position'),
+            positionValue: container.querySelector('.caption-position-value')
+        };
+    }
+
+    /**
+     * Attach the captions track and control listeners
+     */
+    attachEventListeners() {
+        const elements = this.elements;
+
+        // Import and add
+        elements.importButton?.addEventListener('click', () => elements.fileInput?.click());
+        elements.fileInput?.addEventListener('change', this.handleFileSelect.bind(this));
+        elements.addButton?.addEventListener('click', () => this.addCueAtPlayhead());
+
+        // Timeline blocks
+        elements.track?.addEventListener('mousedown', this.handleTrackMouseDown.bind(this));
+        elements.track?.addEventListener('dblclick', this.handleTrackDoubleClick.bind(this));
+
+        // Selected cue
+        elements.text?.addEventListener('input', () => {
+            if (this.selectedId === null) return;
+            this.updateCue(this.selectedId, { text: elements.text.value }, 'Edit caption', `caption-text:${this.selectedId}`);
+        });
+        elements.start?.addEventListener('change', () => this.handleTimingChange('start'));
+        elements.end?.addEventListener('change', () => this.handleTimingChange('end'));
+        elements.deleteButton?.addEventListener('click', () => {
+            if (this.selectedId !== null) this.deleteCue(this.selectedId);
+        });
+
+        // Style
+        if (elements.font) {
+            this.config.FONTS.forEach(font => {
+                const option = document.createElement('option');
+                option.value = font.value;
+                option.textContent = font.label;
+                elements.font.appendChild(option);
+            });
+        }
+        const handleStyleChange = this.handleStyleChange.bind(this);
+        [elements.font, elements.bold, elements.box].forEach(input => input?.addEventListener('change', handleStyleChange));
+        [elements.size, elements.color, elements.strokeColor, elements.strokeWidth, elements.boxColor, elements.boxOpacity, elements.position]
+            .forEach(input => input?.addEventListener('input', handleStyleChange));
+
+        this.updateStyleControls();
+        this.refresh();
+    }
+
+    /**
+     * Import the chosen subtitle file
+     * @param {Event} event - File input change event
+     */
+    async handleFileSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            await this.importFile(file);
+        } catch (error) {
+            this.utils.Logger.error('Failed to import captions:', error);
+            this.editor.showError(`Failed to import captions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the captions with the cues of an SRT or WebVTT file
+     * @param {File} file
+     */
+    async importFile(file) {
+        const cues = window.CaptionTrack.parse(await file.text());
+        if (cues.length === 0) {
+            throw new Error(`No captions found in ${file.name}. Only SRT and WebVTT files are supported.`);
+        }
+
+        const count = this.track.cues.length;
+        if (count > 0 && !confirm(`Replace the ${count} existing caption${count === 1 ? '' : 's'}?`)) return;
+
+        const before = this.track.getSnapshot();
+        this.track.setCues(cues);
+        this.selectedId = null;
+        this.pushHistory('Import captions', before);
+        this.refresh();
+
+        this.utils.Logger.info(`💬 Imported ${cues.length} captions from ${file.name}`);
+    }
+
+    /**
+     * Add a caption starting at the playhead and select it for editing
+     */
+    addCueAtPlayhead() {
+        const { DEFAULT_DURATION } = this.config;
+        const duration = this.editor.duration || 0;
+        const start = Math.max(0, Math.min(this.editor.sourceVideo.currentTime, duration - DEFAULT_DURATION));
+
+        const before = this.track.getSnapshot();
+        const cue = this.track.addCue({ start, end: Math.min(duration || Infinity, start + DEFAULT_DURATION), text: 'New caption' });
+        this.pushHistory('Add caption', before);
+        this.selectCue(cue.id);
+        this.refresh();
+
+        this.elements.text?.focus();
+        this.elements.text?.select();
+    }
+
+    /**
+     * Delete a caption as an undoable edit
+     * @param {number} id - Cue id
+     */
+    deleteCue(id) {
+        const before = this.track.getSnapshot();
+        if (!this.track.removeCue(id)) return;
+
+        if (this.selectedId === id) this.selectedId = null;
+        this.pushHistory('Delete caption', before);
+        this.refresh();
+    }
+
+    /**
+     * Change a caption as an undoable edit
+     * @param {number} id - Cue id
+     * @param {Object} changes - Any of { start, end, text }
+     * @param {string} label - History label
+     * @param {string} mergeKey - Groups rapid repeated edits such as typing (optional)
+     */
+    updateCue(id, changes, label, mergeKey) {
+        const before = this.track.getSnapshot();
+        if (!this.track.updateCue(id, changes)) return;
+
+        this.pushHistory(label, before, mergeKey);
+        this.refresh();
+    }
+
+    /**
+     * Apply the start or end input of the cue editor
+     * @param {string} edge - 'start' or 'end'
+     */
+    handleTimingChange(edge) {
+        const input = this.elements[edge];
+        const value = parseFloat(input?.value);
+        if (this.selectedId === null || !Number.isFinite(value)) {
+            this.updateCueEditor();
+            return;
+        }
+
+        const duration = this.editor.duration || Infinity;
+        this.updateCue(this.selectedId, { [edge]: Math.max(0, Math.min(duration, value)) }, 'Retime caption');
+    }
+
+    /**
+     * Add a caption change to the history, from a snapshot taken before it
+     * @param {string} label - History label
+     * @param {Object[]} before - Cues before the change
+     * @param {string} mergeKey - Groups rapid repeated edits (optional)
+     */
+    pushHistory(label, before, mergeKey) {
+        const after = this.track.getSnapshot();
+        this.editor.history?.push({
+            label,
+            mergeKey,
+            undo: () => this.restoreCues(before),
+            redo: () => this.restoreCues(after)
+        });
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Replace all cues with a snapshot
+     * @param {Object[]} snapshot - From CaptionTrack.getSnapshot()
+     */
+    restoreCues(snapshot) {
+        this.track.setCues(snapshot.map(cue => ({ ...cue })));
+        if (!this.track.getCue(this.selectedId)) this.selectedId = null;
+        this.refresh();
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Select a caption on the timeline
+     * @param {number|null} id - Cue id, or null to clear
+     */
+    selectCue(id) {
+        this.selectedId = id;
+        if (id !== null) {
+            this.editor.selectKeyframe(null);
+            this.editor.overlayManager?.selectLayer(null);
+        }
+
+        this.elements.track?.querySelectorAll('.caption-cue').forEach(element => {
+            element.classList.toggle('selected', parseInt(element.dataset.id, 10) === id);
+        });
+        this.updateCueEditor();
+    }
+
+    /**
+     * Start selecting, moving or retiming a caption block
+     * @param {MouseEvent} event
+     */
+    handleTrackMouseDown(event) {
+        const duration = this.editor.duration;
+        if (!this.elements.track || duration <= 0) return;
+
+        const block = event.target.closest('.caption-cue');
+        if (!block) {
+            // Empty part of the track: deselect and seek like the main timeline
+            this.selectCue(null);
+            this.seek(this.editor.getTimelineTime(event.clientX, this.elements.track));
+            return;
+        }
+
+        event.preventDefault();
+        const id = parseInt(block.dataset.id, 10);
+        const cue = this.track.getCue(id);
+        if (!cue) return;
+
+        this.selectCue(id);
+        this.drag = {
+            id,
+            edge: event.target.dataset.edge || 'move',
+            startX: event.clientX,
+            from: { start: cue.start, end: cue.end },
+            before: this.track.getSnapshot(),
+            moved: false
+        };
+
+        const onMouseMove = (e) => this.handleTrackDrag(e);
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            this.handleTrackDragEnd();
+        }, { once: true });
+    }
+
+    /**
+     * Move or retime the dragged caption
+     * @param {MouseEvent} event
+     */
+    handleTrackDrag(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        // Ignore tiny movements so a plain click doesn't nudge the caption
+        if (!drag.moved && Math.abs(event.clientX - drag.startX) < 3) return;
+        drag.moved = true;
+
+        const duration = this.editor.duration;
+        const { MIN_DURATION } = this.config;
+        const delta = this.editor.getTimelineTime(event.clientX, this.elements.track) -
+            this.editor.getTimelineTime(drag.startX, this.elements.track);
+        const { start, end } = drag.from;
+        let changes;
+
+        if (drag.edge === 'start') {
+            changes = { start: Math.max(0, Math.min(end - MIN_DURATION, start + delta)) };
+        } else if (drag.edge === 'end') {
+            changes = { end: Math.min(duration, Math.max(start + MIN_DURATION, end + delta)) };
+        } else {
+            const shift = Math.max(-start, Math.min(duration - end, delta));
+            changes = { start: start + shift, end: end + shift };
+        }
+
+        this.track.updateCue(drag.id, changes);
+        this.refresh();
+    }
+
+    /**
+     * Commit a caption drag as one undoable edit, or show the clicked caption
+     */
+    handleTrackDragEnd() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag) return;
+
+        if (drag.moved) {
+            this.pushHistory(drag.edge === 'move' ? 'Move caption' : 'Retime caption', drag.before);
+            return;
+        }
+
+        const cue = this.track.getCue(drag.id);
+        const time = this.editor.sourceVideo.currentTime;
+        if (cue && (time < cue.start || time >= cue.end)) this.seek(cue.start);
+    }
+
+    /**
+     * Edit a caption's text from its timeline block
+     * @param {MouseEvent} event
+     */
+    handleTrackDoubleClick(event) {
+        const block = event.target.closest('.caption-cue');
+        if (!block) return;
+
+        const cue = this.track.getCue(parseInt(block.dataset.id, 10));
+        if (!cue) return;
+
+        if (this.editor.isPlaying) this.editor.handlePlayPause();
+        this.selectCue(cue.id);
+        this.seek(cue.start);
+        this.elements.text?.focus();
+        this.elements.text?.select();
+    }
+
+    /**
+     * Read the style controls
+     */
+    handleStyleChange() {
+        const { font, bold, size, color, strokeColor, strokeWidth, box, boxColor, boxOpacity, position } = this.elements;
+        const style = this.style;
+
+        if (font) style.font = font.value;
+        if (bold) style.bold = bold.checked;
+        if (size) style.size = parseFloat(size.value);
+        if (color) style.color = color.value;
+        if (strokeColor) style.strokeColor = strokeColor.value;
+        if (strokeWidth) style.strokeWidth = parseFloat(strokeWidth.value);
+        if (box) style.box = box.checked;
+        if (boxColor) style.boxColor = boxColor.value;
+        if (boxOpacity) style.boxOpacity = parseFloat(boxOpacity.value);
+        if (position) style.position = parseFloat(position.value);
+
+        this.updateStyleControls();
+        this.updatePreview();
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Sync the style controls with the style
+     */
+    updateStyleControls() {
+        const elements = this.elements;
+        const style = this.style;
+
+        if (elements.font) elements.font.value = style.font;
+        if (elements.bold) elements.bold.checked = style.bold;
+        if (elements.size) elements.size.value = style.size;
+        if (elements.sizeValue) elements.sizeValue.textContent = `${style.size}`;
+        if (elements.color) elements.color.value = style.color;
+        if (elements.strokeColor) elements.strokeColor.value = style.strokeColor;
+        if (elements.strokeWidth) elements.strokeWidth.value = style.strokeWidth;
+        if (elements.strokeWidthValue) elements.strokeWidthValue.textContent = `${style.strokeWidth}`;
+        if (elements.box) elements.box.checked = style.box;
+        if (elements.boxColor) {
+            elements.boxColor.value = style.boxColor;
+            elements.boxColor.disabled = !style.box;
+        }
+        if (elements.boxOpacity) {
+            elements.boxOpacity.value = style.boxOpacity;
+            elements.boxOpacity.disabled = !style.box;
+        }
+        if (elements.position) elements.position.value = style.position;
+        if (elements.positionValue) elements.positionValue.textContent = `${Math.round(style.position * 100)}%`;
+    }
+
+    /**
+     * Redraw the track, the cue editor and the preview after the cues changed
+     */
+    refresh() {
+        this.renderTrack();
+        this.updateCueEditor();
+        this.updatePreview();
+    }
+
+    /**
+     * Draw one block per caption on the captions track
+     */
+    renderTrack() {
+        const trackElement = this.elements.track;
+        if (!trackElement) return;
+
+        trackElement.innerHTML = '';
+        const duration = this.editor.duration;
+        if (duration <= 0) return;
+
+        this.track.cues.forEach(cue => {
+            const block = this.utils.DOMUtils.createElement('div', {
+                className: cue.id === this.selectedId ? 'caption-cue selected' : 'caption-cue',
+                attributes: {
+                    'data-id': cue.id,
+                    title: `${cue.text} (${this.formatTime(cue.start)} – ${this.formatTime(cue.end)}) — drag to move, drag the edges to retime, double-click to edit`
+                },
+                styles: {
+                    left: `${this.editor.getTimelinePercent(cue.start)}%`,
+                    width: `${this.editor.getTimelinePercent(cue.end) - this.editor.getTimelinePercent(cue.start)}%`
+                }
+            });
+
+            block.appendChild(this.utils.DOMUtils.createElement('span', {
+                className: 'caption-cue-text',
+                textContent: cue.text.split('\n')[0]
+            }));
+            ['start', 'end'].forEach(edge => {
+                block.appendChild(this.utils.DOMUtils.createElement('div', {
+                    className: `caption-cue-handle caption-cue-handle-${edge}`,
+                    attributes: { 'data-edge': edge }
+                }));
+            });
+
+            trackElement.appendChild(block);
+        });
+    }
+
+    /**
+     * Highlight the blocks of the captions shown at the playhead
+     * @param {number} time - Source video seconds
+     */
+    updateActiveCues(time) {
+        this.elements.track?.querySelectorAll('.caption-cue').forEach(element => {
+            const cue = this.track.getCue(parseInt(element.dataset.id, 10));
+            element.classList.toggle('active', Boolean(cue) && time >= cue.start && time < cue.end);
+        });
+    }
+
+    /**
+     * Show the selected caption's text and timing, without overwriting a field being typed in
+     */
+    updateCueEditor() {
+        const { cueEditor, text, start, end } = this.elements;
+        const cue = this.track.getCue(this.selectedId);
+
+        cueEditor?.classList.toggle('hidden', !cue);
+        if (!cue) return;
+
+        if (text && document.activeElement !== text) text.value = cue.text;
+        if (start && document.activeElement !== start) start.value = cue.start.toFixed(2);
+        if (end && document.activeElement !== end) end.value = cue.end.toFixed(2);
+    }
+
+    /**
+     * Send the captions to the preview, redrawing it when playback isn't doing so
+     */
+    updatePreview() {
+        const preview = this.editor.previewRenderer;
+        if (!preview) return;
+
+        preview.setCaptions({ cues: this.track.cues, style: this.style });
+        if (!this.editor.isPlaying) preview.render();
+    }
+
+    /**
+     * Seek the video and redraw the preview once the frame is there
+     * @param {number} time - Seconds
+     */
+    seek(time) {
+        const video = this.editor.sourceVideo;
+        video.addEventListener('seeked', () => this.updatePreview(), { once: true });
+        video.currentTime = Math.max(0, Math.min(this.editor.duration, time));
+    }
+
+    /**
+     * Captions for the renderer: the cues overlapping the exported range and the style
+     * @param {number} trimStart - Seconds
+     * @param {number} trimEnd - Seconds
+     * @returns {Object|null} { cues, style }, or null when there are none
+     */
+    getExportCaptions(trimStart, trimEnd) {
+        const cues = this.track.getCuesInRange(trimStart, trimEnd).map(cue => ({ ...cue }));
+        return cues.length > 0 ? { cues, style: { ...this.style } } : null;
+    }
+
+    /**
+     * Captions for saving with the project
+     * @returns {Object} { cues, style }
+     */
+    serialize() {
+        return { cues: this.track.getSnapshot(), style: { ...this.style } };
+    }
+
+    /**
+     * Load saved captions
+     * @param {Object} captions - From serialize()
+     */
+    load(captions = {}) {
+        this.track.setCues(Array.isArray(captions.cues) ? captions.cues : []);
+        this.style = { ...this.config.DEFAULT_STYLE, ...captions.style };
+        this.selectedId = null;
+        this.updateStyleControls();
+        this.refresh();
+    }
+
+    /**
+     * Format a caption time for display
+     * @param {number} seconds
+     * @returns {string} MM:SS.ss
+     */
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+        return `${mins.toString().padStart(2, '0')}:${secs}`;
+    }
+
+    /**
+     * Release state held for the editor
+     */
+    cleanup() {
+        this.drag = null;
+        this.selectedId = null;
+        this.track.setCues([]);
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.CaptionManager = CaptionManager;
+}
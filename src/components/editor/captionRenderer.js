@@ -0,0 +1,187 @@
+/**
+ * Caption Renderer Module
+ * Lays out and draws caption text on a 2D canvas. The preview and the WebCodecs
+ * export draw captions onto each frame; the FFmpeg export overlays one image per cue.
+ */
+
+const CaptionRenderer = {
+    /**
+     * Canvas font for a style at an output size
+     * @param {Object} style - Caption style (see EDITOR_CONSTANTS.CAPTIONS.DEFAULT_STYLE)
+     * @param {number} fontSize - Font size in output pixels
+     * @returns {string}
+     */
+    getFont: (style, fontSize) => {
+        return `${style.bold ? 'bold ' : ''}${fontSize}px "${style.font}", Arial, sans-serif`;
+    },
+
+    /**
+     * Scale from the style's reference pixels to an output size
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {number}
+     */
+    getScale: (width, height) => {
+        return Math.min(width, height) / window.EDITOR_CONSTANTS.CAPTIONS.SIZE_REFERENCE;
+    },
+
+    /**
+     * Break caption text into lines that fit a width, keeping its own line breaks
+     * @param {CanvasRenderingContext2D} ctx - Context with the caption font set
+     * @param {string} text - Caption text
+     * @param {number} maxWidth - Widest line in pixels
+     * @returns {string[]}
+     */
+    wrapLines: (ctx, text, maxWidth) => {
+        const lines = [];
+
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            if (line) lines.push(line);
+        });
+
+        return lines;
+    },
+
+    /**
+     * Lay out a caption in an output frame
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure the text
+     * @param {string} text - Caption text
+     * @param {Object} style - Caption style
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object|null} { lines, font, fontSize, lineHeight, strokeWidth, padding, box }, or null if empty
+     */
+    layout: (ctx, text, style, width, height) => {
+        const { MAX_WIDTH, LINE_HEIGHT, BOX_PADDING } = window.EDITOR_CONSTANTS.CAPTIONS;
+        const scale = CaptionRenderer.getScale(width, height);
+        const fontSize = Math.max(1, Math.round(style.size * scale));
+        const font = CaptionRenderer.getFont(style, fontSize);
+
+        ctx.font = font;
+        const lines = CaptionRenderer.wrapLines(ctx, text, width * MAX_WIDTH);
+        if (lines.length === 0) return null;
+
+        const lineHeight = fontSize * LINE_HEIGHT;
+        const strokeWidth = style.strokeWidth * scale;
+        const padding = (style.box ? fontSize * BOX_PADDING : 0) + strokeWidth;
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+        const boxWidth = Math.min(width, textWidth + padding * 2);
+        const boxHeight = Math.min(height, lines.length * lineHeight + padding * 2);
+
+        // Centered on the position, but never pushed out of the frame
+        const centerY = style.position * height;
+        const top = Math.max(0, Math.min(height - boxHeight, centerY - boxHeight / 2));
+
+        return {
+            lines,
+            font,
+            fontSize,
+            lineHeight,
+            strokeWidth,
+            padding,
+            box: {
+                x: Math.round((width - boxWidth) / 2),
+                y: Math.round(top),
+                width: Math.ceil(boxWidth),
+                height: Math.ceil(boxHeight)
+            }
+        };
+    },
+
+    /**
+     * Draw a laid out caption
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} layout - From layout()
+     * @param {Object} style - Caption style
+     * @param {number} offsetX - Shift applied to the layout (for drawing into a cropped image)
+     * @param {number} offsetY
+     */
+    drawLayout: (ctx, layout, style, offsetX = 0, offsetY = 0) => {
+        const { lines, font, lineHeight, strokeWidth, padding, box } = layout;
+        const x = box.x + offsetX;
+        const y = box.y + offsetY;
+
+        ctx.save();
+        if (style.box) {
+            ctx.globalAlpha = style.boxOpacity;
+            ctx.fillStyle = style.boxColor;
+            ctx.fillRect(x, y, box.width, box.height);
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+
+        lines.forEach((line, i) => {
+            const lineX = x + box.width / 2;
+            const lineY = y + padding + lineHeight * (i + 0.5);
+
+            // The stroke is centered on the outline, so draw it twice as wide under the fill
+            if (strokeWidth > 0) {
+                ctx.strokeStyle = style.strokeColor;
+                ctx.lineWidth = strokeWidth * 2;
+                ctx.strokeText(line, lineX, lineY);
+            }
+            ctx.fillStyle = style.color;
+            ctx.fillText(line, lineX, lineY);
+        });
+        ctx.restore();
+    },
+
+    /**
+     * Draw the captions active at a time over a frame
+     * @param {CanvasRenderingContext2D} ctx - Frame context
+     * @param {Object[]} cues - Caption cues
+     * @param {Object} style - Caption style
+     * @param {number} time - Source video seconds
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     */
+    drawCaptions: (ctx, cues, style, time, width, height) => {
+        cues
+            .filter(cue => time >= cue.start && time < cue.end)
+            .forEach(cue => {
+                const layout = CaptionRenderer.layout(ctx, cue.text, style, width, height);
+                if (layout) CaptionRenderer.drawLayout(ctx, layout, style);
+            });
+    },
+
+    /**
+     * Render one caption into an image cropped to its box, for overlaying on the output
+     * @param {string} text - Caption text
+     * @param {Object} style - Caption style
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object|null} { canvas, x, y } with the position in the output, or null if empty
+     */
+    renderImage: (text, style, width, height) => {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const layout = CaptionRenderer.layout(ctx, text, style, width, height);
+        if (!layout) return null;
+
+        // Resizing resets the context, so draw after sizing
+        canvas.width = layout.box.width;
+        canvas.height = layout.box.height;
+        CaptionRenderer.drawLayout(ctx, layout, style, -layout.box.x, -layout.box.y);
+
+        return { canvas, x: layout.box.x, y: layout.box.y };
+    }
+};
+
+// Export for use in editor modules and export renderers
+if (typeof window !== 'undefined') {
+    window.CaptionRenderer = CaptionRenderer;
+}
@@ -0,0 +1,179 @@
+/**
+ * Caption Track Module
+ * Timed caption cues in source video seconds, with SRT and WebVTT import
+ */
+
+class CaptionTrack {
+    constructor() {
+        this.cues = []; // [{ id, start, end, text }] sorted by start
+        this.nextId = 1;
+
+        // Get constants
+        this.constants = window.EDITOR_CONSTANTS;
+        this.config = this.constants.CAPTIONS;
+    }
+
+    /**
+     * Parse an SRT or WebVTT file. Both are blocks separated by blank lines with a
+     * "start --> end" timing line followed by the text; numbering, cue identifiers,
+     * cue settings, NOTE/STYLE blocks and inline markup are dropped.
+     * @param {string} text - File contents
+     * @returns {Object[]} Cues [{ start, end, text }] in seconds
+     */
+    static parse(text) {
+        const blocks = text
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/);
+
+        const cues = [];
+        blocks.forEach(block => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+            const [startText, endText] = lines[timingIndex].split('-->');
+            const start = CaptionTrack.parseTimestamp(startText);
+            const end = CaptionTrack.parseTimestamp(endText);
+            const cueText = lines.slice(timingIndex + 1)
+                .map(line => line
+                    .replace(/<[^>]*>/g, '') // <i>, <b>, <font>, WebVTT <v Speaker> and timestamp tags
+                    .replace(/\{\\[^}]*\}/g, '') // SSA override tags found in some SRT files
+                    .replace(/&nbsp;/g, ' ')
+                    .replace(/&lt;/g, '<')
+                    .replace(/&gt;/g, '>')
+                    .replace(/&amp;/g, '&')
+                    .trim())
+                .filter(Boolean)
+                .join('\n');
+
+            if (start === null || end === null || end <= start || !cueText) return;
+            cues.push({ start, end, text: cueText });
+        });
+
+        return cues;
+    }
+
+    /**
+     * Parse an SRT ("00:01:02,500") or WebVTT ("01:02.500", "00:01:02.500") timestamp
+     * @param {string} value - Timestamp, possibly followed by WebVTT cue settings
+     * @returns {number|null} Seconds
+     */
+    static parseTimestamp(value) {
+        const match = (value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?/);
+        if (!match) return null;
+
+        const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+        return parseInt(hours, 10) * 3600 +
+            parseInt(minutes, 10) * 60 +
+            parseInt(seconds, 10) +
+            parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+    }
+
+    /**
+     * Replace every cue
+     * @param {Object[]} cues - [{ start, end, text }], ids are kept when present
+     */
+    setCues(cues) {
+        this.cues = cues.map(cue => this.normalizeCue({ ...cue, id: cue.id ?? this.nextId++ }));
+        this.nextId = Math.max(this.nextId, ...this.cues.map(cue => cue.id + 1));
+        this.sort();
+    }
+
+    /**
+     * Add a cue
+     * @param {Object} cue - { start, end, text }
+     * @returns {Object} The added cue
+     */
+    addCue(cue) {
+        const added = this.normalizeCue({ ...cue, id: this.nextId++ });
+        this.cues.push(added);
+        this.sort();
+        return added;
+    }
+
+    /**
+     * Change a cue's text or timing
+     * @param {number} id - Cue id
+     * @param {Object} changes - Any of { start, end, text }
+     * @returns {Object|null} The updated cue
+     */
+    updateCue(id, changes) {
+        const index = this.cues.findIndex(cue => cue.id === id);
+        if (index === -1) return null;
+
+        this.cues[index] = this.normalizeCue({ ...this.cues[index], ...changes });
+        this.sort();
+        return this.getCue(id);
+    }
+
+    /**
+     * Remove a cue
+     * @param {number} id - Cue id
+     * @returns {boolean} Whether a cue was removed
+     */
+    removeCue(id) {
+        const count = this.cues.length;
+        this.cues = this.cues.filter(cue => cue.id !== id);
+        return this.cues.length !== count;
+    }
+
+    /**
+     * Get a cue by id
+     * @param {number} id - Cue id
+     * @returns {Object|null}
+     */
+    getCue(id) {
+        return this.cues.find(cue => cue.id === id) || null;
+    }
+
+    /**
+     * Cues shown at a time
+     * @param {number} time - Source video seconds
+     * @returns {Object[]}
+     */
+    getActiveCues(time) {
+        return this.cues.filter(cue => time >= cue.start && time < cue.end);
+    }
+
+    /**
+     * Cues overlapping a range, e.g. the trimmed export
+     * @param {number} start - Seconds
+     * @param {number} end - Seconds
+     * @returns {Object[]}
+     */
+    getCuesInRange(start, end) {
+        return this.cues.filter(cue => cue.end > start && cue.start < end);
+    }
+
+    /**
+     * Copy the cues so they can be restored later
+     * @returns {Object[]}
+     */
+    getSnapshot() {
+        return this.cues.map(cue => ({ ...cue }));
+    }
+
+    /**
+     * Keep a cue's timing valid: non-negative and at least MIN_DURATION long
+     * @param {Object} cue
+     * @returns {Object}
+     */
+    normalizeCue(cue) {
+        const start = Math.max(0, Number(cue.start) || 0);
+        const end = Math.max(start + this.config.MIN_DURATION, Number(cue.end) || 0);
+        return { id: cue.id, start, end, text: String(cue.text ?? '') };
+    }
+
+    /**
+     * Sort the cues by start time
+     */
+    sort() {
+        this.cues.sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.CaptionTrack = CaptionTrack;
+}
@@ -0,0 +1,404 @@
+/**
+ * Compilation Manager Module
+ * Compilation mode: clips from the library or uploads are added to one sequence, each keeping
+ * its own crop keyframes, trim and cuts, and exported as a single video with transitions
+ * between them and one loudness normalization pass over the joined audio
+ */
+
+class CompilationManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+
+        // [{ id, title, duration, job, transition }] in output order; job is an editor export job
+        this.items = [];
+        this.nextId = 1;
+        this.selectedId = null;
+        this.normalize = true;
+        this.renderer = null; // FFmpeg.wasm renderer, loaded on the first compilation export
+
+        this.handleLibraryChanged = this.handleLibraryChanged.bind(this);
+
+        const container = editor.container;
+        this.elements = {
+            addButton: container.querySelector('.compilation-add-btn'),
+            exportButton: container.querySelector('.compilation-export-btn'),
+            library: container.querySelector('.compilation-library'),
+            list: container.querySelector('.compilation-list'),
+            transition: container.querySelector('.compilation-transition'),
+            transitionDuration: container.querySelector('.compilation-transition-duration'),
+            transitionDurationValue: container.querySelector('.compilation-transition-duration-value'),
+            normalize: container.querySelector('.compilation-normalize'),
+            summary: container.querySelector('.compilation-summary')
+        };
+    }
+
+    /**
+     * Attach the compilation controls
+     */
+    attachEventListeners() {
+        const elements = this.elements;
+
+        elements.addButton?.addEventListener('click', () => this.addCurrentClip());
+        elements.exportButton?.addEventListener('click', () => this.exportCompilation());
+        elements.library?.addEventListener('change', () => {
+            const id = elements.library.value;
+            elements.library.value = '';
+            if (id) this.openFromLibrary(id);
+        });
+        elements.normalize?.addEventListener('change', () => {
+            this.normalize = elements.normalize.checked;
+        });
+
+        const transitions = this.constants.TRANSITIONS;
+        if (elements.transition) {
+            transitions.TYPES.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.value;
+                option.textContent = type.label;
+                elements.transition.appendChild(option);
+            });
+            elements.transition.addEventListener('change', () => {
+                this.setTransition({ type: elements.transition.value });
+            });
+        }
+        if (elements.transitionDuration) {
+            Object.assign(elements.transitionDuration, {
+                min: transitions.MIN_DURATION,
+                max: transitions.MAX_DURATION,
+                value: transitions.DEFAULT_DURATION
+            });
+            elements.transitionDuration.addEventListener('input', () => {
+                this.setTransition({ duration: parseFloat(elements.transitionDuration.value) });
+            });
+        }
+
+        elements.list?.addEventListener('click', (event) => {
+            const row = event.target.closest('.compilation-row');
+            if (!row) return;
+
+            const id = parseInt(row.dataset.id, 10);
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'up') this.moveItem(id, -1);
+            else if (action === 'down') this.moveItem(id, 1);
+            else if (action === 'delete') this.removeItem(id);
+            else this.selectItem(id);
+        });
+
+        document.addEventListener('clipLibraryChanged', this.handleLibraryChanged);
+        this.refreshLibrary();
+        this.renderList();
+    }
+
+    /**
+     * Keep the library picker in step with the clip library
+     */
+    handleLibraryChanged() {
+        this.refreshLibrary();
+    }
+
+    /**
+     * List the library's clips in the picker
+     * @returns {Promise<void>}
+     */
+    async refreshLibrary() {
+        const select = this.elements.library;
+        if (!select || !window.clipLibrary) return;
+
+        try {
+            const clips = await window.clipLibrary.listClips();
+            select.innerHTML = '';
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = clips.length ? 'Open a library clip…' : 'Library is empty';
+            select.appendChild(placeholder);
+
+            clips.forEach(clip => {
+                const option = document.createElement('option');
+                option.value = clip.id;
+                option.textContent = `${clip.title} (${this.formatDuration(clip.duration)})`;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            this.utils.Logger.warn('Clip library could not be listed:', error);
+        }
+    }
+
+    /**
+     * Open a library clip in the editor so it can be framed, trimmed and added
+     * @param {string} id - Library clip id
+     * @returns {Promise<void>}
+     */
+    async openFromLibrary(id) {
+        const editor = this.editor;
+        try {
+            const clip = await window.clipLibrary.getClip(id);
+            if (!clip) throw new Error('The clip is no longer in the library.');
+
+            // Keep the edits of the clip being replaced
+            await editor.projectManager?.autosave();
+
+            const file = new File([clip.blob], clip.title, { type: clip.type });
+            await editor.loadVideoFromBlob(URL.createObjectURL(file), file);
+
+            // Store its project under the library clip like when it is re-opened from the popup
+            editor.libraryClip = clip;
+            editor.uploadedFileName = null;
+            await editor.projectManager?.offerRestore();
+
+            this.utils.Logger.info('🎞️ Library clip opened for the compilation:', clip.title);
+        } catch (error) {
+            this.utils.Logger.error('Library clip could not be opened:', error);
+            editor.showError(`Could not open the clip: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add the clip in the editor, as it is framed, trimmed and cut now, to the end of the sequence
+     */
+    addCurrentClip() {
+        const editor = this.editor;
+        const job = editor.createExportJob();
+        if (!job) return;
+
+        const ranges = window.SegmentTimeline.getRanges(job.options.segments, job.trimStart, job.trimEnd);
+        const item = {
+            id: this.nextId++,
+            title: editor.uploadedFileName || editor.libraryClip?.title || 'Twitch clip',
+            duration: window.SegmentTimeline.getDuration(ranges),
+            job,
+            transition: null
+        };
+        this.items.push(item);
+        this.selectedId = item.id;
+        this.renderList();
+
+        this.utils.Logger.info(`🎞️ Added to compilation: ${item.title} (${this.formatDuration(item.duration)})`);
+    }
+
+    /**
+     * Select a sequence item so its transition can be edited
+     * @param {number} id
+     */
+    selectItem(id) {
+        this.selectedId = id;
+        this.renderList();
+    }
+
+    /**
+     * Move an item earlier or later in the sequence
+     * @param {number} id
+     * @param {number} direction - -1 for earlier, 1 for later
+     */
+    moveItem(id, direction) {
+        const from = this.items.findIndex(item => item.id === id);
+        const to = from + direction;
+        if (from < 0 || to < 0 || to >= this.items.length) return;
+
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+        this.selectedId = id;
+        this.renderList();
+    }
+
+    /**
+     * Take an item out of the sequence
+     * @param {number} id
+     */
+    removeItem(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        if (this.selectedId === id) this.selectedId = null;
+        this.renderList();
+    }
+
+    /**
+     * Change the transition into the selected item from the one before it
+     * @param {Object} changes - { type } and/or { duration }
+     */
+    setTransition(changes) {
+        const index = this.items.findIndex(item => item.id === this.selectedId);
+        if (index < 1) return;
+
+        const item = this.items[index];
+        const current = item.transition || { type: 'none', duration: this.constants.TRANSITIONS.DEFAULT_DURATION };
+        const next = { ...current, ...changes };
+        item.transition = next.type === 'none' ? null : next;
+        this.renderList();
+    }
+
+    /**
+     * Render the sequence into one video and download it
+     * @returns {Promise<void>}
+     */
+    async exportCompilation() {
+        const editor = this.editor;
+        if (this.items.length < 2) {
+            alert('Add at least two clips to the compilation to export it.');
+            return;
+        }
+
+        try {
+            editor.currentMode = 'export';
+            editor.updateModeDisplay();
+            editor.showDownloadProgress('Starting compilation render...');
+
+            // Joining, transitions and normalization run through FFmpeg.wasm
+            if (editor.renderer instanceof window.VideoRenderer) {
+                this.renderer = editor.renderer;
+            } else if (!this.renderer) {
+                editor.updateDownloadProgress('Loading FFmpeg.wasm...', null);
+                const renderer = new window.VideoRenderer();
+                await renderer.load();
+                this.renderer = renderer;
+            }
+
+            const parts = this.items.map(item => ({ ...item.job, transition: item.transition }));
+            const renderedFile = await this.renderer.renderCompilation(parts, editor.handleRenderProgress, {
+                normalize: this.normalize
+            });
+
+            editor.hideDownloadProgress();
+            editor.downloadFile(renderedFile);
+        } catch (error) {
+            this.utils.Logger.error('Compilation export failed:', error);
+            alert(`Compilation export failed: ${error.message}`);
+            editor.hideDownloadProgress();
+        } finally {
+            editor.currentMode = 'preview';
+            editor.updateModeDisplay();
+        }
+    }
+
+    /**
+     * Length of the exported compilation, with each transition overlapping its clips
+     * @returns {number} Seconds
+     */
+    getDuration() {
+        return window.SegmentTimeline.getDuration(this.getRanges());
+    }
+
+    /**
+     * The sequence as ranges of one output timeline, so transitions are clamped like segment transitions
+     * @returns {Object[]} See SegmentTimeline.getRanges
+     */
+    getRanges() {
+        let start = 0;
+        const segments = this.items.map(item => {
+            const segment = { start, end: start + item.duration, speed: 1, transition: item.transition };
+            start = segment.end;
+            return segment;
+        });
+        return window.SegmentTimeline.getRanges(segments, 0, start);
+    }
+
+    /**
+     * List the sequence with its controls
+     */
+    renderList() {
+        const { list, summary, exportButton, transition, transitionDuration, transitionDurationValue } = this.elements;
+        const DOMUtils = this.utils.DOMUtils;
+
+        if (list) {
+            list.innerHTML = '';
+            this.items.forEach((item, i) => {
+                const row = DOMUtils.createElement('div', {
+                    className: item.id === this.selectedId ? 'compilation-row selected' : 'compilation-row',
+                    attributes: { 'data-id': item.id, title: 'Click to edit the transition into this clip' }
+                });
+                row.appendChild(DOMUtils.createElement('span', { className: 'segment-index', textContent: `${i + 1}` }));
+                row.appendChild(DOMUtils.createElement('span', { className: 'compilation-title', textContent: item.title }));
+                row.appendChild(DOMUtils.createElement('span', {
+                    className: 'compilation-duration',
+                    textContent: this.formatDuration(item.duration)
+                }));
+                if (item.transition && i > 0) {
+                    row.appendChild(DOMUtils.createElement('span', {
+                        className: 'segment-transition-tag',
+                        textContent: '✨',
+                        attributes: { title: this.describeTransition(item.transition) }
+                    }));
+                }
+                [
+                    { action: 'up', icon: '↑', title: 'Play earlier', disabled: i === 0 },
+                    { action: 'down', icon: '↓', title: 'Play later', disabled: i === this.items.length - 1 },
+                    { action: 'delete', icon: '🗑️', title: 'Remove from the compilation', disabled: false }
+                ].forEach(({ action, icon, title, disabled }) => {
+                    const button = DOMUtils.createElement('button', {
+                        className: 'segment-action',
+                        textContent: icon,
+                        attributes: { 'data-action': action, title }
+                    });
+                    button.disabled = disabled;
+                    row.appendChild(button);
+                });
+                list.appendChild(row);
+            });
+        }
+
+        if (summary) {
+            const count = this.items.length;
+            summary.textContent = count
+                ? `${count} clip${count === 1 ? '' : 's'} · ${this.getDuration().toFixed(1)}s output`
+                : 'Frame and trim a clip, then add it to start a compilation';
+        }
+        if (exportButton) exportButton.disabled = this.items.length < 2;
+
+        // The transition controls edit the boundary into the selected clip; the first has none
+        const index = this.items.findIndex(item => item.id === this.selectedId);
+        const selected = this.items[index];
+        const duration = selected?.transition?.duration ?? this.constants.TRANSITIONS.DEFAULT_DURATION;
+        if (transition) {
+            transition.value = selected?.transition?.type || 'none';
+            transition.disabled = index < 1;
+        }
+        if (transitionDuration) {
+            transitionDuration.value = duration;
+            transitionDuration.disabled = index < 1 || !selected.transition;
+        }
+        if (transitionDurationValue) transitionDurationValue.textContent = `${duration.toFixed(1)}s`;
+        if (this.elements.normalize) this.elements.normalize.checked = this.normalize;
+    }
+
+    /**
+     * Text for a transition, e.g. "Crossfade 0.5s"
+     * @param {Object} transition - { type, duration }
+     * @returns {string}
+     */
+    describeTransition(transition) {
+        const type = this.constants.TRANSITIONS.TYPES.find(t => t.value === transition.type);
+        return `${type?.label || transition.type} ${transition.duration.toFixed(1)}s`;
+    }
+
+    /**
+     * Format a duration as M:SS
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds || 0);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Stop following the library and release the compilation when the editor closes
+     */
+    cleanup() {
+        document.removeEventListener('clipLibraryChanged', this.handleLibraryChanged);
+        // A renderer loaded just for compilations is not the editor's to clean up
+        if (this.renderer && this.renderer !== this.editor.renderer) this.renderer.cleanup();
+        this.renderer = null;
+        this.items = [];
+        this.selectedId = null;
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.CompilationManager = CompilationManager;
+}
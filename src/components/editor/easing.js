@@ -0,0 +1,138 @@
+/**
+ * Keyframe Easing Module
+ * Easing curves for the segment that starts at a keyframe, shared by the preview and both export renderers
+ */
+
+const KeyframeEasing = {
+    /**
+     * Preset easings, in the order they are offered in the editor
+     */
+    PRESETS: [
+        { value: 'linear', label: 'Linear' },
+        { value: 'ease-in', label: 'Ease in' },
+        { value: 'ease-out', label: 'Ease out' },
+        { value: 'ease-in-out', label: 'Ease in-out' },
+        { value: 'hold', label: 'Hold (step)' },
+        { value: 'cubic-bezier', label: 'Custom curve' }
+    ],
+
+    /**
+     * Easing used by keyframes that don't specify one (matches the original global smoothing)
+     * @returns {string}
+     */
+    getDefault: () => {
+        return window.EDITOR_CONSTANTS.RECORDING?.SMOOTHING ? 'ease-in-out' : 'linear';
+    },
+
+    /**
+     * Parse an easing value
+     * @param {string} easing - Preset name or 'cubic-bezier(x1,y1,x2,y2)'
+     * @returns {Object} { type, points } with points only for cubic-bezier
+     */
+    parse: (easing) => {
+        const value = (easing || KeyframeEasing.getDefault()).trim();
+        const match = value.match(/^cubic-bezier\(([^)]*)\)$/);
+
+        if (match) {
+            const points = match[1].split(',').map(Number);
+            if (points.length === 4 && points.every(Number.isFinite)) {
+                // x values must stay within 0-1 for the curve to be a function of time
+                points[0] = Math.max(0, Math.min(1, points[0]));
+                points[2] = Math.max(0, Math.min(1, points[2]));
+                return { type: 'cubic-bezier', points };
+            }
+            return { type: KeyframeEasing.getDefault(), points: null };
+        }
+
+        const isPreset = KeyframeEasing.PRESETS.some(preset => preset.value === value && value !== 'cubic-bezier');
+        return { type: isPreset ? value : KeyframeEasing.getDefault(), points: null };
+    },
+
+    /**
+     * Format a cubic-bezier easing value
+     * @param {number[]} points - [x1, y1, x2, y2]
+     * @returns {string}
+     */
+    formatBezier: (points) => {
+        return `cubic-bezier(${points.map(p => Math.round(p * 1000) / 1000).join(',')})`;
+    },
+
+    /**
+     * Apply an easing to segment progress
+     * @param {string} easing - Easing value
+     * @param {number} t - Progress (0-1)
+     * @returns {number} Eased progress
+     */
+    evaluate: (easing, t) => {
+        const { type, points } = KeyframeEasing.parse(easing);
+
+        switch (type) {
+            case 'linear':
+                return t;
+            case 'ease-in':
+                return t * t;
+            case 'ease-out':
+                return t * (2 - t);
+            case 'ease-in-out':
+                return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+            case 'hold':
+                return 0;
+            case 'cubic-bezier':
+                return KeyframeEasing.evaluateBezier(points, t);
+            default:
+                return t;
+        }
+    },
+
+    /**
+     * Evaluate a CSS-style cubic-bezier curve at time t
+     * @param {number[]} points - [x1, y1, x2, y2]
+     * @param {number} t - Progress (0-1)
+     * @returns {number}
+     */
+    evaluateBezier: ([x1, y1, x2, y2], t) => {
+        const curve = (a, b, s) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+
+        // Bisection on x(s) = t; x is monotonic because x1 and x2 are within 0-1
+        let low = 0;
+        let high = 1;
+        let s = t;
+        for (let i = 0; i < 30; i++) {
+            const x = curve(x1, x2, s);
+            if (Math.abs(x - t) < 1e-6) break;
+            if (x < t) low = s; else high = s;
+            s = (low + high) / 2;
+        }
+
+        return curve(y1, y2, s);
+    },
+
+    /**
+     * FFmpeg expression for an easing, or null when it has no closed form
+     * (cubic-bezier segments are sampled per frame by the renderer instead)
+     * @param {string} easing - Easing value
+     * @param {string} progress - Expression yielding segment progress (0-1)
+     * @returns {string|null}
+     */
+    toFFmpegExpression: (easing, progress) => {
+        switch (KeyframeEasing.parse(easing).type) {
+            case 'linear':
+                return progress;
+            case 'ease-in':
+                return `${progress}*${progress}`;
+            case 'ease-out':
+                return `${progress}*(2-${progress})`;
+            case 'ease-in-out':
+                return `if(lt(${progress},0.5),2*${progress}*${progress},-1+(4-2*${progress})*${progress})`;
+            case 'hold':
+                return '0';
+            default:
+                return null;
+        }
+    }
+};
+
+// Export for use in editor modules and renderers
+if (typeof window !== 'undefined') {
+    window.KeyframeEasing = KeyframeEasing;
+}
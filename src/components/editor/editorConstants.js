@@ -11,7 +11,7 @@ const EDITOR_CONSTANTS = {
         PORTRAIT_ASPECT_RATIO: 9 / 16,
         MAX_WIDTH: 800,
         MAX_HEIGHT: 450,
-        PREVIEW_WIDTH: 270,
+        PREVIEW_WIDTH: 270, // Preview box; the canvas fits the output aspect inside it
         PREVIEW_HEIGHT: 480
     },
 
@@ -38,13 +38,28 @@ const EDITOR_CONSTANTS = {
         EXPORT_QUALITY: 1.0
     },
 
+    // Recorded Path Simplification
+    PATH: {
+        DEFAULT_TOLERANCE: 2, // max deviation in canvas pixels
+        MAX_TOLERANCE: 20,
+        DEFAULT_SMOOTHING: true,
+        SMOOTHING_RADIUS: 2, // keyframes on each side in the moving average
+        ZOOM_WEIGHT: 100 // pixels of error per 1.0 of zoom difference
+    },
+
     // Timeline Configuration
     TIMELINE: {
         HEIGHT: 60,
         SCRUBBER_WIDTH: 3,
         SCRUBBER_COLOR: '#FF6B6B',
         KEYFRAME_INDICATOR_SIZE: 6,
-        KEYFRAME_COLOR: '#4ECDC4'
+        KEYFRAME_COLOR: '#4ECDC4',
+        MIN_VIEW_FRAMES: 10, // narrowest zoom
+        ZOOM_STEP: 1.25, // per wheel notch or button press
+        RULER_LABEL_SPACING: 80, // minimum pixels between labelled ticks
+        RULER_TICK_SPACING: 8, // minimum pixels between unlabelled ticks
+        TICK_FRAMES: [1, 2, 5, 10, 15], // ruler steps below a second
+        TICK_SECONDS: [1, 2, 5, 10, 15, 30, 60, 120, 300, 600]
     },
 
     // Editor Modes
@@ -61,7 +76,275 @@ const EDITOR_CONSTANTS = {
         HEIGHT: 1920,
         FRAME_RATE: 30,
         BITRATE: 5000000, // 5Mbps
-        CODEC: 'h264'
+        CODEC: 'h264',
+        DEFAULT_ASPECT: '9:16',
+        DEFAULT_RESOLUTION: '1080p',
+        ASPECT_PRESETS: [
+            { value: '9:16', label: '9:16 — TikTok, Shorts, Reels', ratio: 9 / 16 },
+            { value: '1:1', label: '1:1 — Square', ratio: 1 },
+            { value: '4:5', label: '4:5 — Instagram feed', ratio: 4 / 5 },
+            { value: '16:9', label: '16:9 — YouTube, Twitter', ratio: 16 / 9 },
+            { value: 'custom', label: 'Custom…', ratio: null }
+        ],
+        // Resolution is the length of the output's short side
+        RESOLUTIONS: [
+            { value: '720p', label: '720p', shortSide: 720 },
+            { value: '1080p', label: '1080p', shortSide: 1080 },
+            { value: '4k', label: '4K (up to source)', shortSide: 2160, capAtSource: true }
+        ]
+    },
+
+    // Fit Modes: crop to the selection, or show the whole frame over a blurred copy of itself
+    FIT: {
+        DEFAULT_MODE: 'crop',
+        MODES: [
+            { value: 'crop', label: 'Crop to selection' },
+            { value: 'blur', label: 'Fit with blurred background' }
+        ],
+        DEFAULT_BLUR: 24, // Gaussian sigma in pixels at BLUR_REFERENCE
+        MAX_BLUR: 60,
+        DEFAULT_DIM: 0.35, // opacity of the black layer over the background
+        MAX_DIM: 0.9,
+        BLUR_REFERENCE: 1080, // output short side the blur strength is measured at
+        BACKGROUND_SCALE: 0.25 // the background is blurred at reduced size, then scaled up
+    },
+
+    // Output Layouts: each slot is a rectangle of the output (fractions of its size)
+    // filled by its own selection region; the first slot belongs to the main selection
+    LAYOUT: {
+        DEFAULT: 'single',
+        PRESETS: [
+            {
+                value: 'single',
+                label: 'Single crop',
+                slots: [
+                    { id: 'main', label: 'Main', x: 0, y: 0, width: 1, height: 1 }
+                ]
+            },
+            {
+                value: 'facecam-top',
+                label: 'Facecam top (35/65)',
+                slots: [
+                    { id: 'main', label: 'Gameplay', x: 0, y: 0.35, width: 1, height: 0.65 },
+                    { id: 'facecam', label: 'Facecam', x: 0, y: 0, width: 1, height: 0.35 }
+                ]
+            },
+            {
+                value: 'facecam-top-half',
+                label: 'Facecam top (50/50)',
+                slots: [
+                    { id: 'main', label: 'Gameplay', x: 0, y: 0.5, width: 1, height: 0.5 },
+                    { id: 'facecam', label: 'Facecam', x: 0, y: 0, width: 1, height: 0.5 }
+                ]
+            },
+            {
+                value: 'facecam-bottom',
+                label: 'Facecam bottom (65/35)',
+                slots: [
+                    { id: 'main', label: 'Gameplay', x: 0, y: 0, width: 1, height: 0.65 },
+                    { id: 'facecam', label: 'Facecam', x: 0, y: 0.65, width: 1, height: 0.35 }
+                ]
+            },
+            {
+                value: 'facecam-chat-top',
+                label: 'Facecam + chat top',
+                slots: [
+                    { id: 'main', label: 'Gameplay', x: 0, y: 0.35, width: 1, height: 0.65 },
+                    { id: 'facecam', label: 'Facecam', x: 0, y: 0, width: 0.5, height: 0.35 },
+                    { id: 'chat', label: 'Chat', x: 0.5, y: 0, width: 0.5, height: 0.35 }
+                ]
+            }
+        ],
+        // Where a new region starts on the landscape canvas (fractions; height follows the slot aspect)
+        INITIAL_REGIONS: {
+            facecam: { x: 0.02, y: 0.04, width: 0.25 },
+            chat: { x: 0.73, y: 0.04, width: 0.25 }
+        },
+        REGION_COLORS: {
+            main: '#00D4FF',
+            facecam: '#FFD166',
+            chat: '#EF476F'
+        }
+    },
+
+    // Burned-in Captions
+    CAPTIONS: {
+        DEFAULT_DURATION: 2, // seconds, for captions added at the playhead
+        MIN_DURATION: 0.1,
+        FONTS: [
+            { value: 'Arial', label: 'Arial' },
+            { value: 'Impact', label: 'Impact' },
+            { value: 'Verdana', label: 'Verdana' },
+            { value: 'Trebuchet MS', label: 'Trebuchet MS' },
+            { value: 'Georgia', label: 'Georgia' },
+            { value: 'Courier New', label: 'Courier New' }
+        ],
+        DEFAULT_STYLE: {
+            font: 'Arial',
+            size: 64, // pixels at SIZE_REFERENCE
+            bold: true,
+            color: '#FFFFFF',
+            strokeColor: '#000000',
+            strokeWidth: 6, // pixels at SIZE_REFERENCE, outside the glyphs
+            box: false,
+            boxColor: '#000000',
+            boxOpacity: 0.6,
+            position: 0.75 // vertical center of the text block, as a fraction of the output height
+        },
+        SIZE_REFERENCE: 1080, // output short side the size and stroke are measured at
+        MAX_WIDTH: 0.88, // fraction of the output width before lines wrap
+        LINE_HEIGHT: 1.2, // em
+        BOX_PADDING: 0.3 // em
+    },
+
+    // Text and Image Overlay Layers (positions are the layer center as fractions of the output)
+    OVERLAYS: {
+        PRESETS: [
+            { value: 'title', label: 'Title text', type: 'text', text: 'Title', y: 0.12, scale: 1.2 },
+            { value: 'channel', label: 'Channel name', type: 'text', text: '@{channel}', y: 0.92, scale: 0.6 },
+            { value: 'cta', label: 'Call to action', type: 'text', text: 'Follow for more!', y: 0.85, scale: 0.8 },
+            { value: 'image', label: 'Image / sticker…', type: 'image', y: 0.5, scale: 1 },
+            { value: 'watermark', label: 'Watermark…', type: 'image', x: 0.82, y: 0.92, scale: 0.5, opacity: 0.5 }
+        ],
+        TEXT_STYLE: {
+            font: 'Arial',
+            color: '#FFFFFF',
+            bold: true,
+            stroke: true
+        },
+        TEXT_SIZE: 72, // pixels at CAPTIONS.SIZE_REFERENCE for scale 1
+        TEXT_STROKE: 5, // pixels at CAPTIONS.SIZE_REFERENCE for scale 1
+        LINE_HEIGHT: 1.15, // em
+        IMAGE_WIDTH: 0.3, // fraction of the output width for scale 1
+        MIN_SCALE: 0.1,
+        MAX_SCALE: 4,
+        MAX_FADE: 3, // seconds
+        SELECTION_COLOR: '#FFD166'
+    },
+
+    // Channel Branding Preset (kept in chrome.storage, drawn as overlay layers in a corner)
+    BRANDING: {
+        STORAGE_KEY: 'twitch-clip-editor-branding',
+        CORNERS: [
+            { value: 'top-left', label: 'Top left' },
+            { value: 'top-right', label: 'Top right' },
+            { value: 'bottom-left', label: 'Bottom left' },
+            { value: 'bottom-right', label: 'Bottom right' }
+        ],
+        DEFAULT_PRESET: {
+            enabled: false, // applied to every export unless turned off for one
+            logo: null, // PNG data URL
+            logoName: '',
+            handle: '@{channel}', // {channel} is replaced with the clip's channel
+            corner: 'bottom-right',
+            margin: 40, // pixels at CAPTIONS.SIZE_REFERENCE
+            opacity: 0.8
+        },
+        MAX_MARGIN: 160,
+        LOGO_SIZE: 0.12, // logo width as a fraction of the output short side
+        LOGO_MAX_PIXELS: 512, // imported logos are scaled down to fit this size
+        TEXT_SCALE: 0.55, // overlay text scale of the handle
+        GAP: 16, // pixels at CAPTIONS.SIZE_REFERENCE between the logo and the handle
+        SAVE_DELAY: 300 // ms after the last change
+    },
+
+    // Multi-segment Cutting (segments are kept source ranges, played back to back in order)
+    SEGMENTS: {
+        MIN_DURATION: 0.1, // seconds; shorter pieces are dropped from the output
+        SKIP_TOLERANCE: 0.5, // seconds past a segment's end still treated as reaching it during playback
+        SPEEDS: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4], // playback speeds offered per segment
+        MIN_SPEED: 0.25,
+        MAX_SPEED: 4,
+        FREEZE_DURATION: 2, // seconds a new freeze-frame holds
+        MIN_FREEZE: 0.5,
+        MAX_FREEZE: 10,
+        MAX_FREEZE_ZOOM: 3, // push-in factor reached at the end of a freeze
+        REPLAY_DURATION: 3, // seconds before the playhead a new replay repeats
+        MAX_REPLAY: 10
+    },
+
+    // Transitions into a segment from the one before it (xfade is the FFmpeg equivalent)
+    TRANSITIONS: {
+        TYPES: [
+            { value: 'none', label: 'Cut', xfade: null },
+            { value: 'crossfade', label: 'Crossfade', xfade: 'fade' },
+            { value: 'dip-black', label: 'Dip to black', xfade: 'fadeblack' },
+            { value: 'zoom-punch', label: 'Zoom punch', xfade: 'zoomin' },
+            { value: 'whip-pan', label: 'Whip pan', xfade: 'slideleft' }
+        ],
+        DEFAULT_DURATION: 0.5, // seconds
+        MIN_DURATION: 0.1,
+        MAX_DURATION: 2
+    },
+
+    // Export Audio Configuration
+    AUDIO: {
+        DEFAULT_GAIN_DB: 0,
+        DEFAULT_FADE_IN: 0, // seconds
+        DEFAULT_FADE_OUT: 0, // seconds
+        BITRATE: 128000,
+        SAMPLE_RATE: 48000,
+        STRETCH_GRAIN: 0.04, // seconds of each overlap-add grain when speed segments are time-stretched
+        STRETCH_SEEK: 0.01 // seconds searched either side of a grain for the best waveform match
+    },
+
+    // Background Music Configuration
+    MUSIC: {
+        EXTENSIONS: ['mp3', 'wav', 'ogg'],
+        DEFAULT_VOLUME_DB: -12,
+        MIN_VOLUME_DB: -30,
+        MAX_VOLUME_DB: 6,
+        SYNC_TOLERANCE: 0.2, // seconds of drift before preview playback is re-seeked
+        GAIN_SMOOTHING: 0.03, // seconds for preview gain changes
+        DUCKING: {
+            DEFAULT_AMOUNT_DB: 12, // how far the music drops under speech
+            MAX_AMOUNT_DB: 30,
+            DEFAULT_THRESHOLD_DB: -35, // clip loudness that counts as talking
+            MIN_THRESHOLD_DB: -60,
+            MAX_THRESHOLD_DB: -10,
+            WINDOW: 0.05, // seconds per loudness envelope step
+            HOLD: 0.3, // pauses shorter than this keep the music down
+            ATTACK: 0.15, // seconds to duck
+            RELEASE: 0.5 // seconds to come back up
+        }
+    },
+
+    // Timeline Waveform Configuration
+    WAVEFORM: {
+        PEAKS_PER_SECOND: 200, // finest detail kept for zoomed-in views
+        CACHE_SIZE: 8, // clips whose waveform stays in memory
+        MAX_GAIN: 8, // vertical zoom for quiet clips
+        GAIN_STEP: 1.25 // vertical zoom per wheel step
+    },
+
+    // Timeline Filmstrip Configuration
+    FILMSTRIP: {
+        THUMB_HEIGHT: 72, // pixels of each stored thumbnail
+        MAX_FRAMES: 120,
+        MIN_INTERVAL: 0.5, // seconds between thumbnails of short clips
+        IMAGE_TYPE: 'image/jpeg',
+        IMAGE_QUALITY: 0.7
+    },
+
+    // Compilation Export Configuration
+    COMPILATION: {
+        LOUDNESS: -16, // integrated loudness target in LUFS
+        TRUE_PEAK: -1.5, // dBTP
+        LOUDNESS_RANGE: 11 // LU
+    },
+
+    // Project Save/Restore Configuration
+    PROJECT: {
+        FORMAT: 'fastclip-project',
+        VERSION: 8, // bumped with every change to the saved fields (see ProjectManager.migrate)
+        FILE_EXTENSION: '.fastclip.json',
+        AUTOSAVE_DELAY: 1000 // ms after the last edit
+    },
+
+    // Undo/Redo Configuration
+    HISTORY: {
+        MAX_ENTRIES: 100,
+        MERGE_WINDOW: 600 // ms within which repeated edits collapse into one step
     }
 };
 
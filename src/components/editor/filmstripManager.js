@@ -0,0 +1,243 @@
+/**
+ * Filmstrip Manager Module
+ * Frame thumbnails behind the timeline track so trim points can be picked by picture,
+ * grabbed in the background from a hidden copy of the clip and saved in the clip library
+ */
+
+class FilmstripManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.FILMSTRIP;
+
+        this.frames = []; // ImageBitmap per interval, filled in as they are grabbed
+        this.interval = 0;
+        this.aspect = 16 / 9;
+        this.generation = 0; // bumped on every load so a pass for an older clip stops
+        this.view = null; // { start, end } shown, or null for the whole clip
+        this.source = null; // { video, url } of the pass grabbing thumbnails
+        this.resizeObserver = null;
+
+        const container = editor.container;
+        this.elements = {
+            track: container.querySelector('.timeline-track'),
+            canvas: container.querySelector('.filmstrip-canvas')
+        };
+    }
+
+    /**
+     * Attach the filmstrip listeners
+     */
+    attachEventListeners() {
+        if (this.elements.track && typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.draw());
+            this.resizeObserver.observe(this.elements.track);
+        }
+    }
+
+    /**
+     * Show the filmstrip of the clip in the editor, from the library or grabbed in the background
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const editor = this.editor;
+        const blob = editor.videoBlob;
+        const key = editor.projectManager?.getProjectKey() || null;
+        const generation = ++this.generation;
+
+        this.clear();
+        if (!blob || !key || !editor.duration) return;
+
+        try {
+            const strip = await window.clipLibrary?.getThumbnails(key);
+            if (generation !== this.generation) return;
+            if (strip && Math.abs(strip.duration - editor.duration) < strip.interval) {
+                const frames = await Promise.all(strip.frames.map(frame => createImageBitmap(frame)));
+                if (generation !== this.generation) return;
+                this.interval = strip.interval;
+                this.aspect = frames[0] ? frames[0].width / frames[0].height : this.aspect;
+                this.frames = frames;
+                this.draw();
+                return;
+            }
+        } catch (error) {
+            this.utils.Logger.warn('Could not read the saved filmstrip:', error.message);
+        }
+
+        await this.generate(blob, key, generation);
+    }
+
+    /**
+     * Grab the thumbnails by seeking a hidden video, drawing each one as it arrives
+     * @param {Blob} blob - Clip video
+     * @param {string} key - Project key of the clip
+     * @param {number} generation - Load this pass belongs to
+     * @returns {Promise<void>}
+     */
+    async generate(blob, key, generation) {
+        const duration = this.editor.duration;
+        const count = Math.max(1, Math.min(this.config.MAX_FRAMES, Math.ceil(duration / this.config.MIN_INTERVAL)));
+        const url = URL.createObjectURL(blob);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = url;
+        const source = { video, url };
+        this.releaseSource();
+        this.source = source;
+
+        try {
+            await new Promise((resolve, reject) => {
+                video.onloadeddata = resolve;
+                video.onerror = () => reject(new Error('Failed to load video for the filmstrip'));
+            });
+            if (generation !== this.generation) return;
+
+            const canvas = document.createElement('canvas');
+            canvas.height = this.config.THUMB_HEIGHT;
+            canvas.width = Math.round(canvas.height * (video.videoWidth / video.videoHeight || this.aspect));
+            const ctx = canvas.getContext('2d');
+
+            this.interval = duration / count;
+            this.aspect = canvas.width / canvas.height;
+            this.frames = new Array(count).fill(null);
+            const blobs = [];
+
+            for (let i = 0; i < count; i++) {
+                // Middle of each interval, so the first frame is not a black fade-in
+                await this.seekTo(video, Math.min(duration, (i + 0.5) * this.interval));
+                if (generation !== this.generation) return;
+
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const frame = await new Promise(resolve => {
+                    canvas.toBlob(resolve, this.config.IMAGE_TYPE, this.config.IMAGE_QUALITY);
+                });
+                const bitmap = await createImageBitmap(canvas);
+                if (generation !== this.generation) return;
+
+                blobs.push(frame);
+                this.frames[i] = bitmap;
+                this.draw();
+            }
+
+            await window.clipLibrary?.saveThumbnails(key, { duration, interval: this.interval, frames: blobs });
+            this.utils.Logger.info(`🎞️ Filmstrip ready (${count} frames)`);
+        } catch (error) {
+            this.utils.Logger.warn('Could not build the timeline filmstrip:', error.message);
+        } finally {
+            this.releaseSource(source);
+        }
+    }
+
+    /**
+     * Free the hidden video of a thumbnail pass and its object URL
+     * @param {Object} source - { video, url } (defaults to the current pass)
+     */
+    releaseSource(source = this.source) {
+        if (!source) return;
+        if (this.source === source) this.source = null;
+        if (!source.url) return;
+
+        // Wake a pass still waiting on the video, so it sees it is stale and stops
+        const { video, url } = source;
+        source.url = null;
+        video.onloadeddata?.();
+        video.onseeked?.();
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Seek a video and wait for the frame to be ready
+     * @param {HTMLVideoElement} video
+     * @param {number} time - Seconds
+     * @returns {Promise<void>}
+     */
+    seekTo(video, time) {
+        return new Promise((resolve, reject) => {
+            video.onseeked = () => resolve();
+            video.onerror = () => reject(new Error('Seek failed while building the filmstrip'));
+            video.currentTime = time;
+        });
+    }
+
+    /**
+     * Drop the current filmstrip
+     */
+    clear() {
+        this.frames.forEach(frame => frame?.close?.());
+        this.frames = [];
+        this.interval = 0;
+        this.draw();
+    }
+
+    /**
+     * Stretch of the clip the track shows
+     * @returns {Object} { start, end } in seconds
+     */
+    getView() {
+        return this.view || { start: 0, end: this.editor.duration || 0 };
+    }
+
+    /**
+     * Show a stretch of the clip, for a zoomed timeline
+     * @param {Object|null} view - { start, end } in seconds, or null for the whole clip
+     */
+    setView(view) {
+        this.view = view;
+        this.draw();
+    }
+
+    /**
+     * Redraw the thumbnails side by side across the track, each showing the frame nearest its middle
+     */
+    draw() {
+        const { track, canvas } = this.elements;
+        if (!track || !canvas) return;
+
+        const hasFrames = this.frames.some(Boolean);
+        track.classList.toggle('has-filmstrip', hasFrames);
+        const { start, end } = this.getView();
+        if (!hasFrames || end <= start) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(track.clientWidth * ratio);
+        const height = Math.round(track.clientHeight * ratio);
+        if (width === 0 || height === 0) return;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const tileWidth = height * this.aspect;
+        ctx.clearRect(0, 0, width, height);
+        for (let x = 0; x < width; x += tileWidth) {
+            const time = start + ((x + tileWidth / 2) / width) * (end - start);
+            const index = Math.min(this.frames.length - 1, Math.max(0, Math.floor(time / this.interval)));
+            const frame = this.frames[index];
+            if (frame) ctx.drawImage(frame, x, 0, tileWidth, height);
+        }
+    }
+
+    /**
+     * Stop any thumbnail pass and release the filmstrip when the editor closes
+     */
+    cleanup() {
+        this.generation++;
+        this.releaseSource();
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+        this.clear();
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.FilmstripManager = FilmstripManager;
+}
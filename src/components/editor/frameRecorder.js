@@ -96,6 +96,56 @@ class FrameRecorder {
         this.emitRecordingEvent('keyframe', keyframe);
     }
 
+    /**
+     * Add or replace a keyframe outside of recording mode
+     * @param {number} timestamp - Video timestamp in seconds
+     * @param {Object} selectionData - Selection position and properties
+     * @returns {Object} The stored keyframe
+     */
+    setKeyframe(timestamp, selectionData) {
+        const keyframe = {
+            ...this.keyframes.get(timestamp),
+            timestamp,
+            selection: { ...selectionData },
+            recordedAt: Date.now()
+        };
+
+        this.keyframes.set(timestamp, keyframe);
+        this.emitRecordingEvent('keyframeAdded', keyframe);
+        return keyframe;
+    }
+
+    /**
+     * Set the easing of the segment starting at a keyframe
+     * @param {number} timestamp - Keyframe timestamp
+     * @param {string} easing - Easing value (see KeyframeEasing)
+     * @returns {boolean} Whether the keyframe exists
+     */
+    setKeyframeEasing(timestamp, easing) {
+        const keyframe = this.keyframes.get(timestamp);
+        if (!keyframe) return false;
+
+        keyframe.easing = easing;
+        this.emitRecordingEvent('keyframeEasingChanged', { timestamp, easing });
+        return true;
+    }
+
+    /**
+     * Move a keyframe to another timestamp
+     * @param {number} fromTimestamp - Current keyframe timestamp
+     * @param {number} toTimestamp - New timestamp
+     * @returns {boolean} Whether the keyframe was moved
+     */
+    moveKeyframe(fromTimestamp, toTimestamp) {
+        const keyframe = this.keyframes.get(fromTimestamp);
+        if (!keyframe || fromTimestamp === toTimestamp || this.keyframes.has(toTimestamp)) return false;
+
+        this.keyframes.delete(fromTimestamp);
+        this.keyframes.set(toTimestamp, { ...keyframe, timestamp: toTimestamp });
+        this.emitRecordingEvent('keyframeMoved', { fromTimestamp, toTimestamp });
+        return true;
+    }
+
     /**
      * Update current time during playback
      * @param {number} timestamp - Current video timestamp
@@ -156,13 +206,15 @@ class FrameRecorder {
             return this.keyframes.get(timestamps[beforeIndex]).selection;
         }
         
-        // Interpolate between keyframes
+        // Interpolate between keyframes with the easing of the segment's first keyframe
+        const beforeKeyframe = this.keyframes.get(timestamps[beforeIndex]);
         return this.interpolateSelection(
-            this.keyframes.get(timestamps[beforeIndex]).selection,
+            beforeKeyframe.selection,
             this.keyframes.get(timestamps[afterIndex]).selection,
             timestamps[beforeIndex],
             timestamps[afterIndex],
-            timestamp
+            timestamp,
+            beforeKeyframe.easing
         );
     }
 
@@ -173,11 +225,12 @@ class FrameRecorder {
      * @param {number} time1 - First timestamp
      * @param {number} time2 - Second timestamp
      * @param {number} currentTime - Current timestamp
+     * @param {string} easing - Segment easing (defaults to the global smoothing setting)
      * @returns {Object} Interpolated selection
      */
-    interpolateSelection(selection1, selection2, time1, time2, currentTime) {
+    interpolateSelection(selection1, selection2, time1, time2, currentTime, easing) {
         const progress = (currentTime - time1) / (time2 - time1);
-        const easedProgress = this.constants.RECORDING?.SMOOTHING ? this.easeInOut(progress) : progress;
+        const easedProgress = window.KeyframeEasing.evaluate(easing, progress);
         
         return {
             x: this.lerp(selection1.x, selection2.x, easedProgress),
@@ -199,24 +252,17 @@ class FrameRecorder {
         return start + (end - start) * progress;
     }
 
-    /**
-     * Ease in-out function for smoother interpolation
-     * @param {number} t - Time progress (0-1)
-     * @returns {number} Eased progress
-     */
-    easeInOut(t) {
-        return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-    }
-
     /**
      * Delete keyframe at timestamp
      * @param {number} timestamp - Timestamp to delete
+     * @returns {boolean} Whether a keyframe was deleted
      */
     deleteKeyframe(timestamp) {
-        if (this.keyframes.has(timestamp)) {
-            this.keyframes.delete(timestamp);
-            this.emitRecordingEvent('keyframeDeleted', { timestamp });
-        }
+        if (!this.keyframes.has(timestamp)) return false;
+
+        this.keyframes.delete(timestamp);
+        this.emitRecordingEvent('keyframeDeleted', { timestamp });
+        return true;
     }
 
     /**
@@ -273,6 +319,111 @@ class FrameRecorder {
         });
     }
 
+    /**
+     * Simplify the keyframe path: optionally smooth it, then drop every keyframe
+     * the playback interpolation can reproduce within the tolerance
+     * (Ramer–Douglas–Peucker on x/y/zoom over time)
+     * @param {Object} options - tolerance (canvas pixels), smoothing (boolean)
+     * @returns {Object} Keyframe counts before and after
+     */
+    simplifyKeyframes(options = {}) {
+        const { tolerance = 0, smoothing = false } = options;
+        let points = Array.from(this.keyframes.values())
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(keyframe => ({ ...keyframe, selection: { ...keyframe.selection } }));
+
+        const before = points.length;
+        if (before < 3) return { before, after: before };
+
+        if (smoothing) {
+            points = this.smoothKeyframes(points);
+        }
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+
+        // Iterative to avoid deep recursion on long recordings
+        const ranges = [[0, points.length - 1]];
+        while (ranges.length > 0) {
+            const [start, end] = ranges.pop();
+            let maxError = 0;
+            let maxIndex = -1;
+
+            for (let i = start + 1; i < end; i++) {
+                const error = this.getPathError(points[start], points[end], points[i]);
+                if (error > maxError) {
+                    maxError = error;
+                    maxIndex = i;
+                }
+            }
+
+            if (maxIndex !== -1 && maxError > tolerance) {
+                keep[maxIndex] = true;
+                ranges.push([start, maxIndex], [maxIndex, end]);
+            }
+        }
+
+        const simplified = points.filter((_, i) => keep[i]);
+        this.keyframes = new Map(simplified.map(keyframe => [keyframe.timestamp, keyframe]));
+
+        const result = { before, after: simplified.length };
+        this.emitRecordingEvent('keyframesSimplified', result);
+        return result;
+    }
+
+    /**
+     * Centered moving average over the selection values, keeping the end points
+     * @param {Object[]} points - Keyframes sorted by timestamp
+     * @returns {Object[]} Smoothed keyframes
+     */
+    smoothKeyframes(points) {
+        const radius = this.constants.PATH.SMOOTHING_RADIUS;
+        const properties = ['x', 'y', 'width', 'height', 'zoom'];
+
+        return points.map((point, index) => {
+            if (index === 0 || index === points.length - 1) return point;
+
+            // Shrink the window near the ends so it stays centered
+            const reach = Math.min(radius, index, points.length - 1 - index);
+            const selection = { ...point.selection };
+
+            properties.forEach(property => {
+                let sum = 0;
+                for (let i = index - reach; i <= index + reach; i++) {
+                    sum += points[i].selection[property];
+                }
+                selection[property] = sum / (reach * 2 + 1);
+            });
+
+            return { ...point, selection };
+        });
+    }
+
+    /**
+     * How far a keyframe is from the path interpolated between two others
+     * @param {Object} start - Segment start keyframe
+     * @param {Object} end - Segment end keyframe
+     * @param {Object} point - Keyframe in between
+     * @returns {number} Error in canvas pixels
+     */
+    getPathError(start, end, point) {
+        const expected = this.interpolateSelection(
+            start.selection,
+            end.selection,
+            start.timestamp,
+            end.timestamp,
+            point.timestamp,
+            start.easing
+        );
+
+        return Math.max(
+            Math.abs(point.selection.x - expected.x),
+            Math.abs(point.selection.y - expected.y),
+            Math.abs(point.selection.zoom - expected.zoom) * this.constants.PATH.ZOOM_WEIGHT
+        );
+    }
+
     /**
      * Get all keyframe timestamps
      * @returns {number[]} Array of timestamps
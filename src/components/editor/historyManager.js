@@ -0,0 +1,122 @@
+/**
+ * History Manager Module
+ * Command-based undo/redo stack for editor operations
+ */
+
+class HistoryManager {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.HISTORY;
+    }
+
+    /**
+     * Add an already-applied command to the history
+     * @param {Object} command - { label, undo(), redo(), mergeKey (optional) }
+     */
+    push(command) {
+        const entry = { ...command, pushedAt: Date.now() };
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        // Collapse rapid repeats (e.g. wheel zoom steps) into one entry that keeps the original undo
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey &&
+            entry.pushedAt - last.pushedAt < this.config.MERGE_WINDOW) {
+            last.redo = command.redo;
+            last.pushedAt = entry.pushedAt;
+        } else {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > this.config.MAX_ENTRIES) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.emitChange();
+    }
+
+    /**
+     * Revert the most recent command
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.utils.Logger.info(`↶ Undo: ${command.label}`);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {boolean} Whether anything was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        command.redo();
+        // Redone commands must not merge with whatever is pushed next
+        command.pushedAt = 0;
+        this.undoStack.push(command);
+        this.utils.Logger.info(`↷ Redo: ${command.label}`);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get labels of the next undo/redo commands
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null,
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        };
+    }
+
+    /**
+     * Drop all history (e.g. when a different video is loaded)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emitChange();
+    }
+
+    /**
+     * Notify listeners that the history changed
+     */
+    emitChange() {
+        document.dispatchEvent(new CustomEvent('editorHistoryChanged', {
+            detail: this.getState()
+        }));
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.HistoryManager = HistoryManager;
+}
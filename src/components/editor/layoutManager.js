@@ -0,0 +1,373 @@
+/**
+ * Layout Manager Module
+ * Split-screen layouts: one selection region (SelectionController + FrameRecorder)
+ * per output slot, with the editor's tools following the active region
+ */
+
+class LayoutManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor; its current selection controller
+     *                               and frame recorder become the main region
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.layout = null;
+        this.regions = [];
+        this.activeRegion = null;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.LAYOUT;
+
+        // The main region always exists and keeps the editor's original modules
+        const main = this.getPreset(this.config.DEFAULT).slots[0];
+        this.mainRegion = {
+            id: main.id,
+            slot: main,
+            controller: editor.selectionController,
+            recorder: editor.frameRecorder
+        };
+        this.layout = this.config.DEFAULT;
+        this.regions = [this.mainRegion];
+        this.activeRegion = this.mainRegion;
+    }
+
+    /**
+     * Get a layout preset, falling back to the default
+     * @param {string} value - Preset value
+     * @returns {Object}
+     */
+    getPreset(value) {
+        return this.config.PRESETS.find(preset => preset.value === value) ||
+            this.config.PRESETS.find(preset => preset.value === this.config.DEFAULT);
+    }
+
+    /**
+     * Whether the output is composited from more than one region
+     * @returns {boolean}
+     */
+    isSplit() {
+        return this.regions.length > 1;
+    }
+
+    /**
+     * Get a region by id
+     * @param {string} id - Region id
+     * @returns {Object|null}
+     */
+    getRegion(id) {
+        return this.regions.find(region => region.id === id) || null;
+    }
+
+    /**
+     * Switch to a layout, creating and removing regions as needed.
+     * Regions whose slot exists in both layouts keep their keyframes.
+     * @param {string} value - Preset value
+     */
+    setLayout(value) {
+        const preset = this.getPreset(value);
+        const previous = new Map(this.regions.map(region => [region.id, region]));
+
+        this.layout = preset.value;
+        this.regions = preset.slots.map((slot, index) => {
+            if (index === 0) {
+                this.mainRegion.slot = slot;
+                return this.mainRegion;
+            }
+
+            const existing = previous.get(slot.id);
+            if (existing) {
+                previous.delete(slot.id);
+                existing.slot = slot;
+                existing.controller.label = slot.label;
+                return existing;
+            }
+            return this.createRegion(slot);
+        });
+
+        // Regions the new layout has no slot for are dropped with their keyframes
+        previous.forEach(region => {
+            if (region !== this.mainRegion) this.disposeRegion(region);
+        });
+        this.mainRegion.controller.label = this.isSplit() ? this.mainRegion.slot.label : null;
+
+        this.setActiveRegion(this.mainRegion.controller, true);
+        this.reshapeRegions();
+        this.utils.Logger.info(`🧩 Layout: ${preset.label} (${this.regions.length} region${this.regions.length === 1 ? '' : 's'})`);
+    }
+
+    /**
+     * Create the selection controller and frame recorder for a slot
+     * @param {Object} slot - Layout slot
+     * @returns {Object} Region
+     */
+    createRegion(slot) {
+        const editor = this.editor;
+        const region = {
+            id: slot.id,
+            slot,
+            controller: new window.SelectionController(editor, editor.landscapeCanvas, {
+                regionId: slot.id,
+                label: slot.label,
+                color: this.config.REGION_COLORS[slot.id]
+            }),
+            recorder: new window.FrameRecorder()
+        };
+        region.controller.active = false;
+        region.recorder.videoDuration = editor.duration;
+
+        const initial = this.config.INITIAL_REGIONS[slot.id];
+        if (initial) {
+            const { width: canvasWidth, height: canvasHeight } = editor.landscapeCanvas;
+            const width = initial.width * canvasWidth;
+            region.controller.setSelection({
+                x: initial.x * canvasWidth,
+                y: initial.y * canvasHeight,
+                width,
+                height: width / editor.getOutputAspect(slot.id),
+                zoom: 1.0
+            });
+        }
+        return region;
+    }
+
+    /**
+     * Release a region's modules
+     * @param {Object} region
+     */
+    disposeRegion(region) {
+        region.controller.active = false;
+        region.controller.cleanup();
+        region.recorder.keyframes.clear();
+    }
+
+    /**
+     * Make a region the one the editor's selection, keyframe and recording tools act on
+     * @param {SelectionController} controller - Controller of the region
+     * @param {boolean} force - Switch even when it is already active
+     */
+    setActiveRegion(controller, force = false) {
+        const region = this.regions.find(r => r.controller === controller);
+        if (!region || (region === this.activeRegion && !force)) return;
+
+        // A recording pass belongs to the region it started on
+        if (this.editor.frameRecorder?.getRecordingStatus()) return;
+
+        this.activeRegion = region;
+        this.regions.forEach(r => { r.controller.active = r === region; });
+
+        const editor = this.editor;
+        editor.selectionController = region.controller;
+        editor.frameRecorder = region.recorder;
+        editor.recordedPath = null;
+        editor.pathStats = null;
+        editor.selectedKeyframe = null;
+
+        editor.refreshKeyframeIndicators();
+        editor.updateKeyframesDisplay();
+        editor.updateLayoutControls();
+        editor.updateSelectionInfo(region.controller.getSelectionData());
+        region.controller.drawSelection();
+    }
+
+    /**
+     * Aspect ratio of a slot in the current layout
+     * (looked up in the preset, so regions being created already have one)
+     * @param {string} regionId - Region id (defaults to the main region)
+     * @param {number} outputAspect - Width / height of the whole output
+     * @returns {number}
+     */
+    getSlotAspect(regionId, outputAspect) {
+        const slot = this.getPreset(this.layout).slots.find(s => s.id === regionId) || this.mainRegion.slot;
+        return outputAspect * slot.width / slot.height;
+    }
+
+    /**
+     * Reshape every region's selection and keyframes to its slot aspect
+     */
+    reshapeRegions() {
+        const editor = this.editor;
+        const { width, height } = editor.landscapeCanvas;
+
+        this.regions.forEach(region => {
+            const aspect = editor.getOutputAspect(region.id);
+            const keyframes = editor.getKeyframeSnapshot(region.recorder);
+            if (keyframes.length > 0) {
+                editor.restoreKeyframes(keyframes.map(keyframe => ({
+                    ...keyframe,
+                    selection: window.OutputFormat.fitSelection(keyframe.selection, aspect, width, height)
+                })), region.recorder);
+            }
+            region.controller.updateTargetAspect();
+        });
+
+        this.updatePreview();
+    }
+
+    /**
+     * Selection controllers of all regions, in drawing order
+     * @returns {SelectionController[]}
+     */
+    getControllers() {
+        return this.regions.map(region => region.controller);
+    }
+
+    /**
+     * Controller that should take a pointer press at a canvas position:
+     * the active region first, then the topmost region under the pointer
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {SelectionController|null}
+     */
+    getControllerAt(x, y) {
+        const active = this.activeRegion.controller;
+        if (active.isInsideSelection(x, y)) return active;
+
+        // Other regions can't be picked up while the active one is recording
+        if (this.editor.frameRecorder?.getRecordingStatus()) return null;
+
+        const region = [...this.regions].reverse().find(r => r.controller.isInsideSelection(x, y));
+        return region ? region.controller : null;
+    }
+
+    /**
+     * Move the inactive regions along their keyframes during playback
+     * @param {number} time - Video time in seconds
+     */
+    followRecordedPaths(time) {
+        this.regions.forEach(region => {
+            if (region === this.activeRegion) return;
+
+            const selection = region.recorder.getInterpolatedSelection(time);
+            if (selection) region.controller.setSelection(selection);
+        });
+        this.updatePreview();
+    }
+
+    /**
+     * Send the regions' current selections to the preview for compositing
+     */
+    updatePreview() {
+        const preview = this.editor.previewRenderer;
+        if (!preview) return;
+
+        preview.updateRegions(this.isSplit()
+            ? this.regions.map(region => ({ slot: region.slot, selection: region.controller.getSelectionData() }))
+            : null);
+    }
+
+    /**
+     * Regions for the renderer, with keyframes mapped to source video pixels.
+     * Regions without keyframes hold their current selection.
+     * @param {Function} toSource - Maps a canvas selection to source pixels
+     * @returns {Object[]} [{ id, slot, keyframes }]
+     */
+    getRenderRegions(toSource) {
+        return this.regions.map(region => {
+            let keyframes = region.recorder.exportKeyframes().keyframes;
+            if (keyframes.length === 0) {
+                keyframes = [{ timestamp: 0, selection: region.controller.getSelectionData() }];
+            }
+
+            return {
+                id: region.id,
+                slot: region.slot,
+                keyframes: keyframes.map(keyframe => ({ ...keyframe, selection: toSource(keyframe.selection) }))
+            };
+        });
+    }
+
+    /**
+     * Keyframes of the regions other than the main one, for saving with the project
+     * @returns {Object} Keyframes per region id
+     */
+    serializeRegions() {
+        const data = {};
+        this.regions.forEach(region => {
+            if (region !== this.mainRegion) {
+                data[region.id] = this.editor.getKeyframeSnapshot(region.recorder);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Load saved keyframes into the regions other than the main one
+     * @param {Object} regionKeyframes - Keyframes per region id (from serializeRegions)
+     */
+    loadRegions(regionKeyframes = {}) {
+        this.regions.forEach(region => {
+            if (region === this.mainRegion) return;
+
+            const keyframes = regionKeyframes[region.id] || [];
+            region.recorder.importKeyframes({ keyframes });
+            if (keyframes.length > 0) {
+                region.controller.setSelection(keyframes[0].selection);
+            }
+        });
+        this.updatePreview();
+    }
+
+    /**
+     * Capture the layout with every region's keyframes and selection
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            layout: this.layout,
+            activeId: this.activeRegion.id,
+            regions: this.regions.map(region => ({
+                id: region.id,
+                keyframes: this.editor.getKeyframeSnapshot(region.recorder),
+                selection: { ...region.controller.selection }
+            }))
+        };
+    }
+
+    /**
+     * Restore a snapshot from getSnapshot()
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        const editor = this.editor;
+        if (snapshot.layout !== this.layout) {
+            this.setLayout(snapshot.layout);
+        }
+
+        snapshot.regions.forEach(saved => {
+            const region = this.getRegion(saved.id);
+            if (!region) return;
+            editor.restoreKeyframes(saved.keyframes, region.recorder);
+            region.controller.setSelection(saved.selection);
+        });
+
+        const active = this.getRegion(snapshot.activeId) || this.mainRegion;
+        this.setActiveRegion(active.controller, true);
+        this.updatePreview();
+    }
+
+    /**
+     * Set the video duration on every region's recorder
+     * @param {number} duration - Seconds
+     */
+    setVideoDuration(duration) {
+        this.regions.forEach(region => { region.recorder.videoDuration = duration; });
+    }
+
+    /**
+     * Release the regions other than the main one (the editor cleans up its own modules)
+     */
+    cleanup() {
+        this.regions.forEach(region => {
+            if (region !== this.mainRegion) this.disposeRegion(region);
+        });
+        this.regions = [this.mainRegion];
+        this.activeRegion = this.mainRegion;
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.LayoutManager = LayoutManager;
+}
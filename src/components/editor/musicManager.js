@@ -0,0 +1,443 @@
+/**
+ * Music Manager Module
+ * Background music lane: an imported MP3/WAV/OGG placed on the output timeline with its own
+ * offset, trim and volume, ducked automatically under the clip's speech, and played along
+ * with the preview through Web Audio
+ */
+
+class MusicManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.MUSIC;
+
+        this.file = null;
+        this.buffer = null; // Decoded music for preview playback
+        this.settings = {
+            offset: 0, // output second the music starts at
+            trimStart: 0, // music seconds
+            trimEnd: 0,
+            volumeDb: this.config.DEFAULT_VOLUME_DB,
+            ducking: true,
+            duckAmountDb: this.config.DUCKING.DEFAULT_AMOUNT_DB,
+            thresholdDb: this.config.DUCKING.DEFAULT_THRESHOLD_DB
+        };
+
+        // Loudness envelope of the clip audio, for the clip it was measured from
+        this.envelope = null;
+        this.envelopeSource = null;
+        this.speech = [];
+
+        // Web Audio preview playback
+        this.audioContext = null;
+        this.gainNode = null;
+        this.source = null;
+        this.sourcePosition = 0; // music seconds the playing source started at
+        this.sourceStartedAt = 0; // audio context time it started
+
+        const container = editor.container;
+        this.elements = {
+            lane: container.querySelector('.music-lane'),
+            fileInput: container.querySelector('#music-file-input'),
+            importButton: container.querySelector('.music-import-btn'),
+            clearButton: container.querySelector('.music-clear-btn'),
+            name: container.querySelector('.music-name'),
+            settings: container.querySelector('.music-settings'),
+            offset: container.querySelector('.music-offset'),
+            offsetValue: container.querySelector('.music-offset-value'),
+            trimStart: container.querySelector('.music-trim-start'),
+            trimStartValue: container.querySelector('.music-trim-start-value'),
+            trimEnd: container.querySelector('.music-trim-end'),
+            trimEndValue: container.querySelector('.music-trim-end-value'),
+            volume: container.querySelector('.music-volume'),
+            volumeValue: container.querySelector('.music-volume-value'),
+            ducking: container.querySelector('.music-ducking'),
+            duckAmount: container.querySelector('.music-duck-amount'),
+            duckAmountValue: container.querySelector('.music-duck-amount-value'),
+            threshold: container.querySelector('.music-threshold'),
+            thresholdValue: container.querySelector('.music-threshold-value')
+        };
+    }
+
+    /**
+     * Attach the music lane and control listeners
+     */
+    attachEventListeners() {
+        const elements = this.elements;
+        const { DUCKING } = this.config;
+
+        elements.importButton?.addEventListener('click', () => elements.fileInput?.click());
+        elements.fileInput?.addEventListener('change', this.handleFileSelect.bind(this));
+        elements.clearButton?.addEventListener('click', () => this.clear());
+
+        if (elements.volume) Object.assign(elements.volume, { min: this.config.MIN_VOLUME_DB, max: this.config.MAX_VOLUME_DB });
+        if (elements.duckAmount) elements.duckAmount.max = DUCKING.MAX_AMOUNT_DB;
+        if (elements.threshold) Object.assign(elements.threshold, { min: DUCKING.MIN_THRESHOLD_DB, max: DUCKING.MAX_THRESHOLD_DB });
+
+        elements.offset?.addEventListener('input', () => this.update({ offset: parseFloat(elements.offset.value) }));
+        elements.trimStart?.addEventListener('input', () => {
+            const trimStart = Math.min(parseFloat(elements.trimStart.value), this.settings.trimEnd - this.constants.SEGMENTS.MIN_DURATION);
+            this.update({ trimStart: Math.max(0, trimStart) });
+        });
+        elements.trimEnd?.addEventListener('input', () => {
+            this.update({ trimEnd: Math.max(parseFloat(elements.trimEnd.value), this.settings.trimStart + this.constants.SEGMENTS.MIN_DURATION) });
+        });
+        elements.volume?.addEventListener('input', () => this.update({ volumeDb: parseFloat(elements.volume.value) }));
+        elements.ducking?.addEventListener('change', () => this.update({ ducking: elements.ducking.checked }));
+        elements.duckAmount?.addEventListener('input', () => this.update({ duckAmountDb: parseFloat(elements.duckAmount.value) }));
+        elements.threshold?.addEventListener('input', () => this.update({ thresholdDb: parseFloat(elements.threshold.value) }));
+
+        // Clicking the lane starts the music at that point of the output
+        elements.lane?.addEventListener('click', (event) => {
+            if (!this.buffer || !this.editor.duration) return;
+            const time = this.editor.getTimelineTime(event.clientX, elements.lane);
+            const outputTime = window.SegmentTimeline.toOutputTime(this.getRanges(), time);
+            if (outputTime !== null) this.update({ offset: outputTime });
+        });
+
+        this.updateControls();
+    }
+
+    /**
+     * Import the music file chosen in the file input
+     * @param {Event} event - File input change event
+     */
+    async handleFileSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            await this.importFile(file);
+        } catch (error) {
+            this.utils.Logger.error('Failed to import music:', error);
+            this.editor.showError(`Failed to import music: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decode a music file and lay it under the whole output
+     * @param {File} file - MP3, WAV or OGG
+     */
+    async importFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const isSupported = this.config.EXTENSIONS.some(format => format === extension || file.type.includes(format)) ||
+            file.type === 'audio/mpeg';
+        if (!isSupported) {
+            throw new Error('Unsupported audio format. Use MP3, WAV or OGG.');
+        }
+
+        const context = this.getAudioContext();
+        const buffer = await context.decodeAudioData(await file.arrayBuffer());
+
+        this.stop();
+        this.file = file;
+        this.buffer = buffer;
+        this.settings = { ...this.settings, offset: 0, trimStart: 0, trimEnd: buffer.duration };
+        this.utils.Logger.info(`🎵 Music imported: ${file.name} (${buffer.duration.toFixed(1)}s)`);
+
+        await this.measureClip();
+        this.refresh();
+    }
+
+    /**
+     * Remove the music
+     */
+    clear() {
+        this.stop();
+        this.file = null;
+        this.buffer = null;
+        this.refresh();
+    }
+
+    /**
+     * Change music settings
+     * @param {Object} changes - Changed settings
+     */
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        if ('thresholdDb' in changes) this.findSpeech();
+        this.refresh();
+    }
+
+    /**
+     * Measure the loudness of the clip audio once per clip, to find where to duck
+     * @returns {Promise<void>}
+     */
+    async measureClip() {
+        const blob = this.editor.videoBlob;
+        if (!blob || blob === this.envelopeSource) return;
+
+        this.envelopeSource = blob;
+        this.envelope = null;
+        try {
+            const context = new OfflineAudioContext(1, 1, this.constants.AUDIO.SAMPLE_RATE);
+            const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+            if (blob !== this.envelopeSource) return;
+            this.envelope = window.MusicTrack.getEnvelope(buffer);
+        } catch (error) {
+            this.utils.Logger.warn('Clip audio could not be measured, the music will not duck:', error);
+        }
+        this.findSpeech();
+    }
+
+    /**
+     * Find the speech in the clip at the current threshold
+     */
+    findSpeech() {
+        this.speech = this.envelope ? window.MusicTrack.getSpeechIntervals(this.envelope, this.settings.thresholdDb) : [];
+    }
+
+    /**
+     * Kept ranges of the current cut
+     * @returns {Object[]} See SegmentTimeline.getRanges
+     */
+    getRanges() {
+        return this.editor.segmentManager?.getRanges() ||
+            window.SegmentTimeline.getRanges(null, this.editor.trimStart, this.editor.trimEnd);
+    }
+
+    /**
+     * Ducking of the music on an output timeline
+     * @param {Object[]} ranges - From SegmentTimeline.getRanges()
+     * @returns {Object|null} { intervals, depth } (see MusicTrack.getDuckGain), or null when the music does not duck
+     */
+    getDuck(ranges) {
+        const { ducking, duckAmountDb } = this.settings;
+        if (!ducking || !duckAmountDb || this.editor.exportSettings.audio.muted || this.speech.length === 0) return null;
+        return {
+            intervals: window.MusicTrack.getDuckIntervals(this.speech, ranges),
+            depth: window.MusicTrack.getDuckDepth(duckAmountDb)
+        };
+    }
+
+    /**
+     * Music for the renderers
+     * @param {Object[]|null} segments - Export segments (see SegmentManager.getExportSegments)
+     * @param {number} trimStart - Start of the trim range in seconds
+     * @param {number} trimEnd - End of the trim range in seconds
+     * @returns {Object|null} { file, offset, trimStart, trimEnd, volumeDb, duck }, or null without music
+     */
+    getExportMusic(segments, trimStart, trimEnd) {
+        if (!this.file) return null;
+        const { offset, trimStart: musicStart, trimEnd: musicEnd, volumeDb } = this.settings;
+        return {
+            file: this.file,
+            offset,
+            trimStart: musicStart,
+            trimEnd: musicEnd,
+            volumeDb,
+            duck: this.getDuck(window.SegmentTimeline.getRanges(segments, trimStart, trimEnd))
+        };
+    }
+
+    /**
+     * Create the audio context on first use (after a user gesture, so it may play)
+     * @returns {AudioContext}
+     */
+    getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+            this.gainNode = this.audioContext.createGain();
+            this.gainNode.connect(this.audioContext.destination);
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * Keep the preview music in step with the playhead; called every frame while playing
+     */
+    sync() {
+        if (!this.buffer || !this.editor.isPlaying) {
+            this.stop();
+            return;
+        }
+
+        const { offset, trimStart, trimEnd } = this.settings;
+        const outputTime = this.editor.segmentManager?.getOutputTime() ?? null;
+        const position = outputTime === null ? null : trimStart + outputTime - offset;
+        if (position === null || position < trimStart || position >= trimEnd) {
+            this.stop();
+            return;
+        }
+
+        const context = this.getAudioContext();
+        const playing = this.source ? this.sourcePosition + context.currentTime - this.sourceStartedAt : null;
+        if (playing === null || Math.abs(playing - position) > this.config.SYNC_TOLERANCE) {
+            this.start(position);
+        }
+        this.gainNode.gain.setTargetAtTime(this.getPreviewGain(outputTime), context.currentTime, this.config.GAIN_SMOOTHING);
+    }
+
+    /**
+     * Start preview playback of the music
+     * @param {number} position - Music seconds to start from
+     */
+    start(position) {
+        this.stop();
+        const context = this.getAudioContext();
+        if (context.state === 'suspended') context.resume();
+
+        this.source = context.createBufferSource();
+        this.source.buffer = this.buffer;
+        this.source.connect(this.gainNode);
+        this.source.start(0, position, this.settings.trimEnd - position);
+        this.sourcePosition = position;
+        this.sourceStartedAt = context.currentTime;
+    }
+
+    /**
+     * Stop preview playback of the music
+     */
+    stop() {
+        if (!this.source) return;
+        try {
+            this.source.stop();
+        } catch (error) {
+            // Already ended
+        }
+        this.source.disconnect();
+        this.source = null;
+    }
+
+    /**
+     * Music level in the preview at an output time: volume, ducking and the export fades
+     * @param {number} outputTime - Seconds on the output timeline
+     * @returns {number} Linear gain
+     */
+    getPreviewGain(outputTime) {
+        const ranges = this.getRanges();
+        const duration = window.SegmentTimeline.getDuration(ranges);
+        const { fadeIn, fadeOut } = this.editor.exportSettings.audio;
+
+        let gain = Math.pow(10, this.settings.volumeDb / 20) * window.MusicTrack.getDuckGain(this.getDuck(ranges), outputTime);
+        if (fadeIn > 0) gain *= Math.min(1, outputTime / fadeIn);
+        if (fadeOut > 0) gain *= Math.min(1, Math.max(0, (duration - outputTime) / fadeOut));
+        return gain;
+    }
+
+    /**
+     * Redraw the lane and the controls
+     */
+    refresh() {
+        this.renderLane();
+        this.updateControls();
+    }
+
+    /**
+     * Show where the music plays and where it ducks, at their places in the source
+     */
+    renderLane() {
+        const lane = this.elements.lane;
+        const duration = this.editor.duration;
+        if (!lane) return;
+
+        lane.innerHTML = '';
+        lane.classList.toggle('empty', !this.buffer);
+        if (!this.buffer || !duration) return;
+
+        // A new clip needs measuring before its speech can be shown
+        if (this.editor.videoBlob && this.editor.videoBlob !== this.envelopeSource) {
+            this.measureClip().then(() => this.renderLane());
+        }
+
+        const DOMUtils = this.utils.DOMUtils;
+        const percent = (time) => this.editor.getTimelinePercent(time);
+        const ranges = this.getRanges();
+        const span = window.MusicTrack.getSpan(this.settings, window.SegmentTimeline.getDuration(ranges));
+
+        ranges.filter(range => !range.hold).forEach(range => {
+            const start = Math.max(span.start, range.offset);
+            const end = Math.min(span.end, range.offset + window.SegmentTimeline.getLength(range));
+            if (end <= start) return;
+
+            const sourceStart = window.SegmentTimeline.getSourceTime(range, start);
+            const sourceEnd = window.SegmentTimeline.getSourceTime(range, end);
+            lane.appendChild(DOMUtils.createElement('div', {
+                className: 'music-block',
+                textContent: this.file.name,
+                attributes: { title: `${this.file.name} · ${this.formatVolume(this.settings.volumeDb)}` },
+                styles: { left: `${percent(sourceStart)}%`, width: `${percent(sourceEnd) - percent(sourceStart)}%` }
+            }));
+        });
+
+        if (this.getDuck(ranges)) {
+            this.speech.forEach(interval => {
+                lane.appendChild(DOMUtils.createElement('div', {
+                    className: 'music-duck',
+                    attributes: { title: `Ducked ${this.settings.duckAmountDb} dB while talking` },
+                    styles: { left: `${percent(interval.start)}%`, width: `${percent(interval.end) - percent(interval.start)}%` }
+                }));
+            });
+        }
+    }
+
+    /**
+     * Sync the controls with the music settings
+     */
+    updateControls() {
+        const elements = this.elements;
+        const settings = this.settings;
+        const musicLength = this.buffer?.duration || 0;
+
+        if (elements.name) elements.name.textContent = this.file ? this.file.name : 'No music';
+        elements.clearButton?.classList.toggle('hidden', !this.file);
+        elements.settings?.classList.toggle('hidden', !this.file);
+
+        if (elements.offset) {
+            elements.offset.max = this.editor.duration || 0;
+            elements.offset.value = settings.offset;
+        }
+        if (elements.trimStart) Object.assign(elements.trimStart, { max: musicLength, value: settings.trimStart });
+        if (elements.trimEnd) Object.assign(elements.trimEnd, { max: musicLength, value: settings.trimEnd });
+        if (elements.volume) elements.volume.value = settings.volumeDb;
+        if (elements.ducking) elements.ducking.checked = settings.ducking;
+        if (elements.duckAmount) {
+            elements.duckAmount.value = settings.duckAmountDb;
+            elements.duckAmount.disabled = !settings.ducking;
+        }
+        if (elements.threshold) {
+            elements.threshold.value = settings.thresholdDb;
+            elements.threshold.disabled = !settings.ducking;
+        }
+
+        if (elements.offsetValue) elements.offsetValue.textContent = `${settings.offset.toFixed(1)}s`;
+        if (elements.trimStartValue) elements.trimStartValue.textContent = `${settings.trimStart.toFixed(1)}s`;
+        if (elements.trimEndValue) elements.trimEndValue.textContent = `${settings.trimEnd.toFixed(1)}s`;
+        if (elements.volumeValue) elements.volumeValue.textContent = this.formatVolume(settings.volumeDb);
+        if (elements.duckAmountValue) elements.duckAmountValue.textContent = `-${settings.duckAmountDb} dB`;
+        if (elements.thresholdValue) elements.thresholdValue.textContent = `${settings.thresholdDb} dB`;
+    }
+
+    /**
+     * Format a volume, e.g. "-12 dB"
+     * @param {number} db
+     * @returns {string}
+     */
+    formatVolume(db) {
+        return `${db > 0 ? '+' : ''}${db} dB`;
+    }
+
+    /**
+     * Stop the preview music and release its audio context
+     */
+    cleanup() {
+        this.stop();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+            this.gainNode = null;
+        }
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.MusicManager = MusicManager;
+}
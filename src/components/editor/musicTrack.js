@@ -0,0 +1,131 @@
+/**
+ * Music Track Module
+ * Background music placement and auto-ducking shared by the preview and the export renderers:
+ * the clip audio's loudness envelope marks where the streamer is talking, and the music
+ * drops by the duck amount over those stretches of the output timeline.
+ */
+
+const MusicTrack = {
+    /**
+     * Loudness of decoded audio over time
+     * @param {AudioBuffer} buffer - Decoded clip audio
+     * @returns {Float32Array} dBFS of each DUCKING.WINDOW seconds, all channels together
+     */
+    getEnvelope: (buffer) => {
+        const { WINDOW } = window.EDITOR_CONSTANTS.MUSIC.DUCKING;
+        const windowSamples = Math.max(1, Math.round(WINDOW * buffer.sampleRate));
+        const envelope = new Float32Array(Math.ceil(buffer.length / windowSamples));
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+
+        for (let step = 0; step < envelope.length; step++) {
+            const start = step * windowSamples;
+            const end = Math.min(buffer.length, start + windowSamples);
+            let sum = 0;
+            channels.forEach(channel => {
+                for (let i = start; i < end; i++) sum += channel[i] * channel[i];
+            });
+            const rms = Math.sqrt(sum / ((end - start) * channels.length));
+            envelope[step] = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+        }
+        return envelope;
+    },
+
+    /**
+     * Stretches of the clip where someone is talking
+     * @param {Float32Array} envelope - From getEnvelope()
+     * @param {number} thresholdDb - Loudness that counts as talking
+     * @returns {Object[]} [{ start, end }] in source video seconds, short pauses bridged
+     */
+    getSpeechIntervals: (envelope, thresholdDb) => {
+        const { WINDOW, HOLD } = window.EDITOR_CONSTANTS.MUSIC.DUCKING;
+        const intervals = [];
+
+        envelope.forEach((level, step) => {
+            if (level < thresholdDb) return;
+            const start = step * WINDOW;
+            const last = intervals[intervals.length - 1];
+            if (last && start - last.end < HOLD) {
+                last.end = start + WINDOW;
+            } else {
+                intervals.push({ start, end: start + WINDOW });
+            }
+        });
+        return intervals;
+    },
+
+    /**
+     * Speech moved onto the output timeline, where the music ducks
+     * @param {Object[]} speech - From getSpeechIntervals()
+     * @param {Object[]} ranges - From SegmentTimeline.getRanges()
+     * @returns {Object[]} [{ start, end }] in output seconds, sorted and far enough apart that their ramps never overlap
+     */
+    getDuckIntervals: (speech, ranges) => {
+        const { ATTACK, RELEASE } = window.EDITOR_CONSTANTS.MUSIC.DUCKING;
+        const pieces = speech
+            .flatMap(interval => window.SegmentTimeline.mapInterval(ranges, interval.start, interval.end))
+            // Freeze-frames are silent
+            .filter(piece => piece.sourceEnd > piece.sourceStart)
+            .sort((a, b) => a.start - b.start);
+
+        const intervals = [];
+        pieces.forEach(piece => {
+            const last = intervals[intervals.length - 1];
+            if (last && piece.start - last.end < ATTACK + RELEASE) {
+                last.end = Math.max(last.end, piece.end);
+            } else {
+                intervals.push({ start: piece.start, end: piece.end });
+            }
+        });
+        return intervals;
+    },
+
+    /**
+     * How far one duck interval holds the music down at a time: ramping in over the attack
+     * before it and out over the release after it
+     * @param {Object} interval - { start, end } in output seconds
+     * @param {number} time - Output seconds
+     * @returns {number} 0 (no ducking) to 1 (fully ducked)
+     */
+    getRamp: (interval, time) => {
+        const { ATTACK, RELEASE } = window.EDITOR_CONSTANTS.MUSIC.DUCKING;
+        const ramp = Math.min((time - interval.start) / ATTACK + 1, (interval.end - time) / RELEASE + 1);
+        return Math.min(1, Math.max(0, ramp));
+    },
+
+    /**
+     * Music gain from ducking at an output time
+     * @param {Object|null} duck - { intervals, depth } with depth the fraction of the level removed, or null
+     * @param {number} time - Output seconds
+     * @returns {number} 1 for full volume
+     */
+    getDuckGain: (duck, time) => {
+        if (!duck) return 1;
+        const ramp = duck.intervals.reduce((sum, interval) => sum + MusicTrack.getRamp(interval, time), 0);
+        return 1 - duck.depth * Math.min(1, ramp);
+    },
+
+    /**
+     * Fraction of the level a duck amount removes
+     * @param {number} amountDb - How far the music drops
+     * @returns {number} 0 to 1
+     */
+    getDuckDepth: (amountDb) => {
+        return 1 - Math.pow(10, -amountDb / 20);
+    },
+
+    /**
+     * Where the music plays on the output timeline
+     * @param {Object} music - { offset, trimStart, trimEnd }
+     * @param {number} duration - Output length in seconds
+     * @returns {Object} { start, end } in output seconds (empty when it starts after the end)
+     */
+    getSpan: (music, duration) => {
+        const start = Math.min(music.offset, duration);
+        return { start, end: Math.min(duration, music.offset + music.trimEnd - music.trimStart) };
+    }
+};
+
+// Export for use in editor modules and export renderers
+if (typeof window !== 'undefined') {
+    window.MusicTrack = MusicTrack;
+}
@@ -0,0 +1,176 @@
+/**
+ * Output Format Module
+ * Aspect ratio, resolution and layout slot geometry shared by selection, preview and export
+ */
+
+const OutputFormat = {
+    /**
+     * Aspect ratio (width / height) of the output settings
+     * @param {Object} output - exportSettings.output
+     * @returns {number}
+     */
+    getAspectRatio: (output = {}) => {
+        const { ASPECT_PRESETS, DEFAULT_ASPECT } = window.EDITOR_CONSTANTS.EXPORT;
+
+        if (output.aspect === 'custom') {
+            const width = parseFloat(output.customWidth);
+            const height = parseFloat(output.customHeight);
+            if (width > 0 && height > 0) return width / height;
+        }
+
+        const preset = ASPECT_PRESETS.find(p => p.value === output.aspect && p.ratio) ||
+            ASPECT_PRESETS.find(p => p.value === DEFAULT_ASPECT);
+        return preset.ratio;
+    },
+
+    /**
+     * Short label of the output aspect, e.g. "9:16"
+     * @param {Object} output - exportSettings.output
+     * @returns {string}
+     */
+    getAspectLabel: (output = {}) => {
+        if (output.aspect === 'custom' && output.customWidth > 0 && output.customHeight > 0) {
+            return `${output.customWidth}:${output.customHeight}`;
+        }
+        return output.aspect && output.aspect !== 'custom'
+            ? output.aspect
+            : window.EDITOR_CONSTANTS.EXPORT.DEFAULT_ASPECT;
+    },
+
+    /**
+     * Encoded output size for the settings
+     * @param {Object} output - exportSettings.output
+     * @param {number} sourceWidth - Source video width (for resolutions capped at the source)
+     * @param {number} sourceHeight - Source video height
+     * @returns {Object} { width, height }, both even for H.264
+     */
+    getOutputSize: (output = {}, sourceWidth = 0, sourceHeight = 0) => {
+        const { RESOLUTIONS, DEFAULT_RESOLUTION } = window.EDITOR_CONSTANTS.EXPORT;
+        const preset = RESOLUTIONS.find(r => r.value === output.resolution) ||
+            RESOLUTIONS.find(r => r.value === DEFAULT_RESOLUTION);
+
+        let shortSide = preset.shortSide;
+        if (preset.capAtSource && sourceWidth > 0 && sourceHeight > 0) {
+            shortSide = Math.min(shortSide, Math.min(sourceWidth, sourceHeight));
+        }
+
+        const aspect = OutputFormat.getAspectRatio(output);
+        const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+        return aspect <= 1
+            ? { width: toEven(shortSide), height: toEven(shortSide / aspect) }
+            : { width: toEven(shortSide * aspect), height: toEven(shortSide) };
+    },
+
+    /**
+     * Largest size with the given aspect that fits in a box
+     * @param {number} aspect - Width / height
+     * @param {number} maxWidth
+     * @param {number} maxHeight
+     * @returns {Object} { width, height }
+     */
+    fitInBox: (aspect, maxWidth, maxHeight) => {
+        return maxWidth / maxHeight > aspect
+            ? { width: Math.round(maxHeight * aspect), height: maxHeight }
+            : { width: maxWidth, height: Math.round(maxWidth / aspect) };
+    },
+
+    /**
+     * Centered rectangle showing a whole source frame inside the output (letterboxed), with even size
+     * @param {number} sourceWidth
+     * @param {number} sourceHeight
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object} { x, y, width, height }
+     */
+    getContainRect: (sourceWidth, sourceHeight, width, height) => {
+        const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+        const size = OutputFormat.fitInBox(sourceWidth / sourceHeight, width, height);
+        const fitted = { width: Math.min(width, toEven(size.width)), height: Math.min(height, toEven(size.height)) };
+
+        return {
+            x: Math.round((width - fitted.width) / 2),
+            y: Math.round((height - fitted.height) / 2),
+            ...fitted
+        };
+    },
+
+    /**
+     * Centered part of a source frame that covers an output aspect (for the blurred background)
+     * @param {number} sourceWidth
+     * @param {number} sourceHeight
+     * @param {number} aspect - Output width / height
+     * @returns {Object} Source rectangle { x, y, width, height }
+     */
+    getCoverRect: (sourceWidth, sourceHeight, aspect) => {
+        const width = Math.min(sourceWidth, sourceHeight * aspect);
+        const height = width / aspect;
+        return { x: (sourceWidth - width) / 2, y: (sourceHeight - height) / 2, width, height };
+    },
+
+    /**
+     * Blur sigma for an output size, from the strength measured at the reference size
+     * @param {number} blur - Blur strength (see EDITOR_CONSTANTS.FIT)
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {number}
+     */
+    getBlurSigma: (blur, width, height) => {
+        return blur * Math.min(width, height) / window.EDITOR_CONSTANTS.FIT.BLUR_REFERENCE;
+    },
+
+    /**
+     * Pixel rectangle of a layout slot, with even edges so adjacent slots tile exactly
+     * @param {Object} slot - Slot in output fractions { x, y, width, height }
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object} { x, y, width, height }
+     */
+    getSlotRect: (slot, width, height) => {
+        const toEven = (value) => Math.round(value / 2) * 2;
+        const left = toEven(slot.x * width);
+        const top = toEven(slot.y * height);
+        const right = toEven((slot.x + slot.width) * width);
+        const bottom = toEven((slot.y + slot.height) * height);
+
+        return { x: left, y: top, width: Math.max(2, right - left), height: Math.max(2, bottom - top) };
+    },
+
+    /**
+     * Reshape a selection to an aspect ratio around its center, keeping it inside the canvas
+     * @param {Object} selection - Selection in landscape canvas space
+     * @param {number} aspect - Target width / height
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     * @returns {Object} New selection
+     */
+    fitSelection: (selection, aspect, canvasWidth, canvasHeight) => {
+        const centerX = selection.x + selection.width / 2;
+        const centerY = selection.y + selection.height / 2;
+
+        // Keep the height so the framing stays comparable, unless the result is too wide
+        let height = selection.height;
+        let width = height * aspect;
+        if (width > canvasWidth) {
+            width = canvasWidth;
+            height = width / aspect;
+        }
+        if (height > canvasHeight) {
+            height = canvasHeight;
+            width = height * aspect;
+        }
+
+        return {
+            ...selection,
+            width,
+            height,
+            x: Math.max(0, Math.min(canvasWidth - width, centerX - width / 2)),
+            y: Math.max(0, Math.min(canvasHeight - height, centerY - height / 2))
+        };
+    }
+};
+
+// Export for use in editor modules
+if (typeof window !== 'undefined') {
+    window.OutputFormat = OutputFormat;
+}
@@ -0,0 +1,552 @@
+/**
+ * Overlay Manager Module
+ * Text and image overlay layers (editor.overlays): adding from presets, the layer list
+ * and properties, dragging layers on the preview canvas, and undoable edits
+ */
+
+class OverlayManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor (its UI and preview must already be set up)
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.selectedId = null;
+        this.drag = null;
+        this.pendingImagePreset = null;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.OVERLAYS;
+
+        const container = editor.container;
+        this.elements = {
+            add: container.querySelector('.overlay-add'),
+            imageInput: container.querySelector('#overlay-image-input'),
+            layers: container.querySelector('.overlay-layers'),
+            layerEditor: container.querySelector('.overlay-editor'),
+            textFields: container.querySelector('.overlay-text-fields'),
+            text: container.querySelector('.overlay-text'),
+            font: container.querySelector('.overlay-font'),
+            color: container.querySelector('.overlay-color'),
+            bold: container.querySelector('.overlay-bold'),
+            stroke: container.querySelector('.overlay-stroke'),
+            scale: container.querySelector('.overlay-scale'),
+            scaleValue: container.querySelector('.overlay-scale-value'),
+            opacity: container.querySelector('.overlay-opacity'),
+            opacityValue: container.querySelector('.overlay-opacity-value'),
+            start: container.querySelector('.overlay-start'),
+            end: container.querySelector('.overlay-end'),
+            fadeIn: container.querySelector('.overlay-fade-in'),
+            fadeInValue: container.querySelector('.overlay-fade-in-value'),
+            fadeOut: container.querySelector('.overlay-fade-out'),
+            fadeOutValue: container.querySelector('.overlay-fade-out-value'),
+            raise: container.querySelector('.overlay-raise-btn'),
+            lower: container.querySelector('.overlay-lower-btn'),
+            remove: container.querySelector('.overlay-delete-btn')
+        };
+    }
+
+    /**
+     * Overlay layers, first at the bottom
+     * @returns {Object[]}
+     */
+    get overlays() {
+        return this.editor.overlays;
+    }
+
+    /**
+     * Attach the layer controls and preview canvas listeners
+     */
+    attachEventListeners() {
+        const elements = this.elements;
+
+        // Add a layer from a preset; image presets ask for the file first
+        if (elements.add) {
+            this.config.PRESETS.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.value;
+                option.textContent = preset.label;
+                elements.add.appendChild(option);
+            });
+            elements.add.addEventListener('change', () => {
+                const preset = this.config.PRESETS.find(p => p.value === elements.add.value);
+                elements.add.value = '';
+                if (!preset) return;
+
+                if (preset.type === 'image') {
+                    this.pendingImagePreset = preset;
+                    elements.imageInput?.click();
+                } else {
+                    this.addLayer(this.createTextLayer(preset));
+                }
+            });
+        }
+        elements.imageInput?.addEventListener('change', this.handleImageSelect.bind(this));
+
+        // Layer list and order
+        elements.layers?.addEventListener('click', (event) => {
+            const row = event.target.closest('.overlay-layer');
+            if (row) this.selectLayer(parseInt(row.dataset.id, 10));
+        });
+        elements.raise?.addEventListener('click', () => this.moveLayer(this.selectedId, 1));
+        elements.lower?.addEventListener('click', () => this.moveLayer(this.selectedId, -1));
+        elements.remove?.addEventListener('click', () => {
+            if (this.selectedId !== null) this.deleteLayer(this.selectedId);
+        });
+
+        // Properties of the selected layer; sliders and typing collapse into one undo step
+        const bindProperty = (input, event, property, read, label) => {
+            input?.addEventListener(event, () => {
+                if (this.selectedId === null) return;
+                this.updateLayer(this.selectedId, { [property]: read(input) }, label, `overlay-${property}:${this.selectedId}`);
+            });
+        };
+        const readNumber = (input) => parseFloat(input.value);
+        bindProperty(elements.text, 'input', 'text', input => input.value, 'Edit overlay text');
+        bindProperty(elements.font, 'change', 'font', input => input.value, 'Change overlay font');
+        bindProperty(elements.color, 'input', 'color', input => input.value, 'Change overlay color');
+        bindProperty(elements.bold, 'change', 'bold', input => input.checked, 'Change overlay font');
+        bindProperty(elements.stroke, 'change', 'stroke', input => input.checked, 'Change overlay outline');
+        bindProperty(elements.scale, 'input', 'scale', readNumber, 'Scale overlay');
+        bindProperty(elements.opacity, 'input', 'opacity', readNumber, 'Change overlay opacity');
+        bindProperty(elements.start, 'change', 'start', readNumber, 'Retime overlay');
+        bindProperty(elements.end, 'change', 'end', readNumber, 'Retime overlay');
+        bindProperty(elements.fadeIn, 'input', 'fadeIn', readNumber, 'Change overlay fade');
+        bindProperty(elements.fadeOut, 'input', 'fadeOut', readNumber, 'Change overlay fade');
+
+        if (elements.font) {
+            this.constants.CAPTIONS.FONTS.forEach(font => {
+                const option = document.createElement('option');
+                option.value = font.value;
+                option.textContent = font.label;
+                elements.font.appendChild(option);
+            });
+        }
+
+        // Dragging on the preview
+        const canvas = this.editor.previewRenderer?.getCanvas();
+        canvas?.addEventListener('mousedown', this.handlePreviewMouseDown.bind(this));
+        canvas?.addEventListener('mousemove', this.handlePreviewHover.bind(this));
+
+        this.refresh();
+    }
+
+    /**
+     * Create a text layer from a preset
+     * @param {Object} preset - Entry of EDITOR_CONSTANTS.OVERLAYS.PRESETS
+     * @returns {Object}
+     */
+    createTextLayer(preset) {
+        const channel = this.editor.libraryClip?.channel || this.utils.VideoUtils.getChannelName() || 'channel';
+        return {
+            ...this.createLayer(preset),
+            type: 'text',
+            text: preset.text.replace('{channel}', channel),
+            ...this.config.TEXT_STYLE
+        };
+    }
+
+    /**
+     * Create an image layer from a preset
+     * @param {Object} preset - Entry of EDITOR_CONSTANTS.OVERLAYS.PRESETS
+     * @param {string} src - Image data URL (kept in the project)
+     * @param {string} name - Image file name
+     * @returns {Object}
+     */
+    createImageLayer(preset, src, name) {
+        return { ...this.createLayer(preset), type: 'image', name, src };
+    }
+
+    /**
+     * Properties shared by every layer, shown over the whole trimmed range
+     * @param {Object} preset
+     * @returns {Object}
+     */
+    createLayer(preset) {
+        const editor = this.editor;
+        return {
+            id: Math.max(0, ...this.overlays.map(overlay => overlay.id)) + 1,
+            name: preset.label,
+            x: preset.x ?? 0.5,
+            y: preset.y ?? 0.5,
+            scale: preset.scale ?? 1,
+            opacity: preset.opacity ?? 1,
+            start: editor.trimStart || 0,
+            end: editor.trimEnd || editor.duration || 0,
+            fadeIn: 0,
+            fadeOut: 0
+        };
+    }
+
+    /**
+     * Read the chosen image and add it as a layer
+     * @param {Event} event - File input change event
+     */
+    handleImageSelect(event) {
+        const file = event.target.files[0];
+        const preset = this.pendingImagePreset || this.config.PRESETS.find(p => p.type === 'image');
+        event.target.value = '';
+        this.pendingImagePreset = null;
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            this.editor.showError('Please select an image file (PNG, JPEG, WebP or GIF)');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const layer = this.createImageLayer(preset, reader.result, file.name);
+            window.OverlayRenderer.loadImages([layer]).then(() => this.addLayer(layer));
+        };
+        reader.onerror = () => this.editor.showError(`Could not read ${file.name}`);
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Add a layer on top as an undoable edit
+     * @param {Object} layer
+     */
+    addLayer(layer) {
+        const before = this.getSnapshot();
+        this.editor.overlays = [...this.overlays, layer];
+        this.pushHistory('Add overlay', before);
+        this.selectLayer(layer.id);
+        this.refresh();
+
+        this.utils.Logger.info(`🖼️ Overlay added: ${layer.name}`);
+    }
+
+    /**
+     * Delete a layer as an undoable edit
+     * @param {number} id - Layer id
+     */
+    deleteLayer(id) {
+        const before = this.getSnapshot();
+        this.editor.overlays = this.overlays.filter(overlay => overlay.id !== id);
+        if (this.overlays.length === before.length) return;
+
+        if (this.selectedId === id) this.selectedId = null;
+        this.pushHistory('Delete overlay', before);
+        this.refresh();
+    }
+
+    /**
+     * Move a layer up or down the stack as an undoable edit
+     * @param {number} id - Layer id
+     * @param {number} direction - 1 to raise, -1 to lower
+     */
+    moveLayer(id, direction) {
+        const index = this.overlays.findIndex(overlay => overlay.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.overlays.length) return;
+
+        const before = this.getSnapshot();
+        const overlays = [...this.overlays];
+        [overlays[index], overlays[target]] = [overlays[target], overlays[index]];
+        this.editor.overlays = overlays;
+        this.pushHistory(direction > 0 ? 'Raise overlay' : 'Lower overlay', before);
+        this.refresh();
+    }
+
+    /**
+     * Change a layer's properties as an undoable edit
+     * @param {number} id - Layer id
+     * @param {Object} changes - Changed properties
+     * @param {string} label - History label
+     * @param {string} mergeKey - Groups rapid repeated edits (optional)
+     */
+    updateLayer(id, changes, label, mergeKey) {
+        const before = this.getSnapshot();
+        if (!this.applyChanges(id, changes)) return;
+
+        this.pushHistory(label, before, mergeKey);
+        this.refresh();
+    }
+
+    /**
+     * Change a layer's properties in place, keeping them in range
+     * @param {number} id - Layer id
+     * @param {Object} changes - Changed properties
+     * @returns {boolean} Whether the layer exists
+     */
+    applyChanges(id, changes) {
+        const index = this.overlays.findIndex(overlay => overlay.id === id);
+        if (index === -1) return false;
+
+        const { MIN_SCALE, MAX_SCALE, MAX_FADE } = this.config;
+        const { MIN_DURATION } = this.constants.CAPTIONS;
+        const duration = this.editor.duration || Infinity;
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, Number.isFinite(value) ? value : min));
+        const layer = { ...this.overlays[index], ...changes };
+
+        layer.x = clamp(layer.x, 0, 1);
+        layer.y = clamp(layer.y, 0, 1);
+        layer.scale = clamp(layer.scale, MIN_SCALE, MAX_SCALE);
+        layer.opacity = clamp(layer.opacity, 0, 1);
+        layer.start = clamp(layer.start, 0, duration);
+        layer.end = clamp(layer.end, layer.start + MIN_DURATION, Math.max(duration, layer.start + MIN_DURATION));
+        layer.fadeIn = clamp(layer.fadeIn, 0, MAX_FADE);
+        layer.fadeOut = clamp(layer.fadeOut, 0, MAX_FADE);
+
+        this.editor.overlays = this.overlays.map((overlay, i) => i === index ? layer : overlay);
+        return true;
+    }
+
+    /**
+     * Copy the layers so they can be restored later (image data URLs are shared, not copied)
+     * @returns {Object[]}
+     */
+    getSnapshot() {
+        return this.overlays.map(overlay => ({ ...overlay }));
+    }
+
+    /**
+     * Add a layer change to the history, from a snapshot taken before it
+     * @param {string} label - History label
+     * @param {Object[]} before - Layers before the change
+     * @param {string} mergeKey - Groups rapid repeated edits (optional)
+     */
+    pushHistory(label, before, mergeKey) {
+        const after = this.getSnapshot();
+        this.editor.history?.push({
+            label,
+            mergeKey,
+            undo: () => this.restoreLayers(before),
+            redo: () => this.restoreLayers(after)
+        });
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Replace all layers with a snapshot
+     * @param {Object[]} snapshot - From getSnapshot()
+     */
+    restoreLayers(snapshot) {
+        this.editor.overlays = snapshot.map(overlay => ({ ...overlay }));
+        this.refresh();
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Select a layer for editing
+     * @param {number|null} id - Layer id, or null to clear
+     */
+    selectLayer(id) {
+        this.selectedId = id;
+        if (id !== null) {
+            this.editor.selectKeyframe(null);
+            this.editor.captionManager?.selectCue(null);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Layer under a point of the preview canvas: the selected one first, then the topmost shown one
+     * @param {number} x - Preview canvas X
+     * @param {number} y - Preview canvas Y
+     * @returns {Object|null}
+     */
+    getLayerAt(x, y) {
+        const preview = this.editor.previewRenderer;
+        const { width, height } = preview.getCanvas();
+        const time = this.editor.sourceVideo.currentTime;
+        const contains = (overlay) => {
+            const bounds = window.OverlayRenderer.getBounds(preview.previewCtx, overlay, width, height);
+            return bounds && x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+        };
+
+        const selected = this.overlays.find(overlay => overlay.id === this.selectedId);
+        if (selected && contains(selected)) return selected;
+
+        return [...this.overlays].reverse().find(overlay => (
+            window.OverlayRenderer.getAlpha(overlay, time) > 0 && contains(overlay)
+        )) || null;
+    }
+
+    /**
+     * Map a mouse event to preview canvas pixels
+     * @param {MouseEvent} event
+     * @returns {Object} { x, y }
+     */
+    getCanvasPoint(event) {
+        const canvas = this.editor.previewRenderer.getCanvas();
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Start dragging the layer under the pointer on the preview
+     * @param {MouseEvent} event
+     */
+    handlePreviewMouseDown(event) {
+        const point = this.getCanvasPoint(event);
+        const layer = this.getLayerAt(point.x, point.y);
+        if (!layer) {
+            if (this.selectedId !== null) this.selectLayer(null);
+            return;
+        }
+
+        event.preventDefault();
+        if (layer.id !== this.selectedId) this.selectLayer(layer.id);
+        this.drag = { id: layer.id, point, from: { x: layer.x, y: layer.y }, before: this.getSnapshot(), moved: false };
+
+        const onMouseMove = (e) => this.handlePreviewDrag(e);
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            this.handlePreviewDragEnd();
+        }, { once: true });
+    }
+
+    /**
+     * Move the dragged layer with the pointer
+     * @param {MouseEvent} event
+     */
+    handlePreviewDrag(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        const { width, height } = this.editor.previewRenderer.getCanvas();
+        const point = this.getCanvasPoint(event);
+        drag.moved = true;
+
+        this.applyChanges(drag.id, {
+            x: drag.from.x + (point.x - drag.point.x) / width,
+            y: drag.from.y + (point.y - drag.point.y) / height
+        });
+        this.updatePreview();
+    }
+
+    /**
+     * Commit a layer drag as one undoable move
+     */
+    handlePreviewDragEnd() {
+        const drag = this.drag;
+        this.drag = null;
+        if (drag?.moved) this.pushHistory('Move overlay', drag.before);
+    }
+
+    /**
+     * Show a move cursor over draggable layers
+     * @param {MouseEvent} event
+     */
+    handlePreviewHover(event) {
+        if (this.drag || this.overlays.length === 0) return;
+        const point = this.getCanvasPoint(event);
+        this.editor.previewRenderer.getCanvas().style.cursor = this.getLayerAt(point.x, point.y) ? 'move' : '';
+    }
+
+    /**
+     * Redraw the layer list, the properties and the preview
+     */
+    refresh() {
+        if (this.selectedId !== null && !this.overlays.some(overlay => overlay.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+        this.renderLayerList();
+        this.updateLayerEditor();
+        this.updatePreview();
+    }
+
+    /**
+     * List the layers, topmost first
+     */
+    renderLayerList() {
+        const list = this.elements.layers;
+        if (!list) return;
+
+        list.innerHTML = '';
+        [...this.overlays].reverse().forEach(overlay => {
+            const label = overlay.type === 'text' ? (overlay.text.split('\n')[0] || overlay.name) : overlay.name;
+            list.appendChild(this.utils.DOMUtils.createElement('div', {
+                className: overlay.id === this.selectedId ? 'overlay-layer selected' : 'overlay-layer',
+                textContent: `${overlay.type === 'text' ? '🔤' : '🖼️'} ${label}`,
+                attributes: { 'data-id': overlay.id, title: 'Click to edit, drag on the preview to move' }
+            }));
+        });
+    }
+
+    /**
+     * Show the selected layer's properties, without overwriting a field being typed in
+     */
+    updateLayerEditor() {
+        const elements = this.elements;
+        const layer = this.overlays.find(overlay => overlay.id === this.selectedId);
+
+        elements.layerEditor?.classList.toggle('hidden', !layer);
+        if (!layer) return;
+
+        const isText = layer.type === 'text';
+        const set = (input, property, value) => {
+            if (input && document.activeElement !== input) input[property] = value;
+        };
+
+        elements.textFields?.classList.toggle('hidden', !isText);
+        if (isText) {
+            set(elements.text, 'value', layer.text);
+            set(elements.font, 'value', layer.font);
+            set(elements.color, 'value', layer.color);
+            set(elements.bold, 'checked', layer.bold);
+            set(elements.stroke, 'checked', layer.stroke);
+        }
+
+        set(elements.scale, 'value', layer.scale);
+        set(elements.opacity, 'value', layer.opacity);
+        set(elements.start, 'value', layer.start.toFixed(2));
+        set(elements.end, 'value', layer.end.toFixed(2));
+        set(elements.fadeIn, 'value', layer.fadeIn);
+        set(elements.fadeOut, 'value', layer.fadeOut);
+
+        if (elements.scaleValue) elements.scaleValue.textContent = `${Math.round(layer.scale * 100)}%`;
+        if (elements.opacityValue) elements.opacityValue.textContent = `${Math.round(layer.opacity * 100)}%`;
+        if (elements.fadeInValue) elements.fadeInValue.textContent = `${layer.fadeIn.toFixed(1)}s`;
+        if (elements.fadeOutValue) elements.fadeOutValue.textContent = `${layer.fadeOut.toFixed(1)}s`;
+
+        const index = this.overlays.indexOf(layer);
+        if (elements.raise) elements.raise.disabled = index === this.overlays.length - 1;
+        if (elements.lower) elements.lower.disabled = index === 0;
+    }
+
+    /**
+     * Send the layers to the preview, redrawing it when playback isn't doing so
+     */
+    updatePreview() {
+        const preview = this.editor.previewRenderer;
+        if (!preview) return;
+
+        preview.setOverlays(this.overlays, this.selectedId);
+        window.OverlayRenderer.loadImages(this.overlays).then(() => {
+            if (!this.editor.isPlaying) preview.render();
+        });
+    }
+
+    /**
+     * Layers for the renderer: those shown in the exported range
+     * @param {number} trimStart - Seconds
+     * @param {number} trimEnd - Seconds
+     * @returns {Object[]}
+     */
+    getExportOverlays(trimStart, trimEnd) {
+        return this.overlays
+            .filter(overlay => overlay.end > trimStart && overlay.start < trimEnd && overlay.opacity > 0)
+            .map(overlay => ({ ...overlay }));
+    }
+
+    /**
+     * Release state held for the editor
+     */
+    cleanup() {
+        this.drag = null;
+        this.selectedId = null;
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.OverlayManager = OverlayManager;
+}
@@ -0,0 +1,200 @@
+/**
+ * Overlay Renderer Module
+ * Timing, geometry and drawing of text and image overlay layers, shared by the
+ * preview, the WebCodecs export (drawn per frame) and the FFmpeg export (one image per layer)
+ */
+
+const OverlayRenderer = {
+    // Decoded images by source URL, shared by every renderer
+    images: new Map(),
+
+    /**
+     * Get the decoded image of an image layer, starting to load it if needed
+     * @param {Object} overlay - Image layer
+     * @returns {HTMLImageElement|null} The image once it has loaded
+     */
+    getImage: (overlay) => {
+        if (!overlay.src) return null;
+
+        let image = OverlayRenderer.images.get(overlay.src);
+        if (!image) {
+            image = new Image();
+            image.src = overlay.src;
+            OverlayRenderer.images.set(overlay.src, image);
+        }
+        return image.complete && image.naturalWidth > 0 ? image : null;
+    },
+
+    /**
+     * Wait until every image layer has loaded
+     * @param {Object[]} overlays - Overlay layers
+     * @returns {Promise<void>}
+     */
+    loadImages: (overlays) => {
+        return Promise.all(overlays
+            .filter(overlay => overlay.type === 'image' && overlay.src)
+            .map(overlay => {
+                OverlayRenderer.getImage(overlay);
+                return OverlayRenderer.images.get(overlay.src).decode().catch(() => {
+                    window.TWITCH_CLIP_EDITOR_UTILS.Logger.warn(`Overlay image "${overlay.name}" could not be loaded`);
+                });
+            }))
+            .then(() => undefined);
+    },
+
+    /**
+     * Opacity of a layer at a time, including its fades
+     * @param {Object} overlay - Overlay layer
+     * @param {number} time - Source video seconds
+     * @returns {number} 0 when the layer isn't shown
+     */
+    getAlpha: (overlay, time) => {
+        if (time < overlay.start || time >= overlay.end) return 0;
+
+        let alpha = overlay.opacity;
+        if (overlay.fadeIn > 0) alpha *= Math.min(1, (time - overlay.start) / overlay.fadeIn);
+        if (overlay.fadeOut > 0) alpha *= Math.min(1, (overlay.end - time) / overlay.fadeOut);
+        return alpha;
+    },
+
+    /**
+     * Lay out a text layer's lines
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure the text
+     * @param {Object} overlay - Text layer
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object} { lines, font, lineHeight, strokeWidth, width, height }
+     */
+    layoutText: (ctx, overlay, width, height) => {
+        const { TEXT_SIZE, TEXT_STROKE, LINE_HEIGHT } = window.EDITOR_CONSTANTS.OVERLAYS;
+        const scale = window.CaptionRenderer.getScale(width, height) * overlay.scale;
+        const fontSize = Math.max(1, Math.round(TEXT_SIZE * scale));
+        const font = window.CaptionRenderer.getFont(overlay, fontSize);
+        const strokeWidth = overlay.stroke ? TEXT_STROKE * scale : 0;
+
+        ctx.font = font;
+        const lines = overlay.text.split('\n');
+        const lineHeight = fontSize * LINE_HEIGHT;
+
+        return {
+            lines,
+            font,
+            lineHeight,
+            strokeWidth,
+            width: Math.max(1, ...lines.map(line => ctx.measureText(line).width)) + strokeWidth * 2,
+            height: lines.length * lineHeight + strokeWidth * 2
+        };
+    },
+
+    /**
+     * Rectangle a layer covers in the output. The layer's x, y is its center unless
+     * anchorX/anchorY (0 = left/top edge, 1 = right/bottom edge) place another point there.
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+     * @param {Object} overlay - Overlay layer
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object|null} { x, y, width, height }, or null for an image that hasn't loaded
+     */
+    getBounds: (ctx, overlay, width, height) => {
+        let size;
+        if (overlay.type === 'text') {
+            size = OverlayRenderer.layoutText(ctx, overlay, width, height);
+        } else {
+            const image = OverlayRenderer.getImage(overlay);
+            if (!image) return null;
+
+            const layerWidth = width * window.EDITOR_CONSTANTS.OVERLAYS.IMAGE_WIDTH * overlay.scale;
+            size = { width: layerWidth, height: layerWidth * image.naturalHeight / image.naturalWidth };
+        }
+
+        return {
+            x: overlay.x * width - size.width * (overlay.anchorX ?? 0.5),
+            y: overlay.y * height - size.height * (overlay.anchorY ?? 0.5),
+            width: size.width,
+            height: size.height
+        };
+    },
+
+    /**
+     * Draw one layer at an opacity
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} overlay - Overlay layer
+     * @param {number} alpha - Opacity
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} offsetX - Shift applied to the layer (for drawing into a cropped image)
+     * @param {number} offsetY
+     */
+    drawLayer: (ctx, overlay, alpha, width, height, offsetX = 0, offsetY = 0) => {
+        const bounds = OverlayRenderer.getBounds(ctx, overlay, width, height);
+        if (!bounds || alpha <= 0) return;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+
+        if (overlay.type === 'image') {
+            ctx.drawImage(OverlayRenderer.getImage(overlay), bounds.x + offsetX, bounds.y + offsetY, bounds.width, bounds.height);
+        } else {
+            const { lines, font, lineHeight, strokeWidth } = OverlayRenderer.layoutText(ctx, overlay, width, height);
+            ctx.font = font;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.lineJoin = 'round';
+
+            lines.forEach((line, i) => {
+                const lineX = bounds.x + offsetX + bounds.width / 2;
+                const lineY = bounds.y + offsetY + strokeWidth + lineHeight * (i + 0.5);
+                if (strokeWidth > 0) {
+                    ctx.strokeStyle = '#000000';
+                    ctx.lineWidth = strokeWidth * 2;
+                    ctx.strokeText(line, lineX, lineY);
+                }
+                ctx.fillStyle = overlay.color;
+                ctx.fillText(line, lineX, lineY);
+            });
+        }
+
+        ctx.restore();
+    },
+
+    /**
+     * Draw the layers shown at a time, first layer at the bottom
+     * @param {CanvasRenderingContext2D} ctx - Frame context
+     * @param {Object[]} overlays - Overlay layers
+     * @param {number} time - Source video seconds
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     */
+    drawOverlays: (ctx, overlays, time, width, height) => {
+        overlays.forEach(overlay => {
+            OverlayRenderer.drawLayer(ctx, overlay, OverlayRenderer.getAlpha(overlay, time), width, height);
+        });
+    },
+
+    /**
+     * Render a layer at its full opacity into an image cropped to its bounds (fades are applied by FFmpeg)
+     * @param {Object} overlay - Overlay layer (images must be loaded)
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object|null} { canvas, x, y } with the position in the output
+     */
+    renderImage: (overlay, width, height) => {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const bounds = OverlayRenderer.getBounds(ctx, overlay, width, height);
+        if (!bounds) return null;
+
+        const x = Math.floor(bounds.x);
+        const y = Math.floor(bounds.y);
+        canvas.width = Math.max(1, Math.ceil(bounds.x + bounds.width) - x);
+        canvas.height = Math.max(1, Math.ceil(bounds.y + bounds.height) - y);
+        OverlayRenderer.drawLayer(ctx, overlay, overlay.opacity, width, height, -x, -y);
+
+        return { canvas, x, y };
+    }
+};
+
+// Export for use in editor modules and export renderers
+if (typeof window !== 'undefined') {
+    window.OverlayRenderer = OverlayRenderer;
+}
@@ -1,6 +1,9 @@
 /**
  * Preview Renderer Module
- * Renders real-time 9:16 portrait preview of selected area
+ * Renders real-time preview of selected area in the output aspect ratio,
+ * compositing one region per layout slot for split-screen layouts, or the
+ * whole frame over a blurred copy of itself in the blurred-background fit mode,
+ * with overlay layers, channel branding and burned-in captions on top
  */
 
 class PreviewRenderer {
@@ -17,7 +20,18 @@ class PreviewRenderer {
         // Rendering state
         this.isRendering = false;
         this.currentSelection = null;
+        this.regions = null; // [{ slot, selection }] for multi-region layouts
+        this.fit = null; // { mode, blur, dim } (see EDITOR_CONSTANTS.FIT)
+        this.captions = null; // { cues, style } drawn at the video's current time
+        this.overlays = null; // Overlay layers drawn at the video's current time
+        this.highlightedOverlayId = null; // Layer outlined in the editor (never exported)
+        this.branding = null; // Resolved branding preset drawn in its corner
+        this.zoom = 1; // Extra push-in on every selection (freeze-frames)
+        this.transition = null; // { type, progress } blending from the captured outgoing frame
+        this.transitionFrom = null; // Canvas holding the outgoing frame
+        this.transitionTo = null; // Canvas the incoming frame is copied to while blending
         this.animationFrameId = null;
+        this.aspectLabel = window.EDITOR_CONSTANTS.EXPORT.DEFAULT_ASPECT;
         
         // Get constants and utils
         this.constants = window.EDITOR_CONSTANTS;
@@ -60,11 +74,160 @@ class PreviewRenderer {
      * Render single frame
      */
     render() {
-        if (!this.currentSelection || !this.sourceVideo || this.sourceVideo.videoWidth === 0) {
+        if (this.fit?.mode === 'blur' && this.sourceVideo?.videoWidth > 0) {
+            try {
+                this.drawBlurredFit();
+                this.drawOverlays();
+                this.drawBranding();
+                this.drawCaptions();
+                this.drawTransition();
+            } catch (e) {
+                this.utils.Logger.warn('Error drawing preview frame:', e);
+                this.drawErrorState();
+            }
+            return;
+        }
+
+        const regions = this.regions || [{ slot: PreviewRenderer.FULL_SLOT, selection: this.currentSelection }];
+
+        if (regions.some(region => !region.selection) || !this.sourceVideo || this.sourceVideo.videoWidth === 0) {
             this.clearCanvas();
             return;
         }
 
+        // Clear the preview canvas and draw the calculated source area of each region into its slot
+        this.previewCtx.clearRect(0, 0, this.previewCanvas.width, this.previewCanvas.height);
+        try {
+            regions.forEach(region => this.drawRegion(region));
+            this.drawOverlays();
+            this.drawBranding();
+            this.drawCaptions();
+            this.drawTransition();
+        } catch (e) {
+            this.utils.Logger.warn('Error drawing preview frame:', e);
+            this.drawErrorState();
+        }
+    }
+
+    /**
+     * Draw one region's selection stretched over its output slot
+     * @param {Object} region - { slot, selection }
+     */
+    drawRegion({ slot, selection }) {
+        const source = this.getSourceRect(window.SegmentTimeline.zoomSelection(selection, this.zoom));
+        const target = window.OutputFormat.getSlotRect(slot, this.previewCanvas.width, this.previewCanvas.height);
+
+        this.previewCtx.drawImage(
+            this.sourceVideo,
+            source.x,
+            source.y,
+            source.width,
+            source.height,
+            target.x,
+            target.y,
+            target.width,
+            target.height
+        );
+    }
+
+    /**
+     * Draw the whole frame centered over a scaled, blurred and dimmed copy that fills the canvas
+     */
+    drawBlurredFit() {
+        const { BACKGROUND_SCALE } = this.constants.FIT;
+        const OutputFormat = window.OutputFormat;
+        const { videoWidth, videoHeight } = this.sourceVideo;
+        const { width, height } = this.previewCanvas;
+
+        // Blur the background at reduced size (much cheaper, and invisible once blurred)
+        const cover = OutputFormat.getCoverRect(videoWidth, videoHeight, width / height);
+        const backgroundWidth = Math.max(2, Math.round(width * BACKGROUND_SCALE));
+        const backgroundHeight = Math.max(2, Math.round(height * BACKGROUND_SCALE));
+        if (this.tempCanvas.width !== backgroundWidth || this.tempCanvas.height !== backgroundHeight) {
+            this.tempCanvas.width = backgroundWidth;
+            this.tempCanvas.height = backgroundHeight;
+        }
+
+        const drawCover = () => this.tempCtx.drawImage(
+            this.sourceVideo,
+            cover.x, cover.y, cover.width, cover.height,
+            0, 0, backgroundWidth, backgroundHeight
+        );
+
+        // The unblurred copy underneath keeps the edges opaque where the blur fades out
+        drawCover();
+        const sigma = OutputFormat.getBlurSigma(this.fit.blur, width, height) * BACKGROUND_SCALE;
+        this.tempCtx.filter = `blur(${sigma}px)`;
+        drawCover();
+        this.tempCtx.filter = 'none';
+
+        this.previewCtx.drawImage(this.tempCanvas, 0, 0, width, height);
+        this.previewCtx.fillStyle = `rgba(0, 0, 0, ${this.fit.dim})`;
+        this.previewCtx.fillRect(0, 0, width, height);
+
+        const frame = OutputFormat.getContainRect(videoWidth, videoHeight, width, height);
+        this.previewCtx.drawImage(
+            this.sourceVideo,
+            0, 0, videoWidth, videoHeight,
+            frame.x, frame.y, frame.width, frame.height
+        );
+    }
+
+    /**
+     * Draw the overlay layers shown at the video's current time, and outline the highlighted one
+     */
+    drawOverlays() {
+        if (!this.overlays?.length) return;
+
+        const OverlayRenderer = window.OverlayRenderer;
+        const { width, height } = this.previewCanvas;
+        OverlayRenderer.drawOverlays(this.previewCtx, this.overlays, this.sourceVideo.currentTime, width, height);
+
+        const highlighted = this.overlays.find(overlay => overlay.id === this.highlightedOverlayId);
+        const bounds = highlighted && OverlayRenderer.getBounds(this.previewCtx, highlighted, width, height);
+        if (!bounds) return;
+
+        this.previewCtx.save();
+        this.previewCtx.strokeStyle = this.constants.OVERLAYS.SELECTION_COLOR;
+        this.previewCtx.lineWidth = 1;
+        this.previewCtx.setLineDash([4, 3]);
+        this.previewCtx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        this.previewCtx.restore();
+    }
+
+    /**
+     * Draw the channel branding over the layers
+     */
+    drawBranding() {
+        if (!this.branding) return;
+
+        const { width, height } = this.previewCanvas;
+        const layers = window.BrandingPreset.getLayers(this.branding, width, height, 0, Infinity);
+        window.OverlayRenderer.drawOverlays(this.previewCtx, layers, this.sourceVideo.currentTime, width, height);
+    }
+
+    /**
+     * Draw the captions active at the video's current time
+     */
+    drawCaptions() {
+        if (!this.captions?.cues.length) return;
+
+        window.CaptionRenderer.drawCaptions(
+            this.previewCtx,
+            this.captions.cues,
+            this.captions.style,
+            this.sourceVideo.currentTime,
+            this.previewCanvas.width,
+            this.previewCanvas.height
+        );
+    }
+
+    /**
+     * Map a selection from landscape canvas space to source video pixels
+     * @param {Object} selection - Selection relative to the landscape canvas
+     * @returns {Object} Rectangle in source video coordinates
+     */
+    getSourceRect(selection) {
         const { videoWidth, videoHeight } = this.sourceVideo;
         const mainCanvas = this.editor.landscapeCanvas;
 
@@ -80,29 +243,26 @@ class PreviewRenderer {
 
         // Translate the selection coordinates (which are relative to the canvas)
         // to be relative to the video itself.
-        const sourceX = (this.currentSelection.x - offsetX) / scale;
-        const sourceY = (this.currentSelection.y - offsetY) / scale;
-        const sourceWidth = this.currentSelection.width / scale;
-        const sourceHeight = this.currentSelection.height / scale;
+        return {
+            x: (selection.x - offsetX) / scale,
+            y: (selection.y - offsetY) / scale,
+            width: selection.width / scale,
+            height: selection.height / scale
+        };
+    }
 
-        // Clear the preview canvas and draw the calculated source area from the video
-        this.previewCtx.clearRect(0, 0, this.previewCanvas.width, this.previewCanvas.height);
-        try {
-            this.previewCtx.drawImage(
-                this.sourceVideo,
-                sourceX,
-                sourceY,
-                sourceWidth,
-                sourceHeight,
-                0, // Draw at the top-left corner of the preview canvas
-                0,
-                this.previewCanvas.width, // Stretch to fill the preview canvas
-                this.previewCanvas.height
-            );
-        } catch (e) {
-            this.utils.Logger.warn('Error drawing preview frame:', e);
-            this.drawErrorState();
-        }
+    /**
+     * Fit the preview canvas to an output aspect ratio
+     * @param {number} aspect - Width / height
+     * @param {string} label - Aspect label shown in the placeholder
+     */
+    setOutputAspect(aspect, label) {
+        const { PREVIEW_WIDTH, PREVIEW_HEIGHT } = this.constants.CANVAS;
+        const size = window.OutputFormat.fitInBox(aspect, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+
+        this.aspectLabel = label;
+        this.resize(size.width, size.height);
+        this.render();
     }
 
     /**
@@ -147,7 +307,7 @@ class PreviewRenderer {
         this.previewCtx.font = '16px Arial';
         this.previewCtx.textAlign = 'center';
         this.previewCtx.fillText(
-            '9:16 Preview',
+            `${this.aspectLabel} Preview`,
             this.previewCanvas.width / 2,
             this.previewCanvas.height / 2 - 10
         );
@@ -168,6 +328,95 @@ class PreviewRenderer {
         this.currentSelection = selectionData;
     }
 
+    /**
+     * Set the fit mode
+     * @param {Object|null} fit - { mode, blur, dim }, or null to crop to the selection
+     */
+    setFit(fit) {
+        this.fit = fit ? { ...fit } : null;
+        this.render();
+    }
+
+    /**
+     * Set the captions drawn over the preview
+     * @param {Object|null} captions - { cues, style }, or null for none
+     */
+    setCaptions(captions) {
+        this.captions = captions;
+    }
+
+    /**
+     * Set the overlay layers drawn over the preview
+     * @param {Object[]|null} overlays - Overlay layers, first at the bottom
+     * @param {string|null} highlightedId - Layer to outline (editor only)
+     */
+    setOverlays(overlays, highlightedId = null) {
+        this.overlays = overlays;
+        this.highlightedOverlayId = highlightedId;
+    }
+
+    /**
+     * Blend the captured outgoing frame into the frame just drawn, during a transition
+     */
+    drawTransition() {
+        if (!this.transition || !this.transitionFrom) return;
+
+        const { width, height } = this.previewCanvas;
+        if (!this.transitionTo) this.transitionTo = document.createElement('canvas');
+        this.transitionTo.width = width;
+        this.transitionTo.height = height;
+        this.transitionTo.getContext('2d').drawImage(this.previewCanvas, 0, 0);
+
+        window.TransitionRenderer.draw(
+            this.previewCtx, this.transitionFrom, this.transitionTo,
+            this.transition.type, this.transition.progress, width, height
+        );
+    }
+
+    /**
+     * Keep the frame on the preview as the outgoing frame of the next transition
+     */
+    captureTransitionFrame() {
+        if (!this.previewCanvas) return;
+
+        if (!this.transitionFrom) this.transitionFrom = document.createElement('canvas');
+        this.transitionFrom.width = this.previewCanvas.width;
+        this.transitionFrom.height = this.previewCanvas.height;
+        this.transitionFrom.getContext('2d').drawImage(this.previewCanvas, 0, 0);
+    }
+
+    /**
+     * Set the transition blended over the preview
+     * @param {Object|null} transition - { type, progress }, or null for none
+     */
+    setTransition(transition) {
+        this.transition = transition;
+    }
+
+    /**
+     * Push in on the selections, e.g. during a freeze-frame
+     * @param {number} zoom - 1 for none
+     */
+    setZoom(zoom) {
+        this.zoom = zoom;
+    }
+
+    /**
+     * Set the channel branding drawn over the preview
+     * @param {Object|null} branding - From BrandingPreset.resolve(), or null for none
+     */
+    setBranding(branding) {
+        this.branding = branding;
+    }
+
+    /**
+     * Update the regions composited for a multi-region layout
+     * @param {Object[]|null} regions - [{ slot, selection }], or null for a single selection
+     */
+    updateRegions(regions) {
+        this.regions = regions;
+    }
+
     /**
      * Capture current preview frame as image data
      * @returns {ImageData} Preview frame data
@@ -192,14 +441,17 @@ class PreviewRenderer {
      * Render frame at specific timestamp with selection
      * @param {number} timestamp - Video timestamp
      * @param {Object} selectionData - Selection data for this frame
+     * @param {Object[]} regions - Layout regions for this frame (optional)
      * @returns {Promise<ImageData>} Rendered frame data
      */
-    async renderFrameAtTime(timestamp, selectionData) {
+    async renderFrameAtTime(timestamp, selectionData, regions = null) {
         // Store current state
         const previousSelection = this.currentSelection;
+        const previousRegions = this.regions;
         
         // Set temporary selection
         this.updateSelection(selectionData);
+        this.updateRegions(regions);
         
         // Seek video to timestamp (if possible)
         if (this.sourceVideo.currentTime !== timestamp) {
@@ -216,13 +468,14 @@ class PreviewRenderer {
         }
         
         // Render frame
-        this.renderFrame();
+        this.render();
         
         // Capture frame data
         const frameData = this.captureFrame();
         
         // Restore previous selection
         this.currentSelection = previousSelection;
+        this.regions = previousRegions;
         
         return frameData;
     }
@@ -276,6 +529,17 @@ class PreviewRenderer {
         this.tempCtx.imageSmoothingQuality = smoothingQualityMap[quality];
     }
 
+    /**
+     * Stop any pending animation frame
+     */
+    stopRendering() {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.isRendering = false;
+    }
+
     /**
      * Cleanup resources
      */
@@ -292,9 +556,19 @@ class PreviewRenderer {
         }
         
         this.currentSelection = null;
+        this.regions = null;
+        this.captions = null;
+        this.overlays = null;
+        this.transition = null;
+        this.transitionFrom = null;
+        this.transitionTo = null;
+        this.branding = null;
     }
 }
 
+// Output slot covering the whole frame (single-selection layout)
+PreviewRenderer.FULL_SLOT = { x: 0, y: 0, width: 1, height: 1 };
+
 // Export for use in video editor
 if (typeof window !== 'undefined') {
     window.PreviewRenderer = PreviewRenderer;
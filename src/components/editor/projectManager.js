@@ -0,0 +1,288 @@
+/**
+ * Project Manager Module
+ * Saves and restores editor projects (keyframes, layout regions, trim, segments, export settings, captions, overlays)
+ */
+
+class ProjectManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.isApplying = false;
+        this.isDirty = false;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.PROJECT;
+
+        this.scheduleAutosave = this.utils.EventUtils.debounce(
+            () => this.autosave(),
+            this.config.AUTOSAVE_DELAY
+        );
+    }
+
+    /**
+     * Record that the project changed and schedule an autosave
+     */
+    markDirty() {
+        if (this.isApplying) return;
+        this.isDirty = true;
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Get the key the current clip's project is stored under
+     * @returns {string|null}
+     */
+    getProjectKey() {
+        const { libraryClip, uploadedFileName, videoBlob, videoSrc } = this.editor;
+
+        if (uploadedFileName && videoBlob) {
+            return `upload:${uploadedFileName}:${videoBlob.size}`;
+        }
+        if (libraryClip) {
+            // Uploaded library clips are titled with their file name
+            return libraryClip.sourceUrl || `upload:${libraryClip.title}:${libraryClip.size}`;
+        }
+        return videoSrc || null;
+    }
+
+    /**
+     * Describe the clip a project belongs to
+     * @returns {Object}
+     */
+    getClipReference() {
+        const { libraryClip, uploadedFileName, videoBlob, videoSrc, duration } = this.editor;
+
+        return {
+            key: this.getProjectKey(),
+            sourceUrl: uploadedFileName ? '' : (libraryClip ? libraryClip.sourceUrl : videoSrc),
+            fileName: uploadedFileName || '',
+            libraryId: uploadedFileName ? null : (libraryClip?.id || null),
+            size: videoBlob?.size || 0,
+            duration: duration || 0
+        };
+    }
+
+    /**
+     * Serialize the editor state
+     * @returns {Object} Project data
+     */
+    createProject() {
+        const editor = this.editor;
+        const recorder = editor.layoutManager?.mainRegion.recorder || editor.frameRecorder;
+        const keyframes = recorder?.exportKeyframes(0, Infinity).keyframes || [];
+
+        return {
+            format: this.config.FORMAT,
+            version: this.config.VERSION,
+            clip: this.getClipReference(),
+            keyframes,
+            regions: editor.layoutManager?.serializeRegions() || {},
+            trim: {
+                start: editor.trimStart,
+                end: editor.trimEnd
+            },
+            segments: editor.segmentManager?.serialize() || [],
+            exportSettings: JSON.parse(JSON.stringify(editor.exportSettings)),
+            captions: editor.captionManager?.serialize() || { cues: [], style: {} },
+            overlays: JSON.parse(JSON.stringify(editor.overlays || [])),
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * Validate a project and upgrade it to the current version
+     * @param {Object} project - Parsed project data
+     * @returns {Object} Project in the current format
+     */
+    migrate(project) {
+        if (!project || project.format !== this.config.FORMAT) {
+            throw new Error('Not a FastClipper project file.');
+        }
+        if (!Number.isInteger(project.version) || project.version < 1 || project.version > this.config.VERSION) {
+            throw new Error(`Unsupported project version: ${project.version}`);
+        }
+
+        // Each step upgrades a project from the version before it, applied in order; fields are
+        // only filled in when missing, as version 1 autosaves can already hold the later ones
+        const upgrades = {
+            // Split-screen regions, each with its own keyframes
+            2: (data) => ({ ...data, regions: data.regions || {} }),
+            // Captions track
+            3: (data) => ({ ...data, captions: data.captions || { cues: [], style: {} } }),
+            // Text and image overlay layers
+            4: (data) => ({ ...data, overlays: data.overlays || [] }),
+            // Cut segments; none keeps the whole trimmed clip
+            5: (data) => ({ ...data, segments: Array.isArray(data.segments) ? data.segments : [] }),
+            // Per-segment playback speed
+            6: (data) => ({ ...data, segments: data.segments.map(segment => ({ speed: 1, ...segment })) }),
+            // Freeze-frame (hold, zoom) and replay segments; earlier segments are all plain cuts
+            7: (data) => data,
+            // Transitions into segments; earlier segments cut straight in
+            8: (data) => ({ ...data, segments: data.segments.map(segment => ({ transition: null, ...segment })) })
+        };
+        for (let version = project.version + 1; version <= this.config.VERSION; version++) {
+            project = { ...upgrades[version](project), version };
+        }
+
+        return {
+            ...project,
+            keyframes: Array.isArray(project.keyframes) ? project.keyframes : [],
+            overlays: Array.isArray(project.overlays) ? project.overlays : [],
+            segments: Array.isArray(project.segments) ? project.segments : [],
+            regions: project.regions && typeof project.regions === 'object' ? project.regions : {},
+            captions: project.captions && typeof project.captions === 'object' ? project.captions : { cues: [], style: {} },
+            exportSettings: project.exportSettings || {}
+        };
+    }
+
+    /**
+     * Apply a project to the editor
+     * @param {Object} projectData - Project data (any supported version)
+     */
+    applyProject(projectData) {
+        const project = this.migrate(projectData);
+        const editor = this.editor;
+
+        this.isApplying = true;
+        try {
+            // Merge so settings added after the project was saved keep their defaults
+            editor.exportSettings = {
+                ...editor.exportSettings,
+                ...project.exportSettings,
+                audio: { ...editor.exportSettings.audio, ...project.exportSettings.audio },
+                output: { ...editor.exportSettings.output, ...project.exportSettings.output },
+                fit: { ...editor.exportSettings.fit, ...project.exportSettings.fit }
+            };
+
+            // Rebuild the layout first so the main region is active for the keyframe import
+            editor.layoutManager?.setLayout(editor.exportSettings.layout);
+
+            if (editor.frameRecorder) {
+                editor.frameRecorder.videoDuration = editor.duration;
+                editor.frameRecorder.importKeyframes({ keyframes: project.keyframes });
+            }
+            editor.layoutManager?.loadRegions(project.regions);
+
+            if (project.trim && editor.duration) {
+                const start = Math.max(0, Math.min(project.trim.start, editor.duration));
+                const end = Math.max(start, Math.min(project.trim.end, editor.duration));
+                editor.trimStart = start;
+                editor.trimEnd = end > start ? end : editor.duration;
+                editor.sourceVideo.currentTime = editor.trimStart;
+                editor.updateTimelineSelection();
+            }
+
+            editor.segmentManager?.load(project.segments);
+            editor.captionManager?.load(project.captions);
+            editor.overlays = project.overlays;
+            editor.overlayManager?.refresh();
+            editor.recordedPath = null;
+            editor.pathStats = null;
+
+            editor.updateAudioControls();
+            editor.applyOutputSettings();
+            editor.refreshKeyframeIndicators();
+
+            // Earlier history entries refer to the replaced state
+            editor.history?.clear();
+        } finally {
+            this.isApplying = false;
+        }
+
+        this.utils.Logger.info(`📂 Project restored (${project.keyframes.length} keyframes)`);
+    }
+
+    /**
+     * Save the current project to the clip library
+     */
+    async autosave() {
+        const key = this.getProjectKey();
+        if (!key || !window.clipLibrary || !this.isDirty) return;
+
+        try {
+            this.isDirty = false;
+            await window.clipLibrary.saveProject(key, this.createProject());
+        } catch (error) {
+            this.utils.Logger.warn('Project autosave failed:', error);
+        }
+    }
+
+    /**
+     * Check whether a project holds any edits worth restoring
+     * @param {Object} project
+     * @returns {boolean}
+     */
+    hasEdits(project) {
+        const trimmed = project.trim && (project.trim.start > 0 ||
+            (project.clip?.duration && project.trim.end < project.clip.duration));
+        const hasRegionKeyframes = Object.values(project.regions || {}).some(keyframes => keyframes?.length > 0);
+        return project.keyframes?.length > 0 || hasRegionKeyframes || project.captions?.cues?.length > 0 ||
+            project.overlays?.length > 0 || project.segments?.length > 1 ||
+            project.segments?.some(segment => segment.speed && segment.speed !== 1) || Boolean(trimmed);
+    }
+
+    /**
+     * Offer to restore the last saved project for the current clip
+     * @returns {Promise<boolean>} Whether a project was restored
+     */
+    async offerRestore() {
+        const key = this.getProjectKey();
+        if (!key || !window.clipLibrary) return false;
+
+        try {
+            const project = await window.clipLibrary.getProject(key);
+            if (!project || !this.hasEdits(project)) return false;
+
+            const savedAt = new Date(project.savedAt).toLocaleString();
+            if (!confirm(`Restore your last edit of this clip (saved ${savedAt})?`)) return false;
+
+            this.applyProject(project);
+            return true;
+        } catch (error) {
+            this.utils.Logger.warn('Could not restore saved project:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Download the current project as a .fastclip.json file
+     */
+    exportToFile() {
+        const project = this.createProject();
+        const baseName = (project.clip.fileName || this.editor.libraryClip?.title || 'fastclip-project')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[^\w\- ]+/g, '_');
+
+        const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${baseName}${this.config.FILE_EXTENSION}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(a.href);
+    }
+
+    /**
+     * Load a project from a .fastclip.json file
+     * @param {File} file
+     */
+    async importFromFile(file) {
+        const project = this.migrate(JSON.parse(await file.text()));
+
+        const currentKey = this.getProjectKey();
+        if (project.clip?.key && currentKey && project.clip.key !== currentKey) {
+            const clipName = project.clip.fileName || project.clip.sourceUrl || 'another clip';
+            if (!confirm(`This project was made for ${clipName}. Apply it to the current clip anyway?`)) return;
+        }
+
+        this.applyProject(project);
+        this.markDirty();
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.ProjectManager = ProjectManager;
+}
@@ -0,0 +1,915 @@
+/**
+ * Segment Manager Module
+ * Multi-segment cutting (editor.segments): splitting at the playhead, deleting and
+ * reordering segments, per-segment playback speed, freeze-frame and instant replay inserts,
+ * transitions between segments, skipping cut ranges during playback (at each segment's speed,
+ * holding freeze-frames, previewing transitions), and the timeline display
+ */
+
+class SegmentManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor (its timeline must already be set up)
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.selectedId = null;
+        this.playingIndex = -1; // Kept range being played back
+        this.freezeStartedAt = null; // performance.now() when the playing freeze-frame started
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.SEGMENTS;
+
+        // Settings for the next freeze-frame and replay inserted
+        this.freezeDuration = this.config.FREEZE_DURATION;
+        this.freezeZoom = 1;
+        this.replayDuration = this.config.REPLAY_DURATION;
+
+        const container = editor.container;
+        this.elements = {
+            timeline: container.querySelector('.segments-container'),
+            speedLane: container.querySelector('.speed-lane'),
+            speed: container.querySelector('.segment-speed'),
+            freeze: container.querySelector('.segment-freeze-btn'),
+            replay: container.querySelector('.segment-replay-btn'),
+            freezeDuration: container.querySelector('.segment-freeze-duration'),
+            freezeDurationValue: container.querySelector('.segment-freeze-duration-value'),
+            freezeZoom: container.querySelector('.segment-freeze-zoom'),
+            freezeZoomValue: container.querySelector('.segment-freeze-zoom-value'),
+            replayDuration: container.querySelector('.segment-replay-duration'),
+            replayDurationValue: container.querySelector('.segment-replay-duration-value'),
+            transition: container.querySelector('.segment-transition'),
+            transitionDuration: container.querySelector('.segment-transition-duration'),
+            transitionDurationValue: container.querySelector('.segment-transition-duration-value'),
+            split: container.querySelector('.segment-split-btn'),
+            reset: container.querySelector('.segment-reset-btn'),
+            list: container.querySelector('.segment-list'),
+            summary: container.querySelector('.segment-summary')
+        };
+    }
+
+    /**
+     * Kept segments in output order
+     * @returns {Object[]} [{ id, start, end, speed, transition }] in source seconds; freeze-frames also have
+     *     { hold, zoom } with start === end, and replays { kind: 'replay' }. transition { type, duration }
+     *     (optional) leads into the segment from the one before it
+     */
+    get segments() {
+        return this.editor.segments;
+    }
+
+    /**
+     * Attach the segment controls
+     */
+    attachEventListeners() {
+        this.elements.split?.addEventListener('click', () => this.splitAtPlayhead());
+        this.elements.reset?.addEventListener('click', () => this.resetSegments());
+
+        const speed = this.elements.speed;
+        if (speed) {
+            this.config.SPEEDS.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = this.formatSpeed(value);
+                speed.appendChild(option);
+            });
+            speed.addEventListener('change', () => this.setSpeed(parseFloat(speed.value)));
+        }
+
+        const elements = this.elements;
+        const { MIN_FREEZE, MAX_FREEZE, MAX_FREEZE_ZOOM, MAX_REPLAY } = this.config;
+        elements.freeze?.addEventListener('click', () => this.insertFreeze());
+        elements.replay?.addEventListener('click', () => this.insertReplay());
+
+        if (elements.freezeDuration) {
+            Object.assign(elements.freezeDuration, { min: MIN_FREEZE, max: MAX_FREEZE, value: this.freezeDuration });
+            elements.freezeDuration.addEventListener('input', () => {
+                this.freezeDuration = parseFloat(elements.freezeDuration.value);
+                this.updateSelectedFreeze({ hold: this.freezeDuration });
+                this.updateInsertControls();
+            });
+        }
+        if (elements.freezeZoom) {
+            Object.assign(elements.freezeZoom, { max: MAX_FREEZE_ZOOM, value: this.freezeZoom });
+            elements.freezeZoom.addEventListener('input', () => {
+                this.freezeZoom = parseFloat(elements.freezeZoom.value);
+                this.updateSelectedFreeze({ zoom: this.freezeZoom });
+                this.updateInsertControls();
+            });
+        }
+        if (elements.replayDuration) {
+            Object.assign(elements.replayDuration, { max: MAX_REPLAY, value: this.replayDuration });
+            elements.replayDuration.addEventListener('input', () => {
+                this.replayDuration = parseFloat(elements.replayDuration.value);
+                this.updateInsertControls();
+            });
+        }
+        this.updateInsertControls();
+
+        const transitions = this.constants.TRANSITIONS;
+        if (elements.transition) {
+            transitions.TYPES.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.value;
+                option.textContent = type.label;
+                elements.transition.appendChild(option);
+            });
+            elements.transition.addEventListener('change', () => {
+                this.setTransition({ type: elements.transition.value });
+            });
+        }
+        if (elements.transitionDuration) {
+            Object.assign(elements.transitionDuration, {
+                min: transitions.MIN_DURATION,
+                max: transitions.MAX_DURATION,
+                value: transitions.DEFAULT_DURATION
+            });
+            elements.transitionDuration.addEventListener('input', () => {
+                this.setTransition({ duration: parseFloat(elements.transitionDuration.value) });
+            });
+        }
+
+        this.elements.speedLane?.addEventListener('click', (event) => {
+            const block = event.target.closest('.speed-block');
+            if (block) this.selectSegment(parseInt(block.dataset.id, 10), true);
+        });
+
+        this.elements.list?.addEventListener('click', (event) => {
+            const row = event.target.closest('.segment-row');
+            if (!row) return;
+
+            const id = parseInt(row.dataset.id, 10);
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'up') this.moveSegment(id, -1);
+            else if (action === 'down') this.moveSegment(id, 1);
+            else if (action === 'delete') this.deleteSegment(id);
+            else this.selectSegment(id, true);
+        });
+    }
+
+    /**
+     * Kept ranges of the output (segments clipped to the trim range)
+     * @returns {Object[]} See SegmentTimeline.getRanges
+     */
+    getRanges() {
+        return window.SegmentTimeline.getRanges(this.segments, this.editor.trimStart, this.editor.trimEnd);
+    }
+
+    /**
+     * Whether the clip has been cut into segments (or had parts removed)
+     * @returns {boolean}
+     */
+    isCut() {
+        const segments = this.segments;
+        return segments.length > 1 || (segments.length === 1 &&
+            (segments[0].start > 0 || segments[0].end < this.editor.duration));
+    }
+
+    /**
+     * Whether any segment plays at other than normal speed
+     * @returns {boolean}
+     */
+    hasSpeedChanges() {
+        return this.segments.some(segment => segment.speed !== 1);
+    }
+
+    /**
+     * Whether playback has to follow the segments: the clip is cut or retimed
+     * @returns {boolean}
+     */
+    isEdited() {
+        return this.isCut() || this.hasSpeedChanges();
+    }
+
+    /**
+     * Segment the speed control applies to: the selected one, else the one under the playhead
+     * @returns {Object|undefined}
+     */
+    getTargetSegment() {
+        const time = this.editor.sourceVideo.currentTime;
+        return this.segments.find(segment => segment.id === this.selectedId) ||
+            this.segments.find(segment => time >= segment.start && time < segment.end);
+    }
+
+    /**
+     * The selected segment when it is a freeze-frame
+     * @returns {Object|undefined}
+     */
+    getSelectedFreeze() {
+        return this.segments.find(segment => segment.id === this.selectedId && segment.hold);
+    }
+
+    /**
+     * Change the playback speed of a segment
+     * @param {number} speed - 0.25 to 4
+     */
+    setSpeed(speed) {
+        const segment = this.getTargetSegment();
+        const { MIN_SPEED, MAX_SPEED } = this.config;
+        if (!segment || segment.hold || !Number.isFinite(speed)) return;
+
+        const clamped = Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed));
+        if (clamped === segment.speed) return;
+
+        const before = this.getSnapshot();
+        this.editor.segments = this.segments.map(s => (s.id === segment.id ? { ...s, speed: clamped } : s));
+        this.pushHistory('Change segment speed', before);
+        this.selectedId = segment.id;
+        this.refresh();
+        this.utils.Logger.info(`⏩ Segment speed set to ${this.formatSpeed(clamped)}`);
+    }
+
+    /**
+     * Split the segment under the playhead in two
+     */
+    splitAtPlayhead() {
+        const time = this.editor.sourceVideo.currentTime;
+        const { MIN_DURATION } = this.config;
+        const index = this.segments.findIndex(segment => (
+            time - segment.start >= MIN_DURATION && segment.end - time >= MIN_DURATION
+        ));
+        if (index === -1) {
+            this.utils.Logger.warn('Nothing to split at the playhead');
+            return;
+        }
+
+        const before = this.getSnapshot();
+        const segment = this.segments[index];
+        const second = this.createSecondHalf(segment, this.getNextId(), time);
+        const segments = [...this.segments];
+        segments.splice(index, 1, { ...segment, end: time }, second);
+        this.editor.segments = segments;
+
+        this.pushHistory('Split segment', before);
+        this.selectedId = second.id;
+        this.refresh();
+        this.utils.Logger.info(`✂️ Split at ${this.formatTime(time)}`);
+    }
+
+    /**
+     * Change the transition into the selected segment (or the one under the playhead)
+     * @param {Object} changes - { type } and/or { duration }
+     */
+    setTransition(changes) {
+        const segment = this.getTargetSegment();
+        const index = this.segments.indexOf(segment);
+        if (index < 1) return;
+
+        const { DEFAULT_DURATION } = this.constants.TRANSITIONS;
+        const transition = { type: 'none', duration: DEFAULT_DURATION, ...segment.transition, ...changes };
+        const before = this.getSnapshot();
+        this.editor.segments = this.segments.map(s => {
+            if (s.id !== segment.id) return s;
+            const updated = { ...s };
+            delete updated.transition;
+            if (transition.type !== 'none') updated.transition = transition;
+            return updated;
+        });
+
+        const mergeKey = changes.duration !== undefined ? `transition:${segment.id}` : undefined;
+        this.pushHistory('Change transition', before, mergeKey);
+        this.selectedId = segment.id;
+        this.refresh();
+    }
+
+    /**
+     * Hold the frame at the playhead for a while, optionally pushing in on it
+     */
+    insertFreeze() {
+        const time = this.editor.sourceVideo.currentTime;
+        const freeze = { start: time, end: time, speed: 1, hold: this.freezeDuration, zoom: this.freezeZoom };
+        if (this.insertAtPlayhead(freeze, 'Insert freeze-frame')) {
+            this.utils.Logger.info(`❄️ Freeze-frame at ${this.formatTime(time)} for ${this.freezeDuration}s`);
+        }
+    }
+
+    /**
+     * Play the seconds before the playhead again, then continue
+     */
+    insertReplay() {
+        const time = this.editor.sourceVideo.currentTime;
+        const start = Math.max(this.editor.trimStart, time - this.replayDuration);
+        if (time - start < this.config.MIN_DURATION) {
+            this.editor.showError('Move the playhead past the moment to replay first');
+            return;
+        }
+
+        const replay = { start, end: time, speed: 1, kind: 'replay' };
+        if (this.insertAtPlayhead(replay, 'Insert replay')) {
+            this.utils.Logger.info(`🔁 Replay of ${this.formatTime(start)} – ${this.formatTime(time)}`);
+        }
+    }
+
+    /**
+     * Insert a segment at the playhead, splitting the segment under it when the playhead is inside
+     * @param {Object} inserted - New segment without an id
+     * @param {string} label - History label
+     * @returns {boolean} False when the playhead isn't in a kept segment
+     */
+    insertAtPlayhead(inserted, label) {
+        const time = this.editor.sourceVideo.currentTime;
+        const { MIN_DURATION } = this.config;
+        const index = this.segments.findIndex(segment => !segment.hold && time >= segment.start && time <= segment.end);
+        if (index === -1) {
+            this.editor.showError('Move the playhead into a kept segment first');
+            return false;
+        }
+
+        const before = this.getSnapshot();
+        const segments = [...this.segments];
+        const segment = segments[index];
+        let nextId = this.getNextId();
+        let position = index + 1;
+
+        // Near a segment edge the insert goes before or after it; otherwise between its two halves
+        if (time - segment.start < MIN_DURATION) {
+            position = index;
+        } else if (segment.end - time >= MIN_DURATION) {
+            segments.splice(index, 1, { ...segment, end: time }, this.createSecondHalf(segment, nextId++, time));
+        }
+
+        const added = { ...inserted, id: nextId };
+        segments.splice(position, 0, added);
+        this.editor.segments = segments;
+
+        this.pushHistory(label, before);
+        this.selectedId = added.id;
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Change the hold or zoom of the selected freeze-frame
+     * @param {Object} changes - { hold } and/or { zoom }
+     */
+    updateSelectedFreeze(changes) {
+        const freeze = this.getSelectedFreeze();
+        if (!freeze) return;
+
+        const before = this.getSnapshot();
+        this.editor.segments = this.segments.map(segment => (segment.id === freeze.id ? { ...segment, ...changes } : segment));
+        this.pushHistory('Edit freeze-frame', before, `freeze:${freeze.id}`);
+        this.refresh();
+    }
+
+    /**
+     * Show the freeze and replay settings next to their sliders
+     */
+    updateInsertControls() {
+        const elements = this.elements;
+        if (elements.freezeDurationValue) elements.freezeDurationValue.textContent = `${this.freezeDuration.toFixed(1)}s`;
+        if (elements.freezeZoomValue) elements.freezeZoomValue.textContent = `${this.freezeZoom.toFixed(1)}x`;
+        if (elements.replayDurationValue) elements.replayDurationValue.textContent = `${this.replayDuration.toFixed(1)}s`;
+    }
+
+    /**
+     * Second half of a segment split in two; the transition stays with the first half
+     * @param {Object} segment - Segment being split
+     * @param {number} id - Id for the second half
+     * @param {number} time - Split time in source seconds
+     * @returns {Object}
+     */
+    createSecondHalf(segment, id, time) {
+        const second = { ...segment, id, start: time };
+        delete second.transition;
+        return second;
+    }
+
+    /**
+     * Remove a segment from the output
+     * @param {number} id - Segment id
+     */
+    deleteSegment(id) {
+        if (this.segments.length <= 1) {
+            this.editor.showError('The last segment can\'t be deleted; use the trim handles instead');
+            return;
+        }
+
+        const before = this.getSnapshot();
+        this.editor.segments = this.segments.filter(segment => segment.id !== id);
+        if (this.segments.length === before.length) return;
+
+        if (this.selectedId === id) this.selectedId = null;
+        this.pushHistory('Delete segment', before);
+        this.refresh();
+    }
+
+    /**
+     * Move a segment earlier or later in the output
+     * @param {number} id - Segment id
+     * @param {number} direction - -1 for earlier, 1 for later
+     */
+    moveSegment(id, direction) {
+        const index = this.segments.findIndex(segment => segment.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.segments.length) return;
+
+        const before = this.getSnapshot();
+        const segments = [...this.segments];
+        [segments[index], segments[target]] = [segments[target], segments[index]];
+        this.editor.segments = segments;
+
+        this.pushHistory('Reorder segments', before);
+        this.selectedId = id;
+        this.refresh();
+    }
+
+    /**
+     * Keep the whole clip again as one segment at normal speed
+     */
+    resetSegments() {
+        if (!this.isEdited()) return;
+
+        const before = this.getSnapshot();
+        this.editor.segments = this.createDefaultSegments();
+        this.selectedId = null;
+        this.pushHistory('Reset cuts', before);
+        this.refresh();
+    }
+
+    /**
+     * One segment covering the whole clip
+     * @returns {Object[]}
+     */
+    createDefaultSegments() {
+        return [{ id: 1, start: 0, end: this.editor.duration || 0, speed: 1 }];
+    }
+
+    /**
+     * Id for a new segment
+     * @returns {number}
+     */
+    getNextId() {
+        return Math.max(0, ...this.segments.map(segment => segment.id)) + 1;
+    }
+
+    /**
+     * Copy the segments so they can be restored later
+     * @returns {Object[]}
+     */
+    getSnapshot() {
+        return this.segments.map(segment => ({ ...segment }));
+    }
+
+    /**
+     * Add a segment change to the history, from a snapshot taken before it
+     * @param {string} label - History label
+     * @param {Object[]} before - Segments before the change
+     * @param {string} mergeKey - Merge rapid repeats of the same change (optional)
+     */
+    pushHistory(label, before, mergeKey) {
+        const after = this.getSnapshot();
+        this.editor.history?.push({
+            label,
+            mergeKey,
+            undo: () => this.restoreSegments(before),
+            redo: () => this.restoreSegments(after)
+        });
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Replace all segments with a snapshot
+     * @param {Object[]} snapshot - From getSnapshot()
+     */
+    restoreSegments(snapshot) {
+        this.editor.segments = snapshot.map(segment => ({ ...segment }));
+        this.refresh();
+        this.editor.projectManager?.markDirty();
+    }
+
+    /**
+     * Select a segment in the list
+     * @param {number|null} id - Segment id, or null to clear
+     * @param {boolean} seek - Move the playhead to the segment's start
+     */
+    selectSegment(id, seek = false) {
+        this.selectedId = id;
+        const segment = this.segments.find(s => s.id === id);
+        if (seek && segment) {
+            this.editor.sourceVideo.currentTime = Math.max(segment.start, this.editor.trimStart);
+        }
+        this.renderSpeedLane();
+        this.renderList();
+        this.editor.waveformManager?.draw();
+        this.editor.musicManager?.renderLane();
+    }
+
+    /**
+     * Keep playback on the kept ranges at their speeds: at the end of one, jump to the start
+     * of the next in output order; after the last one, stop at the start of the first.
+     * Freeze-frames keep the video paused on their frame while the preview pushes in. A transition
+     * starts the next segment early and blends into it from the outgoing segment's last frame shown.
+     * Called while playing.
+     */
+    followPlayback() {
+        const ranges = this.getRanges();
+        if (ranges.length === 0) return;
+
+        const video = this.editor.sourceVideo;
+        const time = video.currentTime;
+        const current = ranges[this.playingIndex];
+        // Output seconds the next segment's transition takes from the end of this one
+        const overlap = ranges[this.playingIndex + 1]?.transition?.duration || 0;
+
+        if (current?.hold && Math.abs(time - current.start) <= 1 / this.constants.EXPORT.FRAME_RATE) {
+            const elapsed = (performance.now() - this.freezeStartedAt) / 1000;
+            this.editor.previewRenderer?.setZoom(window.SegmentTimeline.getFreezeZoom(current, elapsed));
+            this.updateTransition(current, elapsed);
+            if (elapsed < current.hold - overlap) {
+                if (!video.paused) video.pause();
+                return;
+            }
+        } else {
+            const end = current ? current.end - overlap * current.speed : 0;
+            if (current && time >= current.start && time < end) {
+                this.updateTransition(current, (time - current.start) / current.speed);
+                return;
+            }
+
+            const reachedEnd = current && time >= end && time < current.end + this.config.SKIP_TOLERANCE;
+            if (!reachedEnd) {
+                // Started or seeked somewhere else: play from there, or from the next kept range after it
+                const index = window.SegmentTimeline.getRangeIndex(ranges, time);
+                if (index !== -1) {
+                    this.setPlayingRange(index);
+                    return;
+                }
+                const next = ranges.findIndex(range => range.start > time);
+                this.setPlayingRange(next === -1 ? 0 : next);
+                video.currentTime = ranges[this.playingIndex].start;
+                return;
+            }
+        }
+
+        if (!this.playNextRange()) {
+            this.editor.handlePlayPause();
+            video.currentTime = ranges[0].start;
+        }
+    }
+
+    /**
+     * Continue playback at the start of the kept range after the current one
+     * @returns {boolean} False after the last range
+     */
+    playNextRange() {
+        const ranges = this.getRanges();
+        const current = ranges[this.playingIndex];
+        const next = ranges[this.playingIndex + 1];
+        if (!current || !next) {
+            this.setPlayingRange(-1);
+            return false;
+        }
+
+        const video = this.editor.sourceVideo;
+        // The outgoing frame on the preview is what the transition blends from
+        if (next.transition) this.editor.previewRenderer?.captureTransitionFrame();
+        this.setPlayingRange(this.playingIndex + 1);
+        if (next.hold) {
+            video.pause();
+            video.currentTime = next.start;
+            return true;
+        }
+        // Segments that follow on in the source play through without a seek, unless a transition cut the first one short
+        if (next.transition || Math.abs(next.start - current.end) > 1 / this.constants.EXPORT.FRAME_RATE) {
+            video.currentTime = next.start;
+        }
+        if (video.paused) video.play();
+        return true;
+    }
+
+    /**
+     * Track the kept range being played and preview it at its speed
+     * @param {number} index - Index into the kept ranges, or -1 when none is playing
+     */
+    setPlayingRange(index) {
+        this.playingIndex = index;
+        const range = this.getRanges()[index];
+        this.editor.sourceVideo.playbackRate = range ? range.speed : 1;
+        this.freezeStartedAt = range?.hold ? performance.now() : null;
+        this.editor.previewRenderer?.setZoom(1);
+        this.updateTransition(range, 0);
+    }
+
+    /**
+     * Output time of the playhead, counting a playing freeze-frame's hold
+     * @returns {number|null} Seconds on the output timeline, or null when the playhead is in a cut
+     */
+    getOutputTime() {
+        const ranges = this.getRanges();
+        const range = ranges[this.playingIndex];
+        const time = this.editor.sourceVideo.currentTime;
+
+        if (range?.hold && this.freezeStartedAt !== null) {
+            return range.offset + Math.min(range.hold, (performance.now() - this.freezeStartedAt) / 1000);
+        }
+        if (range && !range.hold && time >= range.start && time <= range.end) {
+            return range.offset + (time - range.start) / range.speed;
+        }
+        return window.SegmentTimeline.toOutputTime(ranges, time);
+    }
+
+    /**
+     * Show the transition into the playing range on the preview while it lasts
+     * @param {Object|undefined} range - Playing range
+     * @param {number} elapsed - Output seconds since the range started
+     */
+    updateTransition(range, elapsed) {
+        const transition = range?.transition;
+        const active = transition && elapsed < transition.duration;
+        this.editor.previewRenderer?.setTransition(active ? { type: transition.type, progress: elapsed / transition.duration } : null);
+    }
+
+    /**
+     * Redraw the timeline marks and the segment list
+     */
+    refresh() {
+        if (this.selectedId !== null && !this.segments.some(segment => segment.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+        // Picked up again by followPlayback() while playing
+        this.setPlayingRange(-1);
+        this.renderTimeline();
+        this.renderSpeedLane();
+        this.renderList();
+    }
+
+    /**
+     * Shade the cut ranges on the timeline and number the kept segments in output order
+     */
+    renderTimeline() {
+        const container = this.elements.timeline;
+        const duration = this.editor.duration;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!duration || !this.isCut()) return;
+
+        const percent = (time) => this.editor.getTimelinePercent(time);
+        const DOMUtils = this.utils.DOMUtils;
+
+        // Cut ranges: everything no segment keeps
+        const kept = [...this.segments].sort((a, b) => a.start - b.start);
+        let position = 0;
+        [...kept, { start: duration, end: duration }].forEach(segment => {
+            if (segment.start > position) {
+                container.appendChild(DOMUtils.createElement('div', {
+                    className: 'timeline-cut',
+                    styles: { left: `${percent(position)}%`, width: `${percent(segment.start) - percent(position)}%` }
+                }));
+            }
+            position = Math.max(position, segment.end);
+        });
+
+        this.segments.forEach((segment, i) => {
+            container.appendChild(DOMUtils.createElement('div', {
+                className: segment.transition && i > 0 ? 'segment-marker has-transition' : 'segment-marker',
+                textContent: `${i + 1}`,
+                attributes: { title: `Segment ${i + 1}: ${this.describeSegment(segment)}${this.describeTransition(segment, i)}` },
+                styles: { left: `${percent(segment.start)}%` }
+            }));
+        });
+    }
+
+    /**
+     * Show each segment's speed in the lane below the timeline, at its place in the source
+     */
+    renderSpeedLane() {
+        const lane = this.elements.speedLane;
+        const duration = this.editor.duration;
+        if (!lane) return;
+
+        lane.innerHTML = '';
+        if (!duration) return;
+
+        const percent = (time) => this.editor.getTimelinePercent(time);
+        this.segments.filter(segment => !segment.hold).forEach(segment => {
+            const speed = this.formatSpeed(segment.speed);
+            const classes = ['speed-block'];
+            if (segment.speed < 1) classes.push('slow');
+            if (segment.speed > 1) classes.push('fast');
+            if (segment.id === this.selectedId) classes.push('selected');
+
+            lane.appendChild(this.utils.DOMUtils.createElement('div', {
+                className: classes.join(' '),
+                textContent: speed,
+                attributes: { 'data-id': segment.id, title: `${this.formatTime(segment.start)} – ${this.formatTime(segment.end)} at ${speed}` },
+                styles: { left: `${percent(segment.start)}%`, width: `${percent(segment.end) - percent(segment.start)}%` }
+            }));
+        });
+    }
+
+    /**
+     * List the segments in output order with their controls
+     */
+    renderList() {
+        const { list, summary, reset } = this.elements;
+        const DOMUtils = this.utils.DOMUtils;
+
+        if (list) {
+            list.innerHTML = '';
+            this.segments.forEach((segment, i) => {
+                const row = DOMUtils.createElement('div', {
+                    className: segment.id === this.selectedId ? 'segment-row selected' : 'segment-row',
+                    attributes: { 'data-id': segment.id, title: 'Click to jump to this segment' }
+                });
+                row.appendChild(DOMUtils.createElement('span', { className: 'segment-index', textContent: `${i + 1}` }));
+                row.appendChild(DOMUtils.createElement('span', {
+                    className: 'segment-range',
+                    textContent: this.describeSegment(segment)
+                }));
+                if (segment.zoom > 1) {
+                    row.appendChild(DOMUtils.createElement('span', {
+                        className: 'segment-speed-tag',
+                        textContent: `🔍 ${segment.zoom.toFixed(1)}x`
+                    }));
+                }
+                if (segment.speed !== 1) {
+                    row.appendChild(DOMUtils.createElement('span', {
+                        className: 'segment-speed-tag',
+                        textContent: this.formatSpeed(segment.speed)
+                    }));
+                }
+                if (segment.transition && i > 0) {
+                    row.appendChild(DOMUtils.createElement('span', {
+                        className: 'segment-transition-tag',
+                        textContent: '✨',
+                        attributes: { title: this.describeTransition(segment, i).replace(' · ', '') }
+                    }));
+                }
+                [
+                    { action: 'up', icon: '↑', title: 'Play earlier', disabled: i === 0 },
+                    { action: 'down', icon: '↓', title: 'Play later', disabled: i === this.segments.length - 1 },
+                    { action: 'delete', icon: '🗑️', title: 'Cut this segment out', disabled: this.segments.length === 1 }
+                ].forEach(({ action, icon, title, disabled }) => {
+                    const button = DOMUtils.createElement('button', {
+                        className: 'segment-action',
+                        textContent: icon,
+                        attributes: { 'data-action': action, title }
+                    });
+                    button.disabled = disabled;
+                    row.appendChild(button);
+                });
+                list.appendChild(row);
+            });
+        }
+
+        if (summary) {
+            const ranges = this.getRanges();
+            const count = this.segments.length;
+            summary.textContent = `${count} segment${count === 1 ? '' : 's'} · ${window.SegmentTimeline.getDuration(ranges).toFixed(1)}s output`;
+        }
+        if (reset) reset.disabled = !this.isEdited();
+
+        const target = this.getTargetSegment();
+        if (this.elements.speed) {
+            if (target) this.elements.speed.value = target.speed;
+            this.elements.speed.disabled = Boolean(target?.hold);
+        }
+
+        // The transition controls edit the boundary into the target segment; the first has none
+        const { transition, transitionDuration, transitionDurationValue } = this.elements;
+        const index = this.segments.indexOf(target);
+        const duration = target?.transition?.duration ?? this.constants.TRANSITIONS.DEFAULT_DURATION;
+        if (transition) {
+            transition.value = target?.transition?.type || 'none';
+            transition.disabled = index < 1;
+        }
+        if (transitionDuration) {
+            transitionDuration.value = duration;
+            transitionDuration.disabled = index < 1 || !target.transition;
+        }
+        if (transitionDurationValue) transitionDurationValue.textContent = `${duration.toFixed(1)}s`;
+
+        // A selected freeze-frame is edited with the freeze sliders
+        const freeze = this.getSelectedFreeze();
+        if (freeze) {
+            this.freezeDuration = freeze.hold;
+            this.freezeZoom = freeze.zoom;
+            if (this.elements.freezeDuration) this.elements.freezeDuration.value = freeze.hold;
+            if (this.elements.freezeZoom) this.elements.freezeZoom.value = freeze.zoom;
+            this.updateInsertControls();
+        }
+    }
+
+    /**
+     * Text for the transition into a segment, e.g. " · Crossfade 0.5s"
+     * @param {Object} segment
+     * @param {number} index - Position of the segment in the output
+     * @returns {string} Empty for a cut
+     */
+    describeTransition(segment, index) {
+        if (!segment.transition || index < 1) return '';
+        const type = this.constants.TRANSITIONS.TYPES.find(t => t.value === segment.transition.type);
+        return ` · ${type?.label || segment.transition.type} ${segment.transition.duration.toFixed(1)}s`;
+    }
+
+    /**
+     * Text for a segment in the list
+     * @param {Object} segment
+     * @returns {string}
+     */
+    describeSegment(segment) {
+        if (segment.hold) return `❄️ ${this.formatTime(segment.start)} for ${segment.hold.toFixed(1)}s`;
+        const range = `${this.formatTime(segment.start)} – ${this.formatTime(segment.end)}`;
+        return segment.kind === 'replay' ? `🔁 ${range}` : range;
+    }
+
+    /**
+     * Segments for the renderers
+     * @returns {Object[]|null} [{ start, end, speed, hold, zoom, transition }] in output order, or null when the clip isn't cut or retimed
+     */
+    getExportSegments() {
+        if (!this.isEdited()) return null;
+        return this.segments.map(({ start, end, speed, hold, zoom, transition }) => ({
+            start,
+            end,
+            speed,
+            ...(hold && { hold, zoom }),
+            ...(transition && { transition: { ...transition } })
+        }));
+    }
+
+    /**
+     * Segments to save with the project
+     * @returns {Object[]}
+     */
+    serialize() {
+        return this.getSnapshot();
+    }
+
+    /**
+     * Restore saved segments, or keep the whole clip
+     * @param {Object[]} segments - From serialize()
+     */
+    load(segments) {
+        const duration = this.editor.duration || Infinity;
+        const { MIN_SPEED, MAX_SPEED, MIN_FREEZE, MAX_FREEZE, MAX_FREEZE_ZOOM } = this.config;
+        const transitions = this.constants.TRANSITIONS;
+        const clamp = (value, min, max, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+        const valid = (segments || [])
+            .map((segment, i) => {
+                const id = Number.isFinite(segment.id) ? segment.id : i + 1;
+                let loaded;
+                if (segment.hold) {
+                    const start = clamp(segment.start, 0, duration, 0);
+                    loaded = {
+                        id,
+                        start,
+                        end: start,
+                        speed: 1,
+                        hold: clamp(segment.hold, MIN_FREEZE, MAX_FREEZE, this.config.FREEZE_DURATION),
+                        zoom: clamp(segment.zoom, 1, MAX_FREEZE_ZOOM, 1)
+                    };
+                } else {
+                    loaded = {
+                        id,
+                        start: Math.max(0, segment.start),
+                        end: Math.min(duration, segment.end),
+                        speed: clamp(segment.speed, MIN_SPEED, MAX_SPEED, 1),
+                        ...(segment.kind === 'replay' && { kind: 'replay' })
+                    };
+                }
+
+                const type = segment.transition?.type;
+                if (type !== 'none' && transitions.TYPES.some(t => t.value === type)) {
+                    loaded.transition = {
+                        type,
+                        duration: clamp(segment.transition.duration, transitions.MIN_DURATION, transitions.MAX_DURATION, transitions.DEFAULT_DURATION)
+                    };
+                }
+                return loaded;
+            })
+            .filter(segment => segment.hold || segment.end - segment.start >= this.config.MIN_DURATION);
+
+        this.editor.segments = valid.length > 0 ? valid : this.createDefaultSegments();
+        this.selectedId = null;
+        this.refresh();
+    }
+
+    /**
+     * Format a speed as e.g. 0.25x or 2x
+     * @param {number} speed
+     * @returns {string}
+     */
+    formatSpeed(speed) {
+        return `${speed}x`;
+    }
+
+    /**
+     * Format seconds as MM:SS.s
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+        return `${mins.toString().padStart(2, '0')}:${secs}`;
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.SegmentManager = SegmentManager;
+}
@@ -0,0 +1,206 @@
+/**
+ * Segment Timeline Module
+ * Maps between source video time and the output timeline of a multi-segment cut,
+ * where the kept segments play back to back in their chosen order, each at its own speed.
+ * A freeze-frame segment holds the frame at its start for a number of seconds (start === end).
+ * A segment's transition overlaps it with the end of the one before, shortening the output.
+ */
+
+const SegmentTimeline = {
+    /**
+     * Kept ranges of the output, in playback order
+     * @param {Object[]|null} segments - [{ start, end, speed, hold, zoom, transition }] in source seconds and output order
+     *     (null for the whole trim)
+     * @param {number} trimStart - Start of the trim range in seconds
+     * @param {number} trimEnd - End of the trim range in seconds
+     * @returns {Object[]} [{ start, end, speed, offset, transition }] clipped to the trim range, plus { hold, zoom } for
+     *     freeze-frames; offset is where the range starts in the output, transition { type, duration } or null
+     */
+    getRanges: (segments, trimStart, trimEnd) => {
+        const { MIN_DURATION } = window.EDITOR_CONSTANTS.SEGMENTS;
+        const source = segments?.length ? segments : [{ start: trimStart, end: trimEnd }];
+        const ranges = [];
+        let offset = 0;
+
+        source.forEach(segment => {
+            let range;
+            if (segment.hold) {
+                if (segment.start < trimStart || segment.start > trimEnd) return;
+                range = { start: segment.start, end: segment.start, speed: 1, hold: segment.hold, zoom: segment.zoom || 1 };
+            } else {
+                const start = Math.max(segment.start, trimStart);
+                const end = Math.min(segment.end, trimEnd);
+                if (end - start < MIN_DURATION) return;
+                range = { start, end, speed: segment.speed || 1 };
+            }
+
+            // A transition may use up to half of each segment it joins
+            const length = SegmentTimeline.getLength(range);
+            const previous = ranges[ranges.length - 1];
+            const type = segment.transition?.type;
+            const duration = previous && type && type !== 'none'
+                ? Math.min(segment.transition.duration, SegmentTimeline.getLength(previous) / 2, length / 2)
+                : 0;
+
+            range.transition = duration > 0 ? { type, duration } : null;
+            range.offset = offset - duration;
+            ranges.push(range);
+            offset = range.offset + length;
+        });
+
+        return ranges;
+    },
+
+    /**
+     * Length of the output
+     * @param {Object[]} ranges - From getRanges()
+     * @returns {number} Seconds
+     */
+    getDuration: (ranges) => {
+        const last = ranges[ranges.length - 1];
+        return last ? last.offset + SegmentTimeline.getLength(last) : 0;
+    },
+
+    /**
+     * Length of one range in the output
+     * @param {Object} range - From getRanges()
+     * @returns {number} Seconds
+     */
+    getLength: (range) => {
+        return range.hold || (range.end - range.start) / range.speed;
+    },
+
+    /**
+     * Index of the range playing a source time (never a freeze-frame)
+     * @param {Object[]} ranges - From getRanges()
+     * @param {number} time - Source video seconds
+     * @returns {number} -1 when the time was cut
+     */
+    getRangeIndex: (ranges, time) => {
+        return ranges.findIndex(range => time >= range.start && time < range.end);
+    },
+
+    /**
+     * Source time shown at an output time
+     * @param {Object[]} ranges - From getRanges()
+     * @param {number} outputTime - Seconds on the output timeline
+     * @returns {number} Source video seconds
+     */
+    toSourceTime: (ranges, outputTime) => {
+        const range = ranges.find(r => outputTime < r.offset + SegmentTimeline.getLength(r)) || ranges[ranges.length - 1];
+        return SegmentTimeline.getSourceTime(range, outputTime);
+    },
+
+    /**
+     * Source time one range shows at an output time
+     * @param {Object} range - From getRanges()
+     * @param {number} outputTime - Seconds on the output timeline
+     * @returns {number} Source video seconds
+     */
+    getSourceTime: (range, outputTime) => {
+        return Math.min(range.end, range.start + Math.max(0, outputTime - range.offset) * range.speed);
+    },
+
+    /**
+     * Transition playing at an output time
+     * @param {Object[]} ranges - From getRanges()
+     * @param {number} outputTime - Seconds on the output timeline
+     * @returns {Object|null} { type, progress, from, to } with the outgoing and incoming source times, or null
+     */
+    getTransition: (ranges, outputTime) => {
+        const index = ranges.findIndex(r => r.transition && outputTime >= r.offset && outputTime < r.offset + r.transition.duration);
+        if (index < 1) return null;
+
+        const range = ranges[index];
+        return {
+            type: range.transition.type,
+            progress: (outputTime - range.offset) / range.transition.duration,
+            from: SegmentTimeline.getSourceTime(ranges[index - 1], outputTime),
+            to: SegmentTimeline.getSourceTime(range, outputTime)
+        };
+    },
+
+    /**
+     * Output time at which a source time is shown
+     * @param {Object[]} ranges - From getRanges()
+     * @param {number} time - Source video seconds
+     * @returns {number|null} Seconds on the output timeline, or null when the time was cut
+     */
+    toOutputTime: (ranges, time) => {
+        const range = ranges[SegmentTimeline.getRangeIndex(ranges, time)];
+        return range ? range.offset + (time - range.start) / range.speed : null;
+    },
+
+    /**
+     * Pieces of a source interval that survive the cut, e.g. a caption's display time
+     * @param {Object[]} ranges - From getRanges()
+     * @param {number} start - Source video seconds
+     * @param {number} end - Source video seconds
+     * @returns {Object[]} [{ start, end, sourceStart, sourceEnd }] with start/end on the output timeline
+     */
+    mapInterval: (ranges, start, end) => {
+        return ranges
+            .filter(range => (range.hold ? start <= range.start && end > range.start : end > range.start && start < range.end))
+            .map(range => {
+                if (range.hold) {
+                    return { start: range.offset, end: range.offset + range.hold, sourceStart: range.start, sourceEnd: range.start };
+                }
+
+                const sourceStart = Math.max(start, range.start);
+                const sourceEnd = Math.min(end, range.end);
+                return {
+                    start: range.offset + (sourceStart - range.start) / range.speed,
+                    end: range.offset + (sourceEnd - range.start) / range.speed,
+                    sourceStart,
+                    sourceEnd
+                };
+            });
+    },
+
+    /**
+     * Zoom of a freeze-frame after part of its hold, easing in and out towards its zoom
+     * @param {Object} range - Freeze-frame range from getRanges()
+     * @param {number} elapsed - Seconds since the freeze started
+     * @returns {number} 1 for no zoom
+     */
+    getFreezeZoom: (range, elapsed) => {
+        if (!range?.hold || range.zoom === 1) return 1;
+        const progress = Math.min(1, Math.max(0, elapsed / range.hold));
+        return 1 + (range.zoom - 1) * window.KeyframeEasing.evaluate('ease-in-out', progress);
+    },
+
+    /**
+     * Zoom shown at an output time: only freeze-frames zoom
+     * @param {Object[]} ranges - From getRanges()
+     * @param {number} outputTime - Seconds on the output timeline
+     * @returns {number} 1 for no zoom
+     */
+    getZoom: (ranges, outputTime) => {
+        const range = ranges.find(r => r.hold && outputTime >= r.offset && outputTime < r.offset + r.hold);
+        return range ? SegmentTimeline.getFreezeZoom(range, outputTime - range.offset) : 1;
+    },
+
+    /**
+     * Narrow a selection around its center to zoom into it
+     * @param {Object} selection - { x, y, width, height }
+     * @param {number} zoom - 1 for no zoom
+     * @returns {Object} Zoomed copy (the same selection for no zoom)
+     */
+    zoomSelection: (selection, zoom) => {
+        if (!selection || zoom === 1) return selection;
+        const width = selection.width / zoom;
+        const height = selection.height / zoom;
+        return {
+            ...selection,
+            x: selection.x + (selection.width - width) / 2,
+            y: selection.y + (selection.height - height) / 2,
+            width,
+            height
+        };
+    }
+};
+
+// Export for use in editor modules and export renderers
+if (typeof window !== 'undefined') {
+    window.SegmentTimeline = SegmentTimeline;
+}
@@ -4,10 +4,21 @@
  */
 
 class SelectionController {
-    constructor(editor, canvasElement) {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     * @param {HTMLCanvasElement} canvasElement - Landscape canvas shared by all regions
+     * @param {Object} options - Layout region { regionId, label, color } (optional)
+     */
+    constructor(editor, canvasElement, options = {}) {
         this.editor = editor;
         this.canvas = canvasElement;
         this.ctx = canvasElement.getContext('2d');
+
+        // Layout region this selection fills
+        this.regionId = options.regionId || 'main';
+        this.label = options.label || null;
+        this.color = options.color || null;
+        this.active = true; // Only the active region zooms and records
         
         // Selection state
         this.selection = {
@@ -23,11 +34,21 @@ class SelectionController {
         this.isResizing = false;
         this.dragStart = { x: 0, y: 0 };
         this.resizeHandle = null;
+        this.selectionBeforeEdit = null;
         
         // Get constants and utils
         this.constants = window.EDITOR_CONSTANTS;
         this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
         
+        // Bound once so cleanup() can remove them
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        
         this.initializeSelection();
         this.attachEventListeners();
     }
@@ -36,7 +57,7 @@ class SelectionController {
      * Initialize default selection position and size
      */
     initializeSelection() {
-        const targetAspect = 9 / 16;
+        const targetAspect = this.getTargetAspect();
         const canvasHeight = this.canvas.height;
         const canvasWidth = this.canvas.width;
 
@@ -57,7 +78,7 @@ class SelectionController {
         };
         
         this.drawSelection();
-        this.editor.onSelectionChanged(this.getSelectionData());
+        this.editor.onSelectionChanged(this.getSelectionData(), this);
     }
 
     /**
@@ -65,15 +86,15 @@ class SelectionController {
      */
     attachEventListeners() {
         // Mouse events
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
+        this.canvas.addEventListener('mousedown', this.handleMouseDown);
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        this.canvas.addEventListener('mouseup', this.handleMouseUp);
+        this.canvas.addEventListener('wheel', this.handleWheel);
         
         // Touch events for mobile
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        this.canvas.addEventListener('touchstart', this.handleTouchStart);
+        this.canvas.addEventListener('touchmove', this.handleTouchMove);
+        this.canvas.addEventListener('touchend', this.handleTouchEnd);
         
         // Prevent context menu
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
@@ -89,12 +110,16 @@ class SelectionController {
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
         
-        if (this.isInsideSelection(x, y)) {
+        // Regions share the canvas, so only the one the editor picks takes the drag
+        const owner = this.editor.getSelectionAt ? this.editor.getSelectionAt(x, y) : (this.isInsideSelection(x, y) ? this : null);
+        if (owner === this) {
+            this.editor.onSelectionActivated?.(this);
             this.isDragging = true;
             this.dragStart = { 
                 x: x - this.selection.x, 
                 y: y - this.selection.y 
             };
+            this.selectionBeforeEdit = { ...this.selection };
         }
     }
 
@@ -112,7 +137,7 @@ class SelectionController {
             
             this.constrainToCanvas();
             this.drawSelection();
-            this.editor.onSelectionChanged(this.getSelectionData());
+            this.editor.onSelectionChanged(this.getSelectionData(), this);
         } else {
             this.updateCursor(x, y);
         }
@@ -122,7 +147,11 @@ class SelectionController {
      * Handle mouse up event
      */
     handleMouseUp() {
+        if (this.isDragging) {
+            this.commitEdit(this.selectionBeforeEdit);
+        }
         this.isDragging = false;
+        this.selectionBeforeEdit = null;
     }
 
     /**
@@ -130,6 +159,7 @@ class SelectionController {
      */
     handleWheel(event) {
         event.preventDefault();
+        if (!this.active) return;
         
         const zoomDelta = event.deltaY > 0 ? -this.constants.SELECTION.ZOOM_SENSITIVITY : this.constants.SELECTION.ZOOM_SENSITIVITY;
         const newZoom = Math.max(
@@ -138,11 +168,50 @@ class SelectionController {
         );
         
         if (newZoom !== this.selection.zoom) {
+            const before = { ...this.selection };
             this.applyZoom(newZoom);
-            this.editor.onSelectionChanged(this.getSelectionData());
+            this.editor.onSelectionChanged(this.getSelectionData(), this);
+            this.commitEdit(before, 'selection-zoom');
+        }
+    }
+
+    /**
+     * Report a finished user edit so the editor can add it to its history
+     * @param {Object} before - Selection before the edit
+     * @param {string} mergeKey - Groups rapid repeated edits (optional)
+     */
+    commitEdit(before, mergeKey = null) {
+        if (!before) return;
+
+        const after = { ...this.selection };
+        const changed = ['x', 'y', 'width', 'height', 'zoom'].some(key => before[key] !== after[key]);
+        if (changed) {
+            this.editor.onSelectionEdited?.(before, after, mergeKey, this);
         }
     }
 
+    /**
+     * Get the output aspect ratio the selection is locked to
+     * @returns {number} Width / height
+     */
+    getTargetAspect() {
+        return this.editor.getOutputAspect?.(this.regionId) || this.constants.CANVAS.PORTRAIT_ASPECT_RATIO;
+    }
+
+    /**
+     * Reshape the selection to the current output aspect ratio
+     */
+    updateTargetAspect() {
+        this.selection = window.OutputFormat.fitSelection(
+            this.selection,
+            this.getTargetAspect(),
+            this.canvas.width,
+            this.canvas.height
+        );
+        this.drawSelection();
+        this.editor.onSelectionChanged(this.getSelectionData(), this);
+    }
+
     /**
      * Handle touch start event
      */
@@ -181,7 +250,7 @@ class SelectionController {
      * Apply zoom to selection
      */
     applyZoom(newZoom) {
-        const targetAspect = 9 / 16;
+        const targetAspect = this.getTargetAspect();
         const centerX = this.selection.x + this.selection.width / 2;
         const centerY = this.selection.y + this.selection.height / 2;
 
@@ -241,7 +310,8 @@ class SelectionController {
      * @returns {string|null}
      */
     updateCursor(x, y) {
-        if (this.isInsideSelection(x, y)) {
+        const isOverSelection = this.editor.getSelectionAt ? !!this.editor.getSelectionAt(x, y) : this.isInsideSelection(x, y);
+        if (isOverSelection) {
             this.canvas.style.cursor = 'move';
         } else {
             this.canvas.style.cursor = 'default';
@@ -250,21 +320,39 @@ class SelectionController {
 
     /**
      * Draw selection rectangle and handles
+     * (every layout region is redrawn, since they share one canvas)
      */
     drawSelection() {
+        const regions = this.editor.getSelectionControllers?.() || [this];
+
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw dark overlay over the entire canvas
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Clear the selection area, making it transparent to the video underneath
-        this.ctx.clearRect(this.selection.x, this.selection.y, this.selection.width, this.selection.height);
+        // Clear the selection areas, making them transparent to the video underneath
+        regions.forEach(region => {
+            const { x, y, width, height } = region.selection;
+            this.ctx.clearRect(x, y, width, height);
+        });
+
+        // Draw a border around each clear area, thicker for the region being edited
+        regions.forEach(region => {
+            const { x, y, width, height } = region.selection;
+            const isHighlighted = regions.length > 1 && region.active;
 
-        // Draw a border around the clear area
-        this.ctx.strokeStyle = this.constants.SELECTION.BORDER_COLOR;
-        this.ctx.lineWidth = this.constants.SELECTION.BORDER_WIDTH;
-        this.ctx.strokeRect(this.selection.x, this.selection.y, this.selection.width, this.selection.height);
+            this.ctx.strokeStyle = region.color || this.constants.SELECTION.BORDER_COLOR;
+            this.ctx.lineWidth = this.constants.SELECTION.BORDER_WIDTH * (isHighlighted ? 1.5 : 1);
+            this.ctx.strokeRect(x, y, width, height);
+
+            if (regions.length > 1 && region.label) {
+                this.ctx.font = 'bold 12px Arial';
+                this.ctx.textAlign = 'left';
+                this.ctx.fillStyle = this.ctx.strokeStyle;
+                this.ctx.fillText(region.label, x + 6, y + 16);
+            }
+        });
     }
 
     /**
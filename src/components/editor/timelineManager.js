@@ -0,0 +1,334 @@
+/**
+ * Timeline Manager Module
+ * Zoom and pan of the source timeline lanes, the timecode ruler above them, and
+ * frame stepping and snapping so trims and keyframes land on whole frames
+ */
+
+class TimelineManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.TIMELINE;
+
+        this.view = null; // { start, end } shown, or null for the whole clip
+        this.snapping = true;
+        this.refreshFrame = null;
+        this.rulerDrag = null;
+        this.resizeObserver = null;
+
+        const container = editor.container;
+        this.elements = {
+            timeline: container.querySelector(`.${editor.cssClasses.TIMELINE}`),
+            ruler: container.querySelector('.timeline-ruler'),
+            zoomIn: container.querySelector('.timeline-zoom-in-btn'),
+            zoomOut: container.querySelector('.timeline-zoom-out-btn'),
+            zoomFit: container.querySelector('.timeline-zoom-fit-btn'),
+            zoomValue: container.querySelector('.timeline-zoom-value'),
+            snap: container.querySelector('.timeline-snap-toggle')
+        };
+    }
+
+    /**
+     * Attach the zoom, pan and ruler listeners
+     */
+    attachEventListeners() {
+        const { timeline, ruler, zoomIn, zoomOut, zoomFit, snap } = this.elements;
+
+        // Ctrl+wheel zooms around the cursor; Shift+wheel or a sideways scroll pans
+        timeline?.addEventListener('wheel', (event) => {
+            if (!this.editor.duration) return;
+            const sideways = Math.abs(event.deltaX) > Math.abs(event.deltaY);
+            if (event.ctrlKey) {
+                event.preventDefault();
+                const step = event.deltaY < 0 ? this.config.ZOOM_STEP : 1 / this.config.ZOOM_STEP;
+                this.zoomAt(step, this.getTime(event.clientX));
+            } else if (this.view && (event.shiftKey || sideways)) {
+                event.preventDefault();
+                const rect = this.editor.timeline.track.getBoundingClientRect();
+                const delta = sideways ? event.deltaX : event.deltaY;
+                this.panBy((delta / rect.width) * (this.view.end - this.view.start));
+            }
+        }, { passive: false });
+
+        ruler?.addEventListener('mousedown', (event) => this.handleRulerMouseDown(event));
+        zoomIn?.addEventListener('click', () => this.zoomAt(this.config.ZOOM_STEP * this.config.ZOOM_STEP));
+        zoomOut?.addEventListener('click', () => this.zoomAt(1 / (this.config.ZOOM_STEP * this.config.ZOOM_STEP)));
+        zoomFit?.addEventListener('click', () => this.setView(null));
+        snap?.addEventListener('change', () => {
+            this.snapping = snap.checked;
+        });
+
+        if (ruler && typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.drawRuler());
+            this.resizeObserver.observe(ruler);
+        }
+    }
+
+    /**
+     * Frame rate trims and keyframes snap to
+     * @returns {number}
+     */
+    getFrameRate() {
+        return this.constants.EXPORT.FRAME_RATE;
+    }
+
+    /**
+     * Stretch of the clip the lanes show
+     * @returns {Object} { start, end } in seconds
+     */
+    getView() {
+        return this.view || { start: 0, end: this.editor.duration || 0 };
+    }
+
+    /**
+     * Where a time sits across the lanes
+     * @param {number} time - Source video seconds
+     * @returns {number} Percent of the lane width (outside 0-100 when scrolled out of view)
+     */
+    getPercent(time) {
+        const { start, end } = this.getView();
+        return end > start ? ((time - start) / (end - start)) * 100 : 0;
+    }
+
+    /**
+     * Time under a pointer position
+     * @param {number} clientX - Pointer x in viewport pixels
+     * @param {HTMLElement} element - Lane the pointer is over (defaults to the track)
+     * @returns {number} Source video seconds, within the clip
+     */
+    getTime(clientX, element = this.editor.timeline.track) {
+        const rect = element.getBoundingClientRect();
+        const { start, end } = this.getView();
+        const time = start + ((clientX - rect.left) / rect.width) * (end - start);
+        return Math.max(0, Math.min(this.editor.duration, time));
+    }
+
+    /**
+     * Round a time to the nearest frame boundary while snapping is on
+     * @param {number} time - Source video seconds
+     * @returns {number}
+     */
+    snapTime(time) {
+        if (!this.snapping) return time;
+        const fps = this.getFrameRate();
+        return Math.max(0, Math.min(this.editor.duration, Math.round(time * fps) / fps));
+    }
+
+    /**
+     * Show a stretch of the clip, no narrower than MIN_VIEW_FRAMES and within the clip
+     * @param {Object|null} view - { start, end } in seconds, or null for the whole clip
+     */
+    setView(view) {
+        const duration = this.editor.duration;
+        const minSpan = this.config.MIN_VIEW_FRAMES / this.getFrameRate();
+        const span = view ? Math.max(minSpan, view.end - view.start) : duration;
+
+        if (!duration || span >= duration) {
+            this.view = null;
+        } else {
+            const start = Math.max(0, Math.min(duration - span, view.start));
+            this.view = { start, end: start + span };
+        }
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Zoom in or out keeping one time in place
+     * @param {number} factor - Above 1 zooms in
+     * @param {number} time - Time that stays put (defaults to the playhead, or the middle when it is out of view)
+     */
+    zoomAt(factor, time) {
+        const { start, end } = this.getView();
+        if (time === undefined) {
+            const current = this.editor.currentTime;
+            time = current >= start && current <= end ? current : (start + end) / 2;
+        }
+        const span = (end - start) / factor;
+        const newStart = time - ((time - start) / (end - start)) * span;
+        this.setView({ start: newStart, end: newStart + span });
+    }
+
+    /**
+     * Scroll a zoomed timeline
+     * @param {number} seconds - Positive scrolls later
+     */
+    panBy(seconds) {
+        if (!this.view) return;
+        this.setView({ start: this.view.start + seconds, end: this.view.end + seconds });
+    }
+
+    /**
+     * Scroll a zoomed timeline so a time is in view, centring it
+     * @param {number} time - Source video seconds
+     */
+    reveal(time) {
+        if (!this.view || (time >= this.view.start && time <= this.view.end)) return;
+        const span = this.view.end - this.view.start;
+        this.setView({ start: time - span / 2, end: time + span / 2 });
+    }
+
+    /**
+     * Turn the page of a zoomed timeline when playback runs off its end
+     */
+    followPlayhead() {
+        const time = this.editor.currentTime;
+        if (!this.view || (time >= this.view.start && time <= this.view.end)) return;
+        const span = this.view.end - this.view.start;
+        this.setView({ start: time, end: time + span });
+    }
+
+    /**
+     * Move the playhead by whole frames, pausing playback
+     * @param {number} count - Frames, negative steps back
+     */
+    stepFrames(count) {
+        const editor = this.editor;
+        if (!editor.duration) return;
+        if (editor.isPlaying) editor.handlePlayPause();
+
+        const fps = this.getFrameRate();
+        const frame = Math.round(editor.sourceVideo.currentTime * fps) + count;
+        const time = Math.max(0, Math.min(editor.duration, frame / fps));
+        editor.sourceVideo.currentTime = time;
+        this.reveal(time);
+    }
+
+    /**
+     * Redraw the lanes once per animation frame however often the view changes
+     */
+    scheduleRefresh() {
+        if (this.refreshFrame) return;
+        this.refreshFrame = requestAnimationFrame(() => {
+            this.refreshFrame = null;
+            this.refresh();
+        });
+    }
+
+    /**
+     * Redraw every source-time lane for the current view
+     */
+    refresh() {
+        const editor = this.editor;
+        editor.waveformManager?.setView(this.view);
+        editor.filmstripManager?.setView(this.view);
+        editor.updateTimelineSelection();
+        editor.updateTimelinePosition();
+        editor.refreshKeyframeIndicators();
+        editor.segmentManager?.renderTimeline();
+        editor.segmentManager?.renderSpeedLane();
+        editor.captionManager?.renderTrack();
+        editor.musicManager?.renderLane();
+        this.drawRuler();
+
+        const { zoomValue, zoomOut, zoomFit, ruler } = this.elements;
+        const zoom = this.view ? editor.duration / (this.view.end - this.view.start) : 1;
+        if (zoomValue) zoomValue.textContent = `${zoom.toFixed(1)}x`;
+        if (zoomOut) zoomOut.disabled = !this.view;
+        if (zoomFit) zoomFit.disabled = !this.view;
+        ruler?.classList.toggle('zoomed', !!this.view);
+    }
+
+    /**
+     * Draw the ruler's ticks, labelling the coarser ones with their timecode
+     */
+    drawRuler() {
+        const canvas = this.elements.ruler;
+        if (!canvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (width === 0 || height === 0) return;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        const { start, end } = this.getView();
+        if (end <= start) return;
+
+        // Labels go on the finest step that leaves room for them, ticks on the finest step dividing it
+        const pixelsPerSecond = width / (end - start);
+        const fps = this.getFrameRate();
+        const steps = [
+            ...this.config.TICK_FRAMES.map(frames => frames / fps),
+            ...this.config.TICK_SECONDS
+        ];
+        const major = steps.find(step => step * pixelsPerSecond >= this.config.RULER_LABEL_SPACING * ratio) ||
+            steps[steps.length - 1];
+        const isMultiple = (value, step) => Math.abs(value / step - Math.round(value / step)) < 1e-6;
+        const minor = steps.find(step => step <= major && isMultiple(major, step) &&
+            step * pixelsPerSecond >= this.config.RULER_TICK_SPACING * ratio) || major;
+
+        const style = getComputedStyle(canvas);
+        ctx.strokeStyle = style.color;
+        ctx.fillStyle = style.color;
+        ctx.font = `${10 * ratio}px ${style.fontFamily}`;
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = ratio;
+
+        ctx.beginPath();
+        for (let i = Math.ceil(start / minor); i * minor <= end; i++) {
+            const time = i * minor;
+            const x = Math.round((time - start) * pixelsPerSecond) + 0.5;
+            const isMajor = isMultiple(time, major);
+            ctx.moveTo(x, height);
+            ctx.lineTo(x, height * (isMajor ? 0.4 : 0.75));
+            if (isMajor) ctx.fillText(this.editor.formatTimecode(time), x + 3 * ratio, ratio);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Drag the ruler to pan a zoomed timeline; a plain click seeks
+     * @param {MouseEvent} event
+     */
+    handleRulerMouseDown(event) {
+        if (!this.editor.duration) return;
+        event.preventDefault();
+        this.rulerDrag = { startX: event.clientX, view: this.getView(), moved: false };
+
+        const onMouseMove = (e) => {
+            const drag = this.rulerDrag;
+            if (!drag || !this.view) return;
+            if (!drag.moved && Math.abs(e.clientX - drag.startX) < 3) return;
+            drag.moved = true;
+
+            const rect = this.elements.ruler.getBoundingClientRect();
+            const shift = ((drag.startX - e.clientX) / rect.width) * (drag.view.end - drag.view.start);
+            this.setView({ start: drag.view.start + shift, end: drag.view.end + shift });
+        };
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', (e) => {
+            document.removeEventListener('mousemove', onMouseMove);
+            const drag = this.rulerDrag;
+            this.rulerDrag = null;
+            if (drag && !drag.moved) {
+                this.editor.sourceVideo.currentTime = this.snapTime(this.getTime(e.clientX, this.elements.ruler));
+            }
+        }, { once: true });
+    }
+
+    /**
+     * Cancel a pending redraw and stop watching the ruler when the editor closes
+     */
+    cleanup() {
+        if (this.refreshFrame) cancelAnimationFrame(this.refreshFrame);
+        this.refreshFrame = null;
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+        this.rulerDrag = null;
+        this.view = null;
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.TimelineManager = TimelineManager;
+}
@@ -0,0 +1,70 @@
+/**
+ * Transition Renderer Module
+ * Draws the transitions between segments from the outgoing and incoming frames, shared by
+ * the preview and the WebCodecs export; each type mirrors its FFmpeg xfade counterpart
+ */
+
+const TransitionRenderer = {
+    /**
+     * Draw one frame of a transition
+     * @param {CanvasRenderingContext2D} ctx - Output context
+     * @param {CanvasImageSource} from - Outgoing frame
+     * @param {CanvasImageSource} to - Incoming frame
+     * @param {string} type - Transition type (see EDITOR_CONSTANTS.TRANSITIONS)
+     * @param {number} progress - 0 at the start of the transition, 1 at its end
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     */
+    draw: (ctx, from, to, type, progress, width, height) => {
+        const p = Math.min(1, Math.max(0, progress));
+
+        ctx.save();
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        switch (type) {
+            case 'dip-black':
+                // Fade out to black over the first half, in from black over the second
+                ctx.globalAlpha = p < 0.5 ? 1 - p * 2 : p * 2 - 1;
+                ctx.drawImage(p < 0.5 ? from : to, 0, 0, width, height);
+                break;
+
+            case 'zoom-punch': {
+                // Push into the outgoing frame while it fades into the incoming one
+                const scale = 1 + p;
+                ctx.drawImage(to, 0, 0, width, height);
+                ctx.globalAlpha = 1 - p;
+                ctx.drawImage(from, (width - width * scale) / 2, (height - height * scale) / 2, width * scale, height * scale);
+                break;
+            }
+
+            case 'whip-pan':
+                // The outgoing frame leaves to the left as the incoming one arrives from the right
+                ctx.drawImage(from, -width * p, 0, width, height);
+                ctx.drawImage(to, width * (1 - p), 0, width, height);
+                break;
+
+            default:
+                ctx.drawImage(from, 0, 0, width, height);
+                ctx.globalAlpha = p;
+                ctx.drawImage(to, 0, 0, width, height);
+        }
+
+        ctx.restore();
+    },
+
+    /**
+     * FFmpeg xfade transition name for a type
+     * @param {string} type - Transition type
+     * @returns {string}
+     */
+    getXfade: (type) => {
+        const preset = window.EDITOR_CONSTANTS.TRANSITIONS.TYPES.find(t => t.value === type);
+        return preset?.xfade || 'fade';
+    }
+};
+
+// Export for use in the preview and export renderers
+if (typeof window !== 'undefined') {
+    window.TransitionRenderer = TransitionRenderer;
+}
@@ -4,10 +4,12 @@
  */
 
 class VideoEditor {
-    constructor(videoElement, videoSrc) {
+    constructor(videoElement, videoSrc, libraryClip = null) {
         // Core components
         this.sourceVideo = videoElement;
         this.videoSrc = videoSrc;
+        this.libraryClip = libraryClip; // Clip re-opened from the clip library (has its own blob)
+        this.blobUrl = libraryClip ? videoSrc : null; // Object URL of the loaded video, owned by the editor
         
         // Canvas elements
         this.landscapeCanvas = null;
@@ -17,6 +19,17 @@ class VideoEditor {
         this.selectionController = null;
         this.frameRecorder = null;
         this.previewRenderer = null;
+        this.projectManager = null;
+        this.history = null;
+        this.captionManager = null;
+        this.overlayManager = null;
+        this.brandingManager = null;
+        this.segmentManager = null;
+        this.musicManager = null;
+        this.waveformManager = null;
+        this.filmstripManager = null;
+        this.timelineManager = null;
+        this.compilationManager = null;
         
         // Editor state
         this.isInitialized = false;
@@ -43,11 +56,54 @@ class VideoEditor {
         this.handleRecord = this.handleRecord.bind(this);
         this.handleStop = this.handleStop.bind(this);
         this.handleExport = this.handleExport.bind(this);
+        this.handleRenderProgress = this.handleRenderProgress.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleHistoryChanged = this.handleHistoryChanged.bind(this);
         this.animationFrameId = null;
-        this.renderer = new window.VideoRenderer();
+        this.renderer = null;
         this.trimStart = 0;
         this.trimEnd = 0;
         this.isTrimming = false;
+        this.trimBeforeEdit = null;
+        this.keyframesBeforeRecording = null;
+        this.selectedKeyframe = null; // Timestamp of the keyframe selected on the timeline
+        this.keyframeDrag = null;
+
+        // Export settings passed through to the renderer
+        this.exportSettings = {
+            audio: {
+                muted: false,
+                gainDb: this.constants.AUDIO.DEFAULT_GAIN_DB,
+                fadeIn: this.constants.AUDIO.DEFAULT_FADE_IN,
+                fadeOut: this.constants.AUDIO.DEFAULT_FADE_OUT
+            },
+            output: {
+                aspect: this.constants.EXPORT.DEFAULT_ASPECT,
+                customWidth: 9,
+                customHeight: 16,
+                resolution: this.constants.EXPORT.DEFAULT_RESOLUTION
+            },
+            layout: this.constants.LAYOUT.DEFAULT,
+            fit: {
+                mode: this.constants.FIT.DEFAULT_MODE,
+                blur: this.constants.FIT.DEFAULT_BLUR,
+                dim: this.constants.FIT.DEFAULT_DIM
+            }
+        };
+
+        // Overlay layers saved with the project
+        this.overlays = [];
+
+        // Kept segments in output order (see SegmentManager)
+        this.segments = [];
+
+        // Post-processing applied to each recording pass
+        this.pathSettings = {
+            tolerance: this.constants.PATH.DEFAULT_TOLERANCE,
+            smoothing: this.constants.PATH.DEFAULT_SMOOTHING
+        };
+        this.recordedPath = null; // Raw keyframes of the last recording pass
+        this.pathStats = null;
     }
 
     /**
@@ -65,15 +121,21 @@ class VideoEditor {
             this.initializeModules();
             this.attachEventListeners();
 
-            // Load FFmpeg
+            // Load the export renderer
             try {
-                await this.renderer.load();
+                await this.loadRenderer();
             } catch (e) {
                 this.utils.Logger.error('FFmpeg failed to load.', e);
                 alert('Error: Could not load video rendering library. Exporting will be disabled.');
                 if (this.controls.export) this.controls.export.disabled = true;
             }
 
+            // Metadata usually loads during setupVideo, before our listener was attached
+            if (this.sourceVideo.readyState >= 1) {
+                this.handleVideoLoadedMetadata();
+            }
+            await this.projectManager.offerRestore();
+
             this.isInitialized = true;
             this.utils.Logger.info(this.constants.EDITOR_MESSAGES?.EDITOR_INITIALIZED || 'Video Editor initialized');
 
@@ -88,7 +150,27 @@ class VideoEditor {
     }
 
     /**
-     * Setup video element - USING DOWNLOADS API
+     * Load the export renderer, preferring WebCodecs and falling back to FFmpeg.wasm
+     * @returns {Promise<void>}
+     */
+    async loadRenderer() {
+        if (window.WebCodecsRenderer?.isSupported()) {
+            try {
+                const renderer = new window.WebCodecsRenderer();
+                await renderer.load();
+                this.renderer = renderer;
+                return;
+            } catch (e) {
+                this.utils.Logger.warn('WebCodecs export unavailable, falling back to FFmpeg.wasm:', e);
+            }
+        }
+
+        this.renderer = new window.VideoRenderer();
+        await this.renderer.load();
+    }
+
+    /**
+     * Setup video element - streamed through the background service worker
      * @returns {Promise<void>}
      */
     async setupVideo() {
@@ -101,23 +183,34 @@ class VideoEditor {
                 this.updateDownloadProgress(`Downloading... ${percent}%`, percent);
             });
 
-            const processedVideo = await window.videoProcessor.downloadAndProcess(this.videoSrc);
+            try {
+                if (this.libraryClip) {
+                    // Re-opened from the library: the blob is already local
+                    this.sourceVideo.src = this.videoSrc;
+                    this.videoBlob = this.libraryClip.blob;
+                    this.canManipulate = true;
+                    this.utils.Logger.info('📚 Video loaded from clip library:', this.libraryClip.title);
+                } else {
+                    const processedVideo = await window.videoProcessor.downloadAndProcess(this.videoSrc);
+
+                    this.sourceVideo.src = processedVideo.localUrl;
+                    this.videoBlob = processedVideo.blob;
+                    this.canManipulate = true;
+
+                    this.utils.Logger.info('✅ Video configured from downloaded blob:', {
+                        method: processedVideo.downloadMethod,
+                        size: processedVideo.size
+                    });
+                }
+            } catch (downloadError) {
+                // Fall back to the CDN URL: playback works but export is unavailable
+                this.utils.Logger.warn('⚠️ Blob download failed, using direct URL:', downloadError);
+                this.sourceVideo.src = this.videoSrc;
+                this.videoBlob = null;
+            }
 
-            // Workaround: Since file:// URL won't work, we need to read the file
-            // This is a limitation; see note below
-            const filePath = processedVideo.localUrl.replace('file://', '');
-            // Placeholder: Reading file as blob requires FileSystem API or proxy
-            // For now, fall back to direct URL (which may fail due to CORS)
-            this.sourceVideo.src = this.videoSrc; // Temporary fallback
             this.sourceVideo.type = 'video/mp4';
             this.sourceVideo.preload = 'metadata';
-            this.videoBlob = null; // Update when blob is available
-
-            this.utils.Logger.info('✅ Video configured (temporary fallback):', {
-                method: processedVideo.downloadMethod,
-                canManipulate: processedVideo.canManipulate,
-                url: this.videoSrc.substring(0, 50) + '...'
-            });
 
             this.updateDownloadProgress('Loading video...', 95);
 
@@ -346,11 +439,16 @@ class VideoEditor {
             playPause: this.container.querySelector('.play-pause-btn'),
             stop: this.container.querySelector('.stop-btn'),
             restart: this.container.querySelector('.restart-btn'),
+            undo: this.container.querySelector('.undo-btn'),
+            redo: this.container.querySelector('.redo-btn'),
             record: this.container.querySelector('.record-btn'),
+            addKeyframe: this.container.querySelector('.add-keyframe-btn'),
             export: this.container.querySelector('.export-btn'),
             downloadOriginal: this.container.querySelector('.download-original-btn'),
             close: this.container.querySelector('.editor-close-btn'),
-            fullscreen: this.container.querySelector('#editor-fullscreen-btn')
+            fullscreen: this.container.querySelector('#editor-fullscreen-btn'),
+            saveProject: this.container.querySelector('#save-project-btn'),
+            openProject: this.container.querySelector('#open-project-btn')
         };
         
         // Get info elements
@@ -362,6 +460,7 @@ class VideoEditor {
             duration: this.container.querySelector('.duration'),
             keyframesCount: this.container.querySelector('.keyframes-count'),
             recordingDuration: this.container.querySelector('.recording-duration'),
+            simplifiedCount: this.container.querySelector('.simplified-count'),
             modeText: this.container.querySelector('.mode-text'),
             recordingIndicator: this.container.querySelector('.recording-indicator')
         };
@@ -378,12 +477,68 @@ class VideoEditor {
             trimEndHandle: this.container.querySelector('.trim-handle-end')
         };
         
+        // Get audio export controls
+        this.audioControls = {
+            container: this.container.querySelector('.audio-controls'),
+            mute: this.container.querySelector('.audio-mute-toggle'),
+            gain: this.container.querySelector('.audio-gain'),
+            gainValue: this.container.querySelector('.audio-gain-value'),
+            fadeIn: this.container.querySelector('.audio-fade-in'),
+            fadeInValue: this.container.querySelector('.audio-fade-in-value'),
+            fadeOut: this.container.querySelector('.audio-fade-out'),
+            fadeOutValue: this.container.querySelector('.audio-fade-out-value')
+        };
+        
+        // Get output format controls
+        this.outputControls = {
+            aspect: this.container.querySelector('.output-aspect'),
+            custom: this.container.querySelector('.output-custom'),
+            customWidth: this.container.querySelector('.output-custom-width'),
+            customHeight: this.container.querySelector('.output-custom-height'),
+            resolution: this.container.querySelector('.output-resolution'),
+            aspectLabels: Array.from(this.container.querySelectorAll('.output-aspect-label')),
+            resolutionLabel: this.container.querySelector('.export-resolution'),
+            exportText: this.container.querySelector('.export-btn .text')
+        };
+        
+        // Get split-screen layout controls
+        this.layoutControls = {
+            preset: this.container.querySelector('.layout-preset'),
+            hint: this.container.querySelector('.layout-hint')
+        };
+        
+        // Get fit mode controls
+        this.fitControls = {
+            mode: this.container.querySelector('.fit-mode'),
+            blurControls: this.container.querySelector('.fit-blur-controls'),
+            blur: this.container.querySelector('.fit-blur'),
+            blurValue: this.container.querySelector('.fit-blur-value'),
+            dim: this.container.querySelector('.fit-dim'),
+            dimValue: this.container.querySelector('.fit-dim-value')
+        };
+        
+        // Get path simplification controls
+        this.pathControls = {
+            tolerance: this.container.querySelector('.path-tolerance'),
+            toleranceValue: this.container.querySelector('.path-tolerance-value'),
+            smoothing: this.container.querySelector('.path-smoothing-toggle')
+        };
+        
+        // Get keyframe easing controls
+        this.easingControls = {
+            select: this.container.querySelector('.keyframe-easing'),
+            bezier: this.container.querySelector('.easing-bezier'),
+            bezierInputs: Array.from(this.container.querySelectorAll('.bezier-point')),
+            hint: this.container.querySelector('.easing-hint')
+        };
+        
         // Get preview container
         this.previewContainer = this.container.querySelector('.preview-canvas-container');
 
         // Upload elements
         this.uploadBtn = this.container.querySelector('#upload-video-btn');
         this.fileInput = this.container.querySelector('#video-file-input');
+        this.projectFileInput = this.container.querySelector('#project-file-input');
         this.dropZone = this.container.querySelector('#drop-zone');
         this.dropOverlay = this.container.querySelector('#drop-overlay');
     }
@@ -442,6 +597,42 @@ class VideoEditor {
             
             // Initialize preview renderer
             this.previewRenderer = new window.PreviewRenderer(this, this.sourceVideo);
+
+            // Initialize project save/restore
+            this.projectManager = new window.ProjectManager(this);
+
+            // Initialize undo/redo history
+            this.history = new window.HistoryManager();
+
+            // Initialize split-screen layout regions (the selection above is the main region)
+            this.layoutManager = new window.LayoutManager(this);
+
+            // Initialize multi-segment cutting on the timeline
+            this.segmentManager = new window.SegmentManager(this);
+
+            // Initialize the captions track
+            this.captionManager = new window.CaptionManager(this);
+
+            // Initialize text and image overlay layers
+            this.overlayManager = new window.OverlayManager(this);
+
+            // Initialize the saved channel branding preset
+            this.brandingManager = new window.BrandingManager(this);
+
+            // Initialize the clip audio waveform under the timeline
+            this.waveformManager = new window.WaveformManager(this);
+
+            // Initialize the frame thumbnails behind the timeline track
+            this.filmstripManager = new window.FilmstripManager(this);
+
+            // Initialize timeline zoom, ruler and frame stepping
+            this.timelineManager = new window.TimelineManager(this);
+
+            // Initialize the background music lane
+            this.musicManager = new window.MusicManager(this);
+
+            // Initialize the compilation sequence of several clips
+            this.compilationManager = new window.CompilationManager(this);
             
             // Add preview canvas to UI
             if (this.previewContainer) {
@@ -467,13 +658,23 @@ class VideoEditor {
         this.controls.stop?.addEventListener('click', this.handleStop);
         this.controls.restart?.addEventListener('click', this.handleRestart.bind(this));
         this.controls.record?.addEventListener('click', this.handleRecord);
+        this.controls.addKeyframe?.addEventListener('click', () => this.addKeyframeAtPlayhead());
         this.controls.export?.addEventListener('click', this.handleExport);
         this.controls.downloadOriginal?.addEventListener('click', this.handleDownloadOriginal.bind(this));
         this.controls.close?.addEventListener('click', this.cleanup.bind(this));
         this.controls.fullscreen?.addEventListener('click', this.toggleFullscreen.bind(this));
+        this.controls.undo?.addEventListener('click', () => this.undo());
+        this.controls.redo?.addEventListener('click', () => this.redo());
+
+        // Undo/redo shortcuts
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('editorHistoryChanged', this.handleHistoryChanged);
         
         // Timeline events
         this.timeline.track?.addEventListener('click', this.handleTimelineClick.bind(this));
+        this.timeline.keyframesContainer?.addEventListener('mousedown', this.handleKeyframeMouseDown.bind(this));
+        this.timeline.keyframesContainer?.addEventListener('click', (e) => e.stopPropagation());
+        this.timeline.keyframesContainer?.addEventListener('dblclick', this.handleKeyframeDoubleClick.bind(this));
         
         // Frame recorder events
         document.addEventListener('frameRecorderEvent', this.handleFrameRecorderEvent.bind(this));
@@ -481,6 +682,11 @@ class VideoEditor {
         // Upload events
         this.uploadBtn?.addEventListener('click', this.handleUploadClick.bind(this));
         this.fileInput?.addEventListener('change', this.handleFileSelect.bind(this));
+
+        // Project events
+        this.controls.saveProject?.addEventListener('click', () => this.projectManager?.exportToFile());
+        this.controls.openProject?.addEventListener('click', () => this.projectFileInput?.click());
+        this.projectFileInput?.addEventListener('change', this.handleProjectFileSelect.bind(this));
         
         // Drag & Drop events
         this.dropZone?.addEventListener('dragover', this.handleDragOver.bind(this));
@@ -490,6 +696,449 @@ class VideoEditor {
         // Trimming events
         this.timeline.trimStartHandle?.addEventListener('mousedown', this.handleTrimMouseDown.bind(this));
         this.timeline.trimEndHandle?.addEventListener('mousedown', this.handleTrimMouseDown.bind(this));
+
+        // Audio export settings
+        const handleAudioChange = this.handleAudioSettingsChange.bind(this);
+        this.audioControls.mute?.addEventListener('change', handleAudioChange);
+        this.audioControls.gain?.addEventListener('input', handleAudioChange);
+        this.audioControls.fadeIn?.addEventListener('input', handleAudioChange);
+        this.audioControls.fadeOut?.addEventListener('input', handleAudioChange);
+        this.updateAudioControls();
+
+        // Output aspect and resolution
+        const addOptions = (select, presets) => presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.value;
+            option.textContent = preset.label;
+            select.appendChild(option);
+        });
+        if (this.outputControls.aspect) addOptions(this.outputControls.aspect, this.constants.EXPORT.ASPECT_PRESETS);
+        if (this.outputControls.resolution) addOptions(this.outputControls.resolution, this.constants.EXPORT.RESOLUTIONS);
+        const handleOutputChange = this.handleOutputSettingsChange.bind(this);
+        this.outputControls.aspect?.addEventListener('change', handleOutputChange);
+        this.outputControls.customWidth?.addEventListener('change', handleOutputChange);
+        this.outputControls.customHeight?.addEventListener('change', handleOutputChange);
+        this.outputControls.resolution?.addEventListener('change', handleOutputChange);
+
+        // Split-screen layout
+        if (this.layoutControls.preset) {
+            addOptions(this.layoutControls.preset, this.constants.LAYOUT.PRESETS);
+            this.layoutControls.preset.addEventListener('change', this.handleLayoutChange.bind(this));
+        }
+
+        // Fit mode
+        if (this.fitControls.mode) addOptions(this.fitControls.mode, this.constants.FIT.MODES);
+        const handleFitChange = this.handleFitSettingsChange.bind(this);
+        this.fitControls.mode?.addEventListener('change', handleFitChange);
+        this.fitControls.blur?.addEventListener('input', handleFitChange);
+        this.fitControls.dim?.addEventListener('input', handleFitChange);
+        this.applyOutputSettings();
+
+        // Path simplification: re-run on release, label follows the slider
+        const handlePathChange = this.handlePathSettingsChange.bind(this);
+        this.pathControls.tolerance?.addEventListener('input', () => this.updatePathControls(
+            parseFloat(this.pathControls.tolerance.value)
+        ));
+        this.pathControls.tolerance?.addEventListener('change', handlePathChange);
+        this.pathControls.smoothing?.addEventListener('change', handlePathChange);
+        this.updatePathControls();
+
+        // Keyframe easing
+        if (this.easingControls.select) {
+            window.KeyframeEasing.PRESETS.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.value;
+                option.textContent = preset.label;
+                this.easingControls.select.appendChild(option);
+            });
+            this.easingControls.select.addEventListener('change', this.handleEasingChange.bind(this));
+        }
+        this.easingControls.bezierInputs.forEach(input => {
+            input.addEventListener('change', this.handleEasingChange.bind(this));
+        });
+        this.updateEasingControls();
+
+        // Captions
+        this.segmentManager?.attachEventListeners();
+        this.captionManager?.attachEventListeners();
+        this.overlayManager?.attachEventListeners();
+        this.brandingManager?.attachEventListeners();
+        this.waveformManager?.attachEventListeners();
+        this.filmstripManager?.attachEventListeners();
+        this.timelineManager?.attachEventListeners();
+        this.musicManager?.attachEventListeners();
+        this.compilationManager?.attachEventListeners();
+    }
+
+    /**
+     * Apply the chosen easing to the segment after the selected keyframe
+     */
+    handleEasingChange() {
+        const timestamp = this.selectedKeyframe;
+        if (timestamp === null || !this.frameRecorder?.getKeyframeAt(timestamp)) return;
+
+        let easing = this.easingControls.select.value;
+        if (easing === 'cubic-bezier') {
+            const points = this.easingControls.bezierInputs.map(input => parseFloat(input.value) || 0);
+            easing = window.KeyframeEasing.formatBezier(points);
+        }
+
+        const before = this.getKeyframeSnapshot();
+        this.frameRecorder.setKeyframeEasing(timestamp, easing);
+        this.refreshKeyframeIndicators();
+        this.pushKeyframeHistory('Change easing', before);
+    }
+
+    /**
+     * Sync the easing controls with the selected keyframe
+     */
+    updateEasingControls() {
+        const controls = this.easingControls;
+        if (!controls?.select) return;
+
+        const keyframe = this.selectedKeyframe !== null ? this.frameRecorder?.getKeyframeAt(this.selectedKeyframe) : null;
+        const { type, points } = window.KeyframeEasing.parse(keyframe?.easing);
+
+        controls.select.disabled = !keyframe;
+        controls.select.value = type;
+        controls.hint?.classList.toggle('hidden', Boolean(keyframe));
+        controls.bezier?.classList.toggle('hidden', !keyframe || type !== 'cubic-bezier');
+
+        if (points) {
+            controls.bezierInputs.forEach((input, index) => { input.value = points[index]; });
+        }
+    }
+
+    /**
+     * Read the path controls and re-simplify the keyframes
+     */
+    handlePathSettingsChange() {
+        const { tolerance, smoothing } = this.pathControls;
+        if (tolerance) this.pathSettings.tolerance = parseFloat(tolerance.value);
+        if (smoothing) this.pathSettings.smoothing = smoothing.checked;
+        this.updatePathControls();
+
+        if (!this.frameRecorder || this.frameRecorder.getRecordingStatus()) return;
+        if (this.frameRecorder.keyframes.size === 0) return;
+
+        const before = this.getKeyframeSnapshot();
+
+        // Start again from the raw recording so lowering the tolerance brings detail back
+        if (this.recordedPath) {
+            this.frameRecorder.importKeyframes({ keyframes: this.recordedPath });
+        }
+        this.simplifyPath();
+        this.pushKeyframeHistory('Simplify path', before);
+    }
+
+    /**
+     * Sync the path controls with the path settings
+     * @param {number} previewTolerance - Slider value while dragging (optional)
+     */
+    updatePathControls(previewTolerance = this.pathSettings.tolerance) {
+        const controls = this.pathControls;
+        if (!controls) return;
+
+        if (controls.tolerance) controls.tolerance.value = previewTolerance;
+        if (controls.smoothing) controls.smoothing.checked = this.pathSettings.smoothing;
+        if (controls.toleranceValue) {
+            controls.toleranceValue.textContent = previewTolerance > 0 ? `${previewTolerance} px` : 'Off';
+        }
+    }
+
+    /**
+     * Thin and smooth the current keyframes with the path settings
+     */
+    simplifyPath() {
+        const { tolerance, smoothing } = this.pathSettings;
+        if (tolerance > 0 || smoothing) {
+            this.pathStats = this.frameRecorder.simplifyKeyframes({ tolerance, smoothing });
+            this.utils.Logger.info(`〰️ Path simplified: ${this.pathStats.before} → ${this.pathStats.after} keyframes`);
+        } else {
+            const count = this.frameRecorder.keyframes.size;
+            this.pathStats = { before: count, after: count };
+        }
+        this.refreshKeyframeIndicators();
+    }
+
+    /**
+     * Read the audio export controls into the export settings
+     */
+    handleAudioSettingsChange() {
+        const audio = this.exportSettings.audio;
+        const { mute, gain, fadeIn, fadeOut } = this.audioControls;
+
+        if (mute) audio.muted = mute.checked;
+        if (gain) audio.gainDb = parseFloat(gain.value);
+        if (fadeIn) audio.fadeIn = parseFloat(fadeIn.value);
+        if (fadeOut) audio.fadeOut = parseFloat(fadeOut.value);
+
+        this.updateAudioControls();
+        this.musicManager?.renderLane();
+        this.projectManager?.markDirty();
+    }
+
+    /**
+     * Sync the audio export controls with the export settings
+     */
+    updateAudioControls() {
+        const audio = this.exportSettings.audio;
+        const controls = this.audioControls;
+
+        if (controls.mute) controls.mute.checked = audio.muted;
+        if (controls.gain) controls.gain.value = audio.gainDb;
+        if (controls.fadeIn) controls.fadeIn.value = audio.fadeIn;
+        if (controls.fadeOut) controls.fadeOut.value = audio.fadeOut;
+
+        if (controls.gainValue) controls.gainValue.textContent = `${audio.gainDb > 0 ? '+' : ''}${audio.gainDb} dB`;
+        if (controls.fadeInValue) controls.fadeInValue.textContent = `${audio.fadeIn.toFixed(1)}s`;
+        if (controls.fadeOutValue) controls.fadeOutValue.textContent = `${audio.fadeOut.toFixed(1)}s`;
+
+        controls.container?.classList.toggle('muted', audio.muted);
+    }
+
+    /**
+     * Read the output format controls as an undoable edit; a new aspect reshapes every keyframe
+     */
+    handleOutputSettingsChange() {
+        // Keyframes are being written by the recording pass
+        if (this.frameRecorder?.getRecordingStatus()) {
+            this.updateOutputControls();
+            return;
+        }
+
+        const before = this.getOutputSnapshot();
+        const output = { ...this.exportSettings.output };
+        const { aspect, customWidth, customHeight, resolution } = this.outputControls;
+
+        if (aspect) output.aspect = aspect.value;
+        if (customWidth) output.customWidth = Math.max(1, parseInt(customWidth.value, 10) || 1);
+        if (customHeight) output.customHeight = Math.max(1, parseInt(customHeight.value, 10) || 1);
+        if (resolution) output.resolution = resolution.value;
+
+        this.exportSettings.output = output;
+        this.applyOutputSettings();
+        this.projectManager?.markDirty();
+
+        const after = this.getOutputSnapshot();
+        this.history?.push({
+            label: 'Change output format',
+            undo: () => this.restoreOutputSnapshot(before),
+            redo: () => this.restoreOutputSnapshot(after)
+        });
+
+        this.utils.Logger.info(`📐 Output format: ${window.OutputFormat.getAspectLabel(output)} @ ${output.resolution}`);
+    }
+
+    /**
+     * Switch the split-screen layout as an undoable edit
+     */
+    handleLayoutChange() {
+        const value = this.layoutControls.preset?.value;
+        if (!this.layoutManager || !value || value === this.exportSettings.layout) return;
+
+        // Regions can't be added or removed during a recording pass
+        if (this.frameRecorder?.getRecordingStatus()) {
+            this.updateLayoutControls();
+            return;
+        }
+
+        const before = this.getOutputSnapshot();
+        this.exportSettings.layout = value;
+        this.layoutManager.setLayout(value);
+        this.applyOutputSettings();
+        this.projectManager?.markDirty();
+
+        const after = this.getOutputSnapshot();
+        this.history?.push({
+            label: 'Change layout',
+            undo: () => this.restoreOutputSnapshot(before),
+            redo: () => this.restoreOutputSnapshot(after)
+        });
+    }
+
+    /**
+     * Capture the output settings and layout with the keyframes and selections they shape
+     * @returns {Object}
+     */
+    getOutputSnapshot() {
+        return {
+            output: { ...this.exportSettings.output },
+            layout: this.exportSettings.layout,
+            regions: this.layoutManager?.getSnapshot() || null
+        };
+    }
+
+    /**
+     * Restore a snapshot from getOutputSnapshot()
+     * @param {Object} snapshot
+     */
+    restoreOutputSnapshot(snapshot) {
+        this.exportSettings.output = { ...snapshot.output };
+        this.exportSettings.layout = snapshot.layout;
+        if (snapshot.regions) this.layoutManager?.restoreSnapshot(snapshot.regions);
+        this.applyOutputSettings();
+    }
+
+    /**
+     * Propagate the output aspect to the selection regions and preview,
+     * reshaping keyframes that don't match their slot any more
+     */
+    applyOutputSettings() {
+        const output = this.exportSettings.output;
+        if (this.layoutManager) {
+            this.layoutManager.reshapeRegions();
+        } else {
+            this.selectionController?.updateTargetAspect();
+        }
+        this.previewRenderer?.setOutputAspect(
+            window.OutputFormat.getAspectRatio(output),
+            window.OutputFormat.getAspectLabel(output)
+        );
+        this.updateOutputControls();
+        this.updateLayoutControls();
+        this.applyFitSettings();
+    }
+
+    /**
+     * Read the fit mode controls into the export settings
+     */
+    handleFitSettingsChange() {
+        const fit = this.exportSettings.fit;
+        const { mode, blur, dim } = this.fitControls;
+
+        if (mode) fit.mode = mode.value;
+        if (blur) fit.blur = parseFloat(blur.value);
+        if (dim) fit.dim = parseFloat(dim.value);
+
+        this.applyFitSettings();
+        this.projectManager?.markDirty();
+    }
+
+    /**
+     * Fit settings in effect: split-screen layouts always crop their regions
+     * @returns {Object} { mode, blur, dim }
+     */
+    getFitSettings() {
+        const fit = this.exportSettings.fit;
+        return this.layoutManager?.isSplit() ? { ...fit, mode: 'crop' } : { ...fit };
+    }
+
+    /**
+     * Send the fit settings to the preview and sync the controls
+     */
+    applyFitSettings() {
+        this.previewRenderer?.setFit(this.getFitSettings());
+        this.updateFitControls();
+    }
+
+    /**
+     * Sync the fit mode controls with the export settings
+     */
+    updateFitControls() {
+        const fit = this.exportSettings.fit;
+        const controls = this.fitControls;
+        if (!controls) return;
+
+        const isSplit = Boolean(this.layoutManager?.isSplit());
+        if (controls.mode) {
+            controls.mode.value = fit.mode;
+            controls.mode.disabled = isSplit;
+            controls.mode.title = isSplit ? 'Split-screen layouts crop each region' : '';
+        }
+        if (controls.blur) controls.blur.value = fit.blur;
+        if (controls.dim) controls.dim.value = fit.dim;
+        if (controls.blurValue) controls.blurValue.textContent = `${fit.blur}`;
+        if (controls.dimValue) controls.dimValue.textContent = `${Math.round(fit.dim * 100)}%`;
+
+        controls.blurControls?.classList.toggle('hidden', isSplit || fit.mode !== 'blur');
+    }
+
+    /**
+     * Aspect ratio a selection region is locked to
+     * @param {string} regionId - Layout region (defaults to the main region)
+     * @returns {number} Width / height
+     */
+    getOutputAspect(regionId = null) {
+        const aspect = window.OutputFormat.getAspectRatio(this.exportSettings.output);
+        return this.layoutManager ? this.layoutManager.getSlotAspect(regionId, aspect) : aspect;
+    }
+
+    /**
+     * Sync the layout controls with the layout and the region being edited
+     */
+    updateLayoutControls() {
+        const controls = this.layoutControls;
+        if (!controls) return;
+
+        if (controls.preset) controls.preset.value = this.exportSettings.layout;
+
+        const isSplit = this.layoutManager?.isSplit();
+        controls.hint?.classList.toggle('hidden', !isSplit);
+        if (controls.hint && isSplit) {
+            const region = this.layoutManager.activeRegion;
+            controls.hint.textContent = `Editing ${region.slot.label} — click a region to edit its keyframes`;
+            controls.hint.style.color = this.constants.LAYOUT.REGION_COLORS[region.id] || '';
+        }
+    }
+
+    /**
+     * Selection controller that takes a pointer press on the landscape canvas
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {SelectionController|null}
+     */
+    getSelectionAt(x, y) {
+        if (this.layoutManager) return this.layoutManager.getControllerAt(x, y);
+        return this.selectionController?.isInsideSelection(x, y) ? this.selectionController : null;
+    }
+
+    /**
+     * Selection controllers drawn on the landscape canvas
+     * @returns {SelectionController[]|undefined}
+     */
+    getSelectionControllers() {
+        return this.layoutManager?.getControllers();
+    }
+
+    /**
+     * A region was pressed: make it the one being edited (called by SelectionController)
+     * @param {SelectionController} controller
+     */
+    onSelectionActivated(controller) {
+        this.layoutManager?.setActiveRegion(controller);
+    }
+
+    /**
+     * Encoded size of the export for the current settings and source
+     * @returns {Object} { width, height }
+     */
+    getOutputSize() {
+        return window.OutputFormat.getOutputSize(
+            this.exportSettings.output,
+            this.sourceVideo?.videoWidth,
+            this.sourceVideo?.videoHeight
+        );
+    }
+
+    /**
+     * Sync the output format controls and labels with the export settings
+     */
+    updateOutputControls() {
+        const output = this.exportSettings.output;
+        const controls = this.outputControls;
+        const label = window.OutputFormat.getAspectLabel(output);
+        const size = this.getOutputSize();
+
+        if (controls.aspect) controls.aspect.value = output.aspect;
+        if (controls.customWidth) controls.customWidth.value = output.customWidth;
+        if (controls.customHeight) controls.customHeight.value = output.customHeight;
+        if (controls.resolution) controls.resolution.value = output.resolution;
+        controls.custom?.classList.toggle('hidden', output.aspect !== 'custom');
+
+        controls.aspectLabels.forEach(element => { element.textContent = label; });
+        if (controls.resolutionLabel) controls.resolutionLabel.textContent = `${size.width} x ${size.height}`;
+        if (controls.exportText) controls.exportText.textContent = `Export ${label}`;
     }
 
     /**
@@ -497,6 +1146,7 @@ class VideoEditor {
      */
     handleTrimMouseDown(event) {
         this.isTrimming = true;
+        this.trimBeforeEdit = { start: this.trimStart, end: this.trimEnd };
         this.activeTrimHandle = event.target.dataset.handle;
         this.container.style.cursor = 'ew-resize';
 
@@ -516,9 +1166,7 @@ class VideoEditor {
     handleTrimMouseMove(event) {
         if (!this.isTrimming) return;
 
-        const timelineRect = this.timeline.track.getBoundingClientRect();
-        const progress = (event.clientX - timelineRect.left) / timelineRect.width;
-        const newTime = Math.max(0, Math.min(this.duration, progress * this.duration));
+        const newTime = this.snapTimelineTime(this.getTimelineTime(event.clientX));
 
         if (this.activeTrimHandle === 'start' && newTime < this.trimEnd) {
             this.trimStart = newTime;
@@ -537,19 +1185,47 @@ class VideoEditor {
         this.isTrimming = false;
         this.activeTrimHandle = null;
         this.container.style.cursor = 'default';
+
+        const before = this.trimBeforeEdit;
+        this.trimBeforeEdit = null;
+        if (!before || (before.start === this.trimStart && before.end === this.trimEnd)) return;
+
+        const after = { start: this.trimStart, end: this.trimEnd };
+        this.history?.push({
+            label: 'Trim',
+            undo: () => this.setTrim(before.start, before.end),
+            redo: () => this.setTrim(after.start, after.end)
+        });
+        this.projectManager?.markDirty();
+    }
+
+    /**
+     * Set the trim range and refresh the timeline
+     * @param {number} start - Trim start in seconds
+     * @param {number} end - Trim end in seconds
+     */
+    setTrim(start, end) {
+        this.trimStart = Math.max(0, Math.min(start, this.duration));
+        this.trimEnd = Math.max(this.trimStart, Math.min(end, this.duration));
+        this.sourceVideo.currentTime = this.trimStart;
+        this.updateTimelineSelection();
+        this.projectManager?.markDirty();
     }
 
     /**
      * Update the visual timeline selection bar
      */
     updateTimelineSelection() {
-        const startPercent = (this.trimStart / this.duration) * 100;
-        const endPercent = (this.trimEnd / this.duration) * 100;
+        const startPercent = this.getTimelinePercent(this.trimStart);
+        const endPercent = this.getTimelinePercent(this.trimEnd);
 
         this.timeline.selection.style.left = `${startPercent}%`;
         this.timeline.selection.style.width = `${endPercent - startPercent}%`;
         this.timeline.trimStartHandle.style.left = `${startPercent}%`;
         this.timeline.trimEndHandle.style.left = `${endPercent}%`; // Use left for end handle too
+        this.segmentManager?.renderList();
+        this.waveformManager?.draw();
+        this.musicManager?.renderLane();
     }
 
     /**
@@ -559,6 +1235,22 @@ class VideoEditor {
         this.fileInput?.click();
     }
 
+    /**
+     * Handle project file selection
+     */
+    async handleProjectFileSelect(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            await this.projectManager.importFromFile(file);
+        } catch (error) {
+            this.utils.Logger.error('Failed to open project:', error);
+            this.showError(`Failed to open project: ${error.message}`);
+        }
+    }
+
     /**
      * Handle file selection
      */
@@ -643,8 +1335,13 @@ class VideoEditor {
             
             // Load video
             await this.loadVideoFromBlob(blobUrl, file);
+            await this.projectManager?.offerRestore();
             
             this.showUploadProgress('Video loaded successfully!', 100);
+
+            // Keep uploads in the clip library so they can be re-opened later
+            window.clipLibrary?.addClip(file, { title: file.name, duration: this.duration })
+                .catch(error => this.utils.Logger.warn('Could not save upload to clip library:', error));
             
             // Hide progress after delay
             setTimeout(() => this.hideUploadProgress(), 1500);
@@ -700,7 +1397,11 @@ class VideoEditor {
         // Pause current video
         this.sourceVideo.pause();
         
-        // Update source
+        // Update source, releasing the previous upload or library clip
+        if (this.blobUrl && this.blobUrl !== blobUrl) {
+            URL.revokeObjectURL(this.blobUrl);
+        }
+        this.blobUrl = blobUrl;
         this.sourceVideo.src = blobUrl;
         this.sourceVideo.preload = 'metadata';
         this.videoBlob = file;
@@ -725,6 +1426,12 @@ class VideoEditor {
                     this.frameRecorder.clearKeyframes();
                     this.frameRecorder.stopRecording(); // Para se estiver gravando
                 }
+                this.keyframesBeforeRecording = null;
+                this.recordedPath = null;
+                this.pathStats = null;
+                this.selectedKeyframe = null;
+                this.refreshKeyframeIndicators();
+                this.history?.clear();
                 
                 resolve();
             };
@@ -749,7 +1456,7 @@ class VideoEditor {
     updateVideoInfo() {
         // Update duration display
         if (this.infoElements.duration) {
-            this.infoElements.duration.textContent = `/ ${this.formatTime(this.duration)}`;
+            this.infoElements.duration.textContent = `/ ${this.formatTimecode(this.duration)}`;
         }
         
         // Update header to show uploaded file
@@ -808,8 +1515,13 @@ class VideoEditor {
     /**
      * Handle selection change from selection controller
      * @param {Object} selectionData - New selection data
+     * @param {SelectionController} controller - Region that changed (defaults to the active one)
      */
-    handleSelectionChange(selectionData) {
+    handleSelectionChange(selectionData, controller = this.selectionController) {
+        // Every region feeds the composited preview, but only the active one is edited and recorded
+        this.layoutManager?.updatePreview();
+        if (controller && this.selectionController && controller !== this.selectionController) return;
+
         // Update preview renderer
         this.previewRenderer?.updateSelection(selectionData);
         
@@ -826,8 +1538,10 @@ class VideoEditor {
      * Handle video time updates
      */
     handleVideoTimeUpdate() {
-        // If current time is outside the trim range, loop back or pause
-        if (this.sourceVideo.currentTime >= this.trimEnd || this.sourceVideo.currentTime < this.trimStart) {
+        // A cut or retimed clip plays its kept segments in order at their speeds; otherwise loop back or pause outside the trim range
+        if (this.isPlaying && this.segmentManager?.isEdited()) {
+            this.segmentManager.followPlayback();
+        } else if (this.sourceVideo.currentTime >= this.trimEnd || this.sourceVideo.currentTime < this.trimStart) {
             this.sourceVideo.currentTime = this.trimStart;
             if (this.isPlaying) {
                 this.sourceVideo.pause();
@@ -840,6 +1554,7 @@ class VideoEditor {
         this.currentTime = this.sourceVideo.currentTime;
         this.updateTimeDisplay();
         this.updateTimelinePosition();
+        this.captionManager?.updateActiveCues(this.currentTime);
         
         // Update frame recorder time
         this.frameRecorder?.updateTime(this.currentTime);
@@ -850,11 +1565,19 @@ class VideoEditor {
      */
     handleVideoLoadedMetadata() {
         this.duration = this.sourceVideo.duration;
+        if (this.frameRecorder) this.frameRecorder.videoDuration = this.duration;
+        this.layoutManager?.setVideoDuration(this.duration);
         this.trimStart = 0;
         this.trimEnd = this.duration;
+        this.segmentManager?.load(null);
+        this.timelineManager?.setView(null);
         this.updateTimelineSelection();
+        this.updateOutputControls();
+        this.captionManager?.refresh();
+        this.waveformManager?.load();
+        this.filmstripManager?.load();
         if (this.infoElements.duration) {
-            this.infoElements.duration.textContent = `/ ${this.formatTime(this.duration)}`;
+            this.infoElements.duration.textContent = `/ ${this.formatTimecode(this.duration)}`;
         }
     }
 
@@ -862,13 +1585,17 @@ class VideoEditor {
      * Handle video ended
      */
     handleVideoEnded() {
+        // The source ended inside a cut clip whose next segment plays elsewhere
+        if (this.isPlaying && this.segmentManager?.isEdited() && this.segmentManager.playNextRange()) return;
+
         this.isPlaying = false;
+        this.musicManager?.stop();
         this.updatePlayPauseButton();
         cancelAnimationFrame(this.animationFrameId);
         
         // Stop recording if active
         if (this.frameRecorder?.getRecordingStatus()) {
-            this.handleRecord();
+            this.finishRecording();
         }
     }
 
@@ -880,6 +1607,8 @@ class VideoEditor {
             this.sourceVideo.pause();
             this.isPlaying = false;
             cancelAnimationFrame(this.animationFrameId);
+            this.segmentManager?.setPlayingRange(-1);
+            this.musicManager?.stop();
         } else {
             this.sourceVideo.play();
             this.isPlaying = true;
@@ -896,13 +1625,14 @@ class VideoEditor {
         this.sourceVideo.pause();
         this.sourceVideo.currentTime = 0;
         this.isPlaying = false;
+        this.segmentManager?.setPlayingRange(-1);
+        this.musicManager?.stop();
         this.updatePlayPauseButton();
         cancelAnimationFrame(this.animationFrameId);
         
         // Stop recording if active
         if (this.frameRecorder?.getRecordingStatus()) {
-            this.frameRecorder.stopRecording();
-            this.updateRecordingState();
+            this.finishRecording();
         }
     }
 
@@ -920,13 +1650,39 @@ class VideoEditor {
      */
     handleRecord() {
         if (this.frameRecorder?.getRecordingStatus()) {
-            // Stop recording
-            this.frameRecorder.stopRecording();
-            this.currentMode = 'preview';
-        } else {
-            // Start recording
-            this.frameRecorder?.startRecording(this.duration);
-            this.currentMode = 'record';
+            this.finishRecording();
+            return;
+        }
+
+        // Start recording
+        this.keyframesBeforeRecording = this.getKeyframeSnapshot();
+        this.frameRecorder?.startRecording(this.duration);
+        this.selectedKeyframe = null;
+        this.refreshKeyframeIndicators();
+        this.currentMode = 'record';
+        
+        this.updateRecordingState();
+    }
+
+    /**
+     * Stop the recording pass and keep it as one undoable step,
+     * whether it ends from the record button, the stop button or the end of the video
+     */
+    finishRecording() {
+        if (!this.frameRecorder?.getRecordingStatus()) return;
+
+        this.frameRecorder.stopRecording();
+        this.currentMode = 'preview';
+
+        // Keep the raw pass so the path settings can be changed afterwards
+        const pathBefore = this.recordedPath;
+        this.recordedPath = this.getKeyframeSnapshot();
+        this.simplifyPath();
+
+        // A recording pass replaces every keyframe, so make it one undoable step
+        if (this.keyframesBeforeRecording) {
+            this.pushKeyframeHistory('Record motion', this.keyframesBeforeRecording, pathBefore);
+            this.keyframesBeforeRecording = null;
         }
         
         this.updateRecordingState();
@@ -936,49 +1692,25 @@ class VideoEditor {
      * Handle export button
      */
     async handleExport() {
-        if (!this.videoBlob) {
-            alert('Export is only available for uploaded videos. Please upload a video file first.');
-            return;
-        }
+        const job = this.createExportJob();
+        if (!job) return;
 
         try {
             this.currentMode = 'export';
             this.updateModeDisplay();
-
-            const keyframes = this.frameRecorder?.exportKeyframes();
-            if (!keyframes || keyframes.totalKeyframes === 0) {
-                alert('No keyframes recorded. Please record motion or select a crop.');
-                return;
-            }
-
-            const onProgress = ({ ratio, message }) => {
-                if (message) {
-                    this.updateDownloadProgress(message, ratio ? ratio * 100 : null);
-                } else if (ratio) {
-                    this.updateDownloadProgress(`Rendering... ${Math.round(ratio * 100)}%`, ratio * 100);
-                }
-            };
-            
             this.showDownloadProgress('Starting render...');
 
             const renderedFile = await this.renderer.render(
-                this.videoBlob, 
-                keyframes, 
-                onProgress,
-                this.trimStart,
-                this.trimEnd
+                job.file,
+                job.keyframes,
+                this.handleRenderProgress,
+                job.trimStart,
+                job.trimEnd,
+                job.options
             );
 
             this.hideDownloadProgress();
-
-            // Download the rendered file
-            const a = document.createElement('a');
-            a.href = URL.createObjectURL(renderedFile);
-            a.download = renderedFile.name;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(a.href);
+            this.downloadFile(renderedFile);
 
         } catch (error) {
             this.utils.Logger.error('Export failed:', error);
@@ -990,6 +1722,90 @@ class VideoEditor {
         }
     }
 
+    /**
+     * Collect everything the renderers need to export the current clip
+     * @returns {Object|null} { file, keyframes, trimStart, trimEnd, options } (see VideoRenderer.render),
+     *     or null after telling the user why the clip cannot be exported
+     */
+    createExportJob() {
+        if (!this.videoBlob) {
+            alert('The clip could not be downloaded for editing. Please upload the video file to export it.');
+            return null;
+        }
+
+        // The renderer works in source video pixels, not landscape canvas pixels
+        const toSource = (selection) => this.previewRenderer.getSourceRect(selection);
+        const segments = this.segmentManager?.getExportSegments() || null;
+        const exportSettings = {
+            ...this.exportSettings,
+            fit: this.getFitSettings(),
+            outputSize: this.getOutputSize(),
+            captions: this.captionManager?.getExportCaptions(this.trimStart, this.trimEnd) || null,
+            overlays: this.overlayManager?.getExportOverlays(this.trimStart, this.trimEnd) || [],
+            branding: this.brandingManager?.getExportBranding() || null,
+            segments,
+            music: this.musicManager?.getExportMusic(segments, this.trimStart, this.trimEnd) || null
+        };
+        if (window.SegmentTimeline.getRanges(exportSettings.segments, this.trimStart, this.trimEnd).length === 0) {
+            alert('Every segment lies outside the trim range. Adjust the trim or the segments to export.');
+            return null;
+        }
+        let sourceKeyframes;
+
+        if (this.layoutManager?.isSplit()) {
+            // Regions without keyframes hold their current crop
+            exportSettings.regions = this.layoutManager.getRenderRegions(toSource);
+            sourceKeyframes = exportSettings.regions[0].keyframes;
+        } else if (exportSettings.fit.mode === 'blur') {
+            // The whole frame is shown, so the camera path is only passed along
+            sourceKeyframes = this.layoutManager.getRenderRegions(toSource)[0].keyframes;
+        } else {
+            const keyframes = this.frameRecorder?.exportKeyframes();
+            if (!keyframes || keyframes.totalKeyframes === 0) {
+                alert('No keyframes recorded. Please record motion or select a crop.');
+                return null;
+            }
+            sourceKeyframes = keyframes.keyframes.map(keyframe => ({
+                ...keyframe,
+                selection: toSource(keyframe.selection)
+            }));
+        }
+
+        return {
+            file: this.videoBlob,
+            keyframes: sourceKeyframes,
+            trimStart: this.trimStart,
+            trimEnd: this.trimEnd,
+            options: exportSettings
+        };
+    }
+
+    /**
+     * Show render progress reported by the renderers
+     * @param {Object} progress - { ratio } from 0 to 1 and/or { message }
+     */
+    handleRenderProgress({ ratio, message }) {
+        if (message) {
+            this.updateDownloadProgress(message, ratio ? ratio * 100 : null);
+        } else if (ratio) {
+            this.updateDownloadProgress(`Rendering... ${Math.round(ratio * 100)}%`, ratio * 100);
+        }
+    }
+
+    /**
+     * Save a rendered file through the browser's downloads
+     * @param {File} file - Rendered video
+     */
+    downloadFile(file) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(file);
+        a.download = file.name;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(a.href);
+    }
+
     /**
      * Handle download original button
      */
@@ -1006,13 +1822,40 @@ class VideoEditor {
      */
     handleTimelineClick(event) {
         if (!this.timeline.track) return;
+        this.selectKeyframe(null);
         
-        const rect = this.timeline.track.getBoundingClientRect();
-        const clickX = event.clientX - rect.left;
-        const progress = clickX / rect.width;
-        const newTime = progress * this.duration;
-        
-        this.sourceVideo.currentTime = Math.max(0, Math.min(this.duration, newTime));
+        this.sourceVideo.currentTime = this.snapTimelineTime(this.getTimelineTime(event.clientX));
+    }
+
+    /**
+     * Where a source time sits across the timeline lanes, following the timeline zoom
+     * @param {number} time - Source video seconds
+     * @returns {number} Percent of the lane width
+     */
+    getTimelinePercent(time) {
+        if (this.timelineManager) return this.timelineManager.getPercent(time);
+        return this.duration > 0 ? (time / this.duration) * 100 : 0;
+    }
+
+    /**
+     * Source time under a pointer position on a timeline lane
+     * @param {number} clientX - Pointer x in viewport pixels
+     * @param {HTMLElement} element - Lane the pointer is over (defaults to the track)
+     * @returns {number} Source video seconds, within the clip
+     */
+    getTimelineTime(clientX, element = this.timeline.track) {
+        if (this.timelineManager) return this.timelineManager.getTime(clientX, element);
+        const rect = element.getBoundingClientRect();
+        return Math.max(0, Math.min(this.duration, ((clientX - rect.left) / rect.width) * this.duration));
+    }
+
+    /**
+     * Snap a timeline time to a frame boundary when frame snapping is on
+     * @param {number} time - Source video seconds
+     * @returns {number}
+     */
+    snapTimelineTime(time) {
+        return this.timelineManager ? this.timelineManager.snapTime(time) : time;
     }
 
     /**
@@ -1029,6 +1872,13 @@ class VideoEditor {
                 break;
             case 'stopped':
                 this.updateKeyframesDisplay();
+                this.projectManager?.markDirty();
+                break;
+            case 'keyframeDeleted':
+            case 'keyframeAdded':
+            case 'keyframeMoved':
+            case 'keyframeEasingChanged':
+                this.projectManager?.markDirty();
                 break;
         }
     }
@@ -1054,7 +1904,7 @@ class VideoEditor {
      */
     updateTimeDisplay() {
         if (this.infoElements.currentTime) {
-            this.infoElements.currentTime.textContent = this.formatTime(this.currentTime);
+            this.infoElements.currentTime.textContent = this.formatTimecode(this.currentTime);
         }
     }
 
@@ -1062,14 +1912,16 @@ class VideoEditor {
      * Update timeline position
      */
     updateTimelinePosition() {
-        const progress = this.duration > 0 ? (this.currentTime / this.duration) * 100 : 0;
+        if (this.isPlaying) this.timelineManager?.followPlayhead();
+        const progress = this.getTimelinePercent(this.currentTime);
         
         if (this.timeline.progress) {
-            this.timeline.progress.style.width = `${progress}%`;
+            this.timeline.progress.style.width = `${Math.max(0, Math.min(100, progress))}%`;
         }
         if (this.timeline.scrubber) {
             this.timeline.scrubber.style.left = `${progress}%`;
         }
+        this.waveformManager?.updatePlayhead();
     }
 
     /**
@@ -1122,7 +1974,9 @@ class VideoEditor {
             'export': 'Exporting...'
         };
         
-        this.updateModeDisplay();
+        if (this.infoElements?.modeText) {
+            this.infoElements.modeText.textContent = modeNames[this.currentMode] || modeNames.preview;
+        }
     }
 
     /**
@@ -1151,6 +2005,391 @@ class VideoEditor {
         if (this.infoElements.recordingDuration) {
             this.infoElements.recordingDuration.textContent = this.formatTime(stats.lastKeyframe || 0);
         }
+        if (this.infoElements.simplifiedCount) {
+            this.infoElements.simplifiedCount.textContent = this.pathStats
+                ? `${this.pathStats.before} → ${this.pathStats.after}`
+                : '—';
+        }
+    }
+
+    /**
+     * Copy the current keyframes so they can be restored later
+     * @param {FrameRecorder} recorder - Region recorder (defaults to the active one)
+     * @returns {Object[]}
+     */
+    getKeyframeSnapshot(recorder = this.frameRecorder) {
+        if (!recorder) return [];
+        return recorder.exportKeyframes(0, Infinity).keyframes
+            .map(keyframe => ({ ...keyframe, selection: { ...keyframe.selection } }));
+    }
+
+    /**
+     * Replace all keyframes with a snapshot
+     * @param {Object[]} snapshot - From getKeyframeSnapshot()
+     * @param {FrameRecorder} recorder - Region recorder (defaults to the active one)
+     * @param {Object[]|null} recordedPath - Raw recording pass that goes with the snapshot
+     *     (optional, left as it is when undefined)
+     */
+    restoreKeyframes(snapshot, recorder = this.frameRecorder, recordedPath) {
+        if (!recorder) return;
+        recorder.importKeyframes({
+            keyframes: snapshot.map(keyframe => ({ ...keyframe, selection: { ...keyframe.selection } }))
+        });
+
+        // The raw pass belongs to the active region, so only its history brings one back
+        if (recordedPath !== undefined && recorder === this.frameRecorder) {
+            this.recordedPath = recordedPath;
+            this.pathStats = recordedPath ? { before: recordedPath.length, after: snapshot.length } : null;
+        }
+        this.refreshKeyframeIndicators();
+        this.projectManager?.markDirty();
+    }
+
+    /**
+     * Add a keyframe change to the history, from a snapshot taken before it
+     * @param {string} label - History label
+     * @param {Object[]} before - Keyframes before the change
+     * @param {Object[]|null} pathBefore - Raw recording pass before the change (defaults to the current one)
+     */
+    pushKeyframeHistory(label, before, pathBefore = this.recordedPath) {
+        // Bound to the region edited now, even if another one is active at undo time
+        const recorder = this.frameRecorder;
+        const after = this.getKeyframeSnapshot(recorder);
+        const pathAfter = this.recordedPath;
+        this.history?.push({
+            label,
+            undo: () => this.restoreKeyframes(before, recorder, pathBefore),
+            redo: () => this.restoreKeyframes(after, recorder, pathAfter)
+        });
+    }
+
+    /**
+     * Delete a keyframe as an undoable edit
+     * @param {number} timestamp - Keyframe timestamp
+     */
+    deleteKeyframe(timestamp) {
+        const before = this.getKeyframeSnapshot();
+        const pathBefore = this.recordedPath;
+        if (!this.frameRecorder?.deleteKeyframe(timestamp)) return;
+        this.detachRecordedPath();
+
+        this.refreshKeyframeIndicators();
+        this.pushKeyframeHistory('Delete keyframe', before, pathBefore);
+    }
+
+    /**
+     * Add (or replace) a keyframe at the playhead from the current selection
+     */
+    addKeyframeAtPlayhead() {
+        if (!this.frameRecorder || !this.selectionController) return;
+        if (this.frameRecorder.getRecordingStatus()) return;
+
+        // Snap to the selected keyframe when the playhead sits on it, so adjusting it replaces it
+        const frameDuration = 1 / this.constants.EXPORT.FRAME_RATE;
+        let timestamp = this.sourceVideo.currentTime;
+        if (this.selectedKeyframe !== null && Math.abs(timestamp - this.selectedKeyframe) < frameDuration / 2) {
+            timestamp = this.selectedKeyframe;
+        }
+
+        const before = this.getKeyframeSnapshot();
+        const pathBefore = this.recordedPath;
+        const { x, y, width, height, zoom } = this.selectionController.getSelectionData();
+        this.frameRecorder.setKeyframe(timestamp, { x, y, width, height, zoom });
+        this.detachRecordedPath();
+
+        this.selectedKeyframe = timestamp;
+        this.refreshKeyframeIndicators();
+        this.pushKeyframeHistory(before.some(k => k.timestamp === timestamp) ? 'Update keyframe' : 'Add keyframe', before, pathBefore);
+    }
+
+    /**
+     * Forget the raw recording once keyframes are edited by hand, so changing
+     * the path settings simplifies the edited keyframes instead of discarding the edits
+     */
+    detachRecordedPath() {
+        this.recordedPath = null;
+        this.pathStats = null;
+        this.updateKeyframesDisplay();
+    }
+
+    /**
+     * Select a keyframe on the timeline
+     * @param {number|null} timestamp - Keyframe timestamp, or null to clear
+     */
+    selectKeyframe(timestamp) {
+        this.selectedKeyframe = timestamp;
+        if (timestamp !== null) {
+            this.captionManager?.selectCue(null);
+            this.overlayManager?.selectLayer(null);
+        }
+        this.timeline.keyframesContainer?.querySelectorAll('.keyframe-indicator, .keyframe-segment').forEach(element => {
+            element.classList.toggle('selected', parseFloat(element.dataset.timestamp) === timestamp);
+        });
+        this.updateEasingControls();
+    }
+
+    /**
+     * Start selecting/dragging a keyframe indicator
+     * @param {MouseEvent} event
+     */
+    handleKeyframeMouseDown(event) {
+        if (this.frameRecorder?.getRecordingStatus()) return;
+
+        // Clicking a segment selects the keyframe whose easing it shows
+        const segment = event.target.closest('.keyframe-segment');
+        if (segment) {
+            event.stopPropagation();
+            this.selectKeyframe(parseFloat(segment.dataset.timestamp));
+            return;
+        }
+
+        const indicator = event.target.closest('.keyframe-indicator');
+        if (!indicator) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const timestamp = parseFloat(indicator.dataset.timestamp);
+        this.selectKeyframe(timestamp);
+        this.keyframeDrag = { indicator, from: timestamp, to: timestamp, startX: event.clientX };
+
+        const onMouseMove = (e) => this.handleKeyframeDrag(e);
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            this.handleKeyframeDragEnd();
+        }, { once: true });
+    }
+
+    /**
+     * Move the dragged keyframe indicator along the timeline
+     * @param {MouseEvent} event
+     */
+    handleKeyframeDrag(event) {
+        const drag = this.keyframeDrag;
+        if (!drag || !this.timeline.track || this.duration <= 0) return;
+
+        // Ignore tiny movements so a plain click doesn't nudge the keyframe
+        if (!drag.moved && Math.abs(event.clientX - drag.startX) < 3) return;
+        drag.moved = true;
+        drag.indicator.classList.add('dragging');
+
+        drag.to = this.snapTimelineTime(this.getTimelineTime(event.clientX));
+        drag.indicator.style.left = `${this.getTimelinePercent(drag.to)}%`;
+    }
+
+    /**
+     * Commit a keyframe drag as one undoable move
+     */
+    handleKeyframeDragEnd() {
+        const drag = this.keyframeDrag;
+        this.keyframeDrag = null;
+        if (!drag) return;
+
+        drag.indicator.classList.remove('dragging');
+        if (!drag.moved) return;
+
+        const before = this.getKeyframeSnapshot();
+        const pathBefore = this.recordedPath;
+        if (this.frameRecorder.moveKeyframe(drag.from, drag.to)) {
+            this.selectedKeyframe = drag.to;
+            this.detachRecordedPath();
+            this.pushKeyframeHistory('Move keyframe', before, pathBefore);
+        }
+        this.refreshKeyframeIndicators();
+    }
+
+    /**
+     * Jump to a keyframe and load its selection for adjustment
+     * @param {MouseEvent} event
+     */
+    handleKeyframeDoubleClick(event) {
+        const indicator = event.target.closest('.keyframe-indicator');
+        if (!indicator) return;
+
+        event.stopPropagation();
+        const timestamp = parseFloat(indicator.dataset.timestamp);
+        const keyframe = this.frameRecorder?.getKeyframeAt(timestamp);
+        if (!keyframe) return;
+
+        if (this.isPlaying) this.handlePlayPause();
+        this.sourceVideo.currentTime = timestamp;
+        this.selectKeyframe(timestamp);
+        this.setSelection(keyframe.selection);
+    }
+
+    /**
+     * Add a finished selection drag or zoom to the history
+     * @param {Object} before - Selection before the edit
+     * @param {Object} after - Selection after the edit
+     * @param {string} mergeKey - Groups rapid repeated edits (optional)
+     * @param {SelectionController} controller - Region that was edited (defaults to the active one)
+     */
+    onSelectionEdited(before, after, mergeKey, controller = this.selectionController) {
+        // Edits made while recording are part of the recording pass
+        if (this.frameRecorder?.getRecordingStatus()) return;
+
+        this.history?.push({
+            label: 'Move selection',
+            mergeKey: mergeKey && `${mergeKey}:${controller.regionId}`,
+            undo: () => this.setSelection(before, controller),
+            redo: () => this.setSelection(after, controller)
+        });
+    }
+
+    /**
+     * Set the selection and sync the preview
+     * @param {Object} selection - Selection data
+     * @param {SelectionController} controller - Region to set (defaults to the active one)
+     */
+    setSelection(selection, controller = this.selectionController) {
+        if (!controller) return;
+        controller.setSelection(selection);
+        this.handleSelectionChange(controller.getSelectionData(), controller);
+    }
+
+    /**
+     * Handle undo/redo keyboard shortcuts
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        if (!this.container?.isConnected) return;
+
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        const isModifier = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+
+        if (!isModifier && (key === 'delete' || key === 'backspace') && this.selectedKeyframe !== null) {
+            event.preventDefault();
+            const timestamp = this.selectedKeyframe;
+            this.selectKeyframe(null);
+            this.deleteKeyframe(timestamp);
+            return;
+        }
+
+        if (!isModifier && (key === 'delete' || key === 'backspace') && this.captionManager?.selectedId != null) {
+            event.preventDefault();
+            this.captionManager.deleteCue(this.captionManager.selectedId);
+            return;
+        }
+
+        if (!isModifier && (key === 'delete' || key === 'backspace') && this.overlayManager?.selectedId != null) {
+            event.preventDefault();
+            this.overlayManager.deleteLayer(this.overlayManager.selectedId);
+            return;
+        }
+
+        if (!isModifier && key === 'k' && !event.altKey) {
+            event.preventDefault();
+            this.addKeyframeAtPlayhead();
+            return;
+        }
+
+        if (!isModifier && key === 's' && !event.altKey) {
+            event.preventDefault();
+            this.segmentManager?.splitAtPlayhead();
+            return;
+        }
+
+        // Arrows step one frame, or a second with Shift
+        if (!isModifier && (key === 'arrowleft' || key === 'arrowright') && !event.altKey) {
+            event.preventDefault();
+            const frames = event.shiftKey ? this.constants.EXPORT.FRAME_RATE : 1;
+            this.timelineManager?.stepFrames(key === 'arrowleft' ? -frames : frames);
+            return;
+        }
+
+        if (!isModifier || (key !== 'z' && key !== 'y')) return;
+
+        // Ctrl+Z undoes; Ctrl+Shift+Z and Ctrl+Y redo
+        const isRedo = key === 'y' || event.shiftKey;
+        event.preventDefault();
+        if (isRedo) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    /**
+     * Undo the last edit (not while a recording pass is running)
+     */
+    undo() {
+        if (this.frameRecorder?.getRecordingStatus()) return;
+        this.history?.undo();
+    }
+
+    /**
+     * Redo the last undone edit (not while a recording pass is running)
+     */
+    redo() {
+        if (this.frameRecorder?.getRecordingStatus()) return;
+        this.history?.redo();
+    }
+
+    /**
+     * Sync undo/redo buttons with the history
+     * @param {CustomEvent} event - editorHistoryChanged event
+     */
+    handleHistoryChanged(event) {
+        const { undoLabel, redoLabel } = event.detail;
+
+        if (this.controls.undo) {
+            this.controls.undo.disabled = !undoLabel;
+            this.controls.undo.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+        if (this.controls.redo) {
+            this.controls.redo.disabled = !redoLabel;
+            this.controls.redo.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        }
+    }
+
+    /**
+     * Redraw every keyframe indicator, e.g. after keyframes were replaced
+     */
+    refreshKeyframeIndicators() {
+        if (this.timeline.keyframesContainer) {
+            this.timeline.keyframesContainer.innerHTML = '';
+        }
+
+        const timestamps = this.frameRecorder?.getKeyframeTimestamps() || [];
+        timestamps.slice(0, -1).forEach((timestamp, i) => this.drawKeyframeSegment(timestamp, timestamps[i + 1]));
+        timestamps.forEach(timestamp => this.drawKeyframeIndicator(timestamp));
+
+        if (this.selectedKeyframe !== null && !timestamps.includes(this.selectedKeyframe)) {
+            this.selectedKeyframe = null;
+        }
+        this.updateKeyframesDisplay();
+        this.updateEasingControls();
+    }
+
+    /**
+     * Draw the segment between two keyframes, styled by its easing
+     * @param {number} start - Timestamp of the segment's first keyframe
+     * @param {number} end - Timestamp of the next keyframe
+     */
+    drawKeyframeSegment(start, end) {
+        if (!this.timeline.keyframesContainer || this.duration <= 0) return;
+
+        const keyframe = this.frameRecorder.getKeyframeAt(start);
+        const { type } = window.KeyframeEasing.parse(keyframe?.easing);
+        const label = window.KeyframeEasing.PRESETS.find(preset => preset.value === type)?.label || type;
+
+        const segment = this.utils.DOMUtils.createElement('div', {
+            className: `keyframe-segment easing-${type}${start === this.selectedKeyframe ? ' selected' : ''}`,
+            attributes: {
+                'data-timestamp': start,
+                title: `${label} — click to select`
+            },
+            styles: {
+                left: `${this.getTimelinePercent(start)}%`,
+                width: `${this.getTimelinePercent(end) - this.getTimelinePercent(start)}%`
+            }
+        });
+
+        this.timeline.keyframesContainer.appendChild(segment);
     }
 
     /**
@@ -1160,15 +2399,18 @@ class VideoEditor {
     drawKeyframeIndicator(timestamp) {
         if (!this.timeline.keyframesContainer || this.duration <= 0) return;
         
-        const progress = (timestamp / this.duration) * 100;
+        const progress = this.getTimelinePercent(timestamp);
         
         const indicator = this.utils.DOMUtils.createElement('div', {
-            className: 'keyframe-indicator',
+            className: timestamp === this.selectedKeyframe ? 'keyframe-indicator selected' : 'keyframe-indicator',
+            attributes: {
+                'data-timestamp': timestamp,
+                title: `Keyframe at ${this.formatTimecode(timestamp)} — drag to move, double-click to edit`
+            },
             styles: {
                 left: `${progress}%`,
                 position: 'absolute',
                 top: '50%',
-                transform: 'translateY(-50%)',
                 width: `${this.constants.TIMELINE?.KEYFRAME_INDICATOR_SIZE || 6}px`,
                 height: `${this.constants.TIMELINE?.KEYFRAME_INDICATOR_SIZE || 6}px`,
                 backgroundColor: this.constants.TIMELINE?.KEYFRAME_COLOR || '#4ECDC4',
@@ -1256,6 +2498,18 @@ This is a demo - actual video export functionality would be implemented here.`);
         return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Format time in MM:SS.ff format, ff being the frame within the second
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted timecode
+     */
+    formatTimecode(seconds) {
+        const fps = this.constants.EXPORT.FRAME_RATE;
+        const frames = Math.round(seconds * fps);
+        const frame = frames % fps;
+        return `${this.formatTime(Math.floor(frames / fps))}.${frame.toString().padStart(2, '0')}`;
+    }
+
     /**
      * Get editor container element
      * @returns {HTMLElement}
@@ -1283,18 +2537,27 @@ This is a demo - actual video export functionality would be implemented here.`);
      * Selection change callback (called by SelectionController)
      * @param {Object} selectionData - New selection data
      */
-    onSelectionChanged(selectionData) {
-        this.handleSelectionChange(selectionData);
+    onSelectionChanged(selectionData, controller) {
+        this.handleSelectionChange(selectionData, controller);
     }
 
     /**
      * Cleanup resources
      */
     cleanup() {
-        // Stop video
+        // Stop video and the render loop, which would otherwise keep restarting the music
         this.sourceVideo.pause();
+        this.isPlaying = false;
+        cancelAnimationFrame(this.animationFrameId);
+
+        // Persist pending project changes
+        this.projectManager?.autosave();
         
-        // Cleanup modules
+        // Cleanup modules (the layout releases its extra regions; the main one is cleaned up below)
+        this.layoutManager?.cleanup();
+        this.selectionController = this.layoutManager?.mainRegion.controller || this.selectionController;
+        this.frameRecorder = this.layoutManager?.mainRegion.recorder || this.frameRecorder;
+
         if (this.selectionController) {
             this.selectionController.cleanup();
         }
@@ -1306,8 +2569,18 @@ This is a demo - actual video export functionality would be implemented here.`);
         if (this.previewRenderer) {
             this.previewRenderer.cleanup();
         }
+
+        this.captionManager?.cleanup();
+        this.overlayManager?.cleanup();
+        this.musicManager?.cleanup();
+        this.waveformManager?.cleanup();
+        this.filmstripManager?.cleanup();
+        this.timelineManager?.cleanup();
+        this.compilationManager?.cleanup();
         
         // Remove event listeners
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('editorHistoryChanged', this.handleHistoryChanged);
         this.sourceVideo.removeEventListener('timeupdate', this.handleVideoTimeUpdate);
         this.sourceVideo.removeEventListener('loadedmetadata', this.handleVideoLoadedMetadata);
         
@@ -1315,6 +2588,12 @@ This is a demo - actual video export functionality would be implemented here.`);
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
         }
+
+        // Uploads and library clips are opened from a blob URL owned by the editor
+        if (this.blobUrl) {
+            URL.revokeObjectURL(this.blobUrl);
+            this.blobUrl = null;
+        }
         
         this.isInitialized = false;
 
@@ -1324,6 +2603,26 @@ This is a demo - actual video export functionality would be implemented here.`);
         this.isInitialized = false;
     }
 
+    /**
+     * Follow the recorded camera path during playback so the preview
+     * shows the same eased motion that the export will render
+     */
+    applyRecordedSelection() {
+        const time = this.sourceVideo.currentTime;
+
+        if (this.frameRecorder && !this.frameRecorder.getRecordingStatus()) {
+            const selection = this.frameRecorder.getInterpolatedSelection(time);
+            if (selection) {
+                this.selectionController?.setSelection(selection);
+                this.previewRenderer?.updateSelection(selection);
+                this.updateSelectionInfo(selection);
+            }
+        }
+
+        // The other layout regions follow their own keyframes, also while the active one records
+        this.layoutManager?.followRecordedPaths(time);
+    }
+
     /**
      * Main render loop for smooth animations
      */
@@ -1332,7 +2631,11 @@ This is a demo - actual video export functionality would be implemented here.`);
             return;
         }
 
+        if (this.segmentManager?.isEdited()) this.segmentManager.followPlayback();
+        this.musicManager?.sync();
+
         this.drawVideoFrame();
+        this.applyRecordedSelection();
         this.selectionController?.drawSelection();
         this.previewRenderer?.render();
 
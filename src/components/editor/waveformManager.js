@@ -0,0 +1,195 @@
+/**
+ * Waveform Manager Module
+ * Lane under the timeline track with the clip audio's waveform, decoded once per clip and cached,
+ * to find loud moments and line up trim handles and segment cuts with them
+ */
+
+class WaveformManager {
+    /**
+     * @param {VideoEditor} editor - Owning editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        // Get constants and utils
+        this.constants = window.EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.WAVEFORM;
+
+        this.cache = new Map(); // project key -> waveform, oldest first
+        this.waveform = null;
+        this.loadingKey = null;
+        this.gain = 1;
+        this.view = null; // { start, end } shown, or null for the whole clip
+        this.resizeObserver = null;
+
+        const container = editor.container;
+        this.elements = {
+            lane: container.querySelector('.waveform-lane'),
+            canvas: container.querySelector('.waveform-canvas'),
+            playhead: container.querySelector('.waveform-playhead')
+        };
+    }
+
+    /**
+     * Attach the waveform lane listeners
+     */
+    attachEventListeners() {
+        const lane = this.elements.lane;
+        if (!lane) return;
+
+        lane.addEventListener('click', (event) => {
+            const rect = lane.getBoundingClientRect();
+            const { start, end } = this.getView();
+            const time = start + ((event.clientX - rect.left) / rect.width) * (end - start);
+            this.editor.sourceVideo.currentTime = Math.max(0, Math.min(this.editor.duration, time));
+        });
+
+        // The wheel scales the waveform up so quiet talk stands out
+        lane.addEventListener('wheel', (event) => {
+            // Ctrl and Shift are left to zoom and pan the timeline
+            if (!this.waveform || event.ctrlKey || event.shiftKey) return;
+            event.preventDefault();
+            const step = event.deltaY < 0 ? this.config.GAIN_STEP : 1 / this.config.GAIN_STEP;
+            this.gain = Math.min(this.config.MAX_GAIN, Math.max(1, this.gain * step));
+            lane.title = `Clip audio (${this.gain.toFixed(1)}x, scroll to scale)`;
+            this.draw();
+        }, { passive: false });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.draw());
+            this.resizeObserver.observe(lane);
+        }
+    }
+
+    /**
+     * Show the waveform of the clip in the editor, decoding its audio unless it is cached
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const editor = this.editor;
+        const blob = editor.videoBlob;
+        const key = editor.projectManager?.getProjectKey() || null;
+
+        this.waveform = null;
+        this.draw();
+        if (!blob || !key) return;
+
+        if (this.cache.has(key)) {
+            this.show(key, this.cache.get(key));
+            return;
+        }
+
+        this.loadingKey = key;
+        this.elements.lane?.classList.add('loading');
+        try {
+            const context = new OfflineAudioContext(1, 1, this.constants.AUDIO.SAMPLE_RATE);
+            const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+            const waveform = window.AudioWaveform.getPeaks(buffer);
+
+            this.cache.set(key, waveform);
+            if (this.cache.size > this.config.CACHE_SIZE) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            if (this.loadingKey === key) this.show(key, waveform);
+        } catch (error) {
+            this.utils.Logger.info('No decodable audio for the timeline waveform:', error.message);
+        } finally {
+            if (this.loadingKey === key) {
+                this.loadingKey = null;
+                this.elements.lane?.classList.remove('loading');
+            }
+        }
+    }
+
+    /**
+     * Show a loaded waveform, keeping it as the most recently used
+     * @param {string} key - Project key of its clip
+     * @param {Object} waveform - From AudioWaveform.getPeaks()
+     */
+    show(key, waveform) {
+        this.cache.delete(key);
+        this.cache.set(key, waveform);
+        this.waveform = waveform;
+        this.draw();
+    }
+
+    /**
+     * Stretch of the clip the lane shows
+     * @returns {Object} { start, end } in seconds
+     */
+    getView() {
+        return this.view || { start: 0, end: this.editor.duration || 0 };
+    }
+
+    /**
+     * Show a stretch of the clip, for a zoomed timeline
+     * @param {Object|null} view - { start, end } in seconds, or null for the whole clip
+     */
+    setView(view) {
+        this.view = view;
+        this.draw();
+    }
+
+    /**
+     * Redraw the waveform at the lane's size
+     */
+    draw() {
+        const { lane, canvas } = this.elements;
+        if (!lane || !canvas) return;
+
+        lane.classList.toggle('empty', !this.waveform);
+        const { start, end } = this.getView();
+        if (!this.waveform || end <= start) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(lane.clientWidth * ratio);
+        const height = Math.round(lane.clientHeight * ratio);
+        if (width === 0 || height === 0) return;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        // Trimmed-off and cut parts are dimmed
+        const ranges = this.editor.segmentManager?.getRanges() ||
+            window.SegmentTimeline.getRanges(null, this.editor.trimStart, this.editor.trimEnd);
+        window.AudioWaveform.draw(canvas.getContext('2d'), this.waveform, {
+            start,
+            end,
+            width,
+            height,
+            gain: this.gain,
+            color: getComputedStyle(lane).color,
+            isKept: (time) => window.SegmentTimeline.getRangeIndex(ranges, time) !== -1
+        });
+        this.updatePlayhead();
+    }
+
+    /**
+     * Move the playhead line to the current time
+     */
+    updatePlayhead() {
+        const playhead = this.elements.playhead;
+        if (!playhead) return;
+
+        const { start, end } = this.getView();
+        const progress = end > start ? (this.editor.currentTime - start) / (end - start) : 0;
+        playhead.style.left = `${progress * 100}%`;
+        playhead.classList.toggle('hidden', progress < 0 || progress > 1);
+    }
+
+    /**
+     * Drop the decoded waveforms when the editor closes; a decode still running is not shown
+     */
+    cleanup() {
+        this.loadingKey = null;
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+        this.cache.clear();
+        this.waveform = null;
+    }
+}
+
+// Export for use in video editor
+if (typeof window !== 'undefined') {
+    window.WaveformManager = WaveformManager;
+}
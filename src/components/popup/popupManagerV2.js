@@ -9,6 +9,7 @@ class PopupManagerV2 extends PopupManager {
         super();
         this.videoEditor = null;
         this.editorMode = false;
+        this.handleLibraryChanged = this.handleLibraryChanged.bind(this);
     }
 
     /**
@@ -85,6 +86,9 @@ class PopupManagerV2 extends PopupManager {
         const advancedModeBtn = this.popup.querySelector('#advanced-mode');
         const backBtn = this.popup.querySelector('#back-to-simple');
         const openEditorBtn = this.popup.querySelector('#open-editor');
+        const libraryModeBtn = this.popup.querySelector('#library-mode');
+        const libraryBackBtn = this.popup.querySelector('#library-back');
+        const libraryLimitSelect = this.popup.querySelector('#library-limit-select');
 
         if (simpleModeBtn) {
             simpleModeBtn.addEventListener('click', () => this.selectMode('simple'));
@@ -102,44 +106,216 @@ class PopupManagerV2 extends PopupManager {
             openEditorBtn.addEventListener('click', () => this.openAdvancedEditor());
         }
 
+        if (libraryModeBtn) {
+            libraryModeBtn.addEventListener('click', () => this.selectMode('library'));
+        }
+
+        if (libraryBackBtn) {
+            libraryBackBtn.addEventListener('click', () => this.selectMode('simple'));
+        }
+
+        if (libraryLimitSelect) {
+            this.populateLibraryLimitOptions(libraryLimitSelect);
+            libraryLimitSelect.addEventListener('change', (e) => {
+                window.clipLibrary?.setMaxSize(parseInt(e.target.value, 10));
+            });
+        }
+
+        document.addEventListener('clipLibraryChanged', this.handleLibraryChanged);
+
         // Show video for simple mode by default
         this.selectMode('simple');
     }
 
     /**
      * Select editing mode
-     * @param {string} mode - Mode to select ('simple' or 'advanced')
+     * @param {string} mode - Mode to select ('simple', 'advanced' or 'library')
      */
     selectMode(mode) {
         if (!this.popup) return;
 
         const simpleModeBtn = this.popup.querySelector('#simple-mode');
         const advancedModeBtn = this.popup.querySelector('#advanced-mode');
+        const libraryModeBtn = this.popup.querySelector('#library-mode');
         const simpleControls = this.popup.querySelector('#simple-controls');
         const advancedControls = this.popup.querySelector('#advanced-controls');
+        const libraryControls = this.popup.querySelector('#library-controls');
+        const libraryPanel = this.popup.querySelector('#library-panel');
         const video = this.popup.querySelector('.clip-editor-video');
 
         // Update button states
-        if (mode === 'simple') {
-            simpleModeBtn?.classList.add('active');
-            advancedModeBtn?.classList.remove('active');
-            simpleControls.style.display = 'flex';
-            advancedControls.style.display = 'none';
-            video.style.display = 'block';
-        } else {
-            simpleModeBtn?.classList.remove('active');
-            advancedModeBtn?.classList.add('active');
-            simpleControls.style.display = 'none';
-            advancedControls.style.display = 'flex';
-            video.style.display = 'none';
+        simpleModeBtn?.classList.toggle('active', mode === 'simple');
+        advancedModeBtn?.classList.toggle('active', mode === 'advanced');
+        libraryModeBtn?.classList.toggle('active', mode === 'library');
+
+        simpleControls.style.display = mode === 'simple' ? 'flex' : 'none';
+        advancedControls.style.display = mode === 'advanced' ? 'flex' : 'none';
+        if (libraryControls) libraryControls.style.display = mode === 'library' ? 'flex' : 'none';
+        if (libraryPanel) libraryPanel.style.display = mode === 'library' ? 'flex' : 'none';
+        video.style.display = mode === 'simple' ? 'block' : 'none';
+
+        if (mode === 'library') {
+            this.renderLibrary();
+        }
+    }
+
+    /**
+     * Fill the library size limit dropdown
+     * @param {HTMLSelectElement} select
+     */
+    populateLibraryLimitOptions(select) {
+        const { SIZE_OPTIONS_MB } = this.constants.LIBRARY_CONFIG;
+        const currentMb = window.clipLibrary
+            ? window.clipLibrary.getMaxSize() / (1024 * 1024)
+            : this.constants.LIBRARY_CONFIG.DEFAULT_MAX_SIZE_MB;
+
+        select.innerHTML = '';
+        SIZE_OPTIONS_MB.forEach(megabytes => {
+            const option = document.createElement('option');
+            option.value = megabytes;
+            option.textContent = this.utils.VideoUtils.formatBytes(megabytes * 1024 * 1024);
+            option.selected = megabytes === currentMb;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Refresh the library panel when its contents change
+     */
+    handleLibraryChanged() {
+        const libraryPanel = this.popup?.querySelector('#library-panel');
+        if (libraryPanel && libraryPanel.style.display !== 'none') {
+            this.renderLibrary();
+        }
+    }
+
+    /**
+     * Render stored clips and the storage usage indicator
+     */
+    async renderLibrary() {
+        const list = this.popup?.querySelector('#library-clip-list');
+        const empty = this.popup?.querySelector('#library-empty');
+        if (!list || !window.clipLibrary) return;
+
+        try {
+            const [clips, usage] = await Promise.all([
+                window.clipLibrary.listClips(),
+                window.clipLibrary.getUsage()
+            ]);
+
+            this.updateLibraryUsage(usage);
+
+            list.innerHTML = '';
+            clips.forEach(clip => list.appendChild(this.buildLibraryItem(clip)));
+            if (empty) empty.style.display = clips.length === 0 ? 'block' : 'none';
+        } catch (error) {
+            this.utils.Logger.error('Failed to load clip library:', error);
+        }
+    }
+
+    /**
+     * Update the usage bar and text
+     * @param {Object} usage - Result of ClipLibrary.getUsage()
+     */
+    updateLibraryUsage(usage) {
+        const fill = this.popup.querySelector('.library-usage-fill');
+        const text = this.popup.querySelector('.library-usage-text');
+        const { formatBytes } = this.utils.VideoUtils;
+
+        // The effective ceiling is whichever is lower: the configured limit or the browser quota
+        const ceiling = usage.quota ? Math.min(usage.limit, usage.quota) : usage.limit;
+        const ratio = ceiling > 0 ? Math.min(1, usage.used / ceiling) : 0;
+
+        if (fill) {
+            fill.style.width = `${Math.round(ratio * 100)}%`;
+            fill.classList.toggle('near-limit', ratio > 0.9);
+        }
+
+        if (text) {
+            text.textContent = `${usage.count} clip${usage.count === 1 ? '' : 's'} · ${formatBytes(usage.used)} of ${formatBytes(ceiling)}`;
+        }
+    }
+
+    /**
+     * Build a list entry for a stored clip
+     * @param {Object} clip - Clip metadata
+     * @returns {Element}
+     */
+    buildLibraryItem(clip) {
+        const { DOMUtils, VideoUtils } = this.utils;
+
+        const item = DOMUtils.createElement('li', { className: 'library-clip' });
+        const info = DOMUtils.createElement('div', { className: 'library-clip-info' });
+
+        const title = DOMUtils.createElement('div', {
+            className: 'library-clip-title',
+            textContent: clip.title,
+            attributes: { title: clip.title }
+        });
+
+        const meta = DOMUtils.createElement('div', { className: 'library-clip-meta' });
+        meta.textContent = [
+            clip.channel,
+            new Date(clip.capturedAt).toLocaleDateString(),
+            VideoUtils.formatDuration(clip.duration),
+            VideoUtils.formatBytes(clip.size)
+        ].filter(Boolean).join(' · ');
+
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        const openBtn = DOMUtils.createElement('button', { className: 'clip-editor-button primary', textContent: 'Open' });
+        openBtn.addEventListener('click', () => this.openLibraryClip(clip.id));
+
+        const deleteBtn = DOMUtils.createElement('button', { className: 'clip-editor-button secondary', textContent: 'Delete' });
+        deleteBtn.addEventListener('click', () => this.deleteLibraryClip(clip));
+
+        item.appendChild(info);
+        item.appendChild(openBtn);
+        item.appendChild(deleteBtn);
+        return item;
+    }
+
+    /**
+     * Re-open a stored clip in the advanced editor
+     * @param {string} id - Clip id
+     */
+    async openLibraryClip(id) {
+        try {
+            const clip = await window.clipLibrary.getClip(id);
+            if (!clip) {
+                alert('This clip is no longer in the library.');
+                this.renderLibrary();
+                return;
+            }
+
+            await this.openAdvancedEditor(clip);
+        } catch (error) {
+            this.utils.Logger.error('Failed to open library clip:', error);
+            alert('Failed to open clip from library.');
+        }
+    }
+
+    /**
+     * Delete a stored clip after confirmation
+     * @param {Object} clip - Clip metadata
+     */
+    async deleteLibraryClip(clip) {
+        if (!confirm(`Delete "${clip.title}" from the library?`)) return;
+
+        try {
+            await window.clipLibrary.deleteClip(clip.id);
+        } catch (error) {
+            this.utils.Logger.error('Failed to delete library clip:', error);
         }
     }
 
     /**
      * Open advanced video editor
+     * @param {Object} libraryClip - Clip from the clip library (optional, defaults to the captured clip)
      */
-    async openAdvancedEditor() {
-        if (!this.currentVideo) {
+    async openAdvancedEditor(libraryClip = null) {
+        if (!this.currentVideo && !libraryClip) {
             this.utils.Logger.error('No video source available for editor');
             return;
         }
@@ -154,7 +330,8 @@ class PopupManagerV2 extends PopupManager {
             videoElement.preload = 'metadata';
 
             // Initialize video editor
-            this.videoEditor = new window.VideoEditor(videoElement, this.currentVideo);
+            const videoSrc = libraryClip ? URL.createObjectURL(libraryClip.blob) : this.currentVideo;
+            this.videoEditor = new window.VideoEditor(videoElement, videoSrc, libraryClip);
             await this.videoEditor.initialize();
 
             // Add editor to page
@@ -209,6 +386,8 @@ class PopupManagerV2 extends PopupManager {
      * Override cleanup to handle editor
      */
     cleanup() {
+        document.removeEventListener('clipLibraryChanged', this.handleLibraryChanged);
+
         if (this.videoEditor) {
             this.videoEditor.cleanup();
             this.videoEditor = null;
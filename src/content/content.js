@@ -10,6 +10,7 @@ class TwitchClipEditor {
         this.popupManager = null;
         this.videoDownloader = null;
         this.twitchPopupManager = null;
+        this.clipLibrary = null;
         
         // State management
         this.isInitialized = false;
@@ -66,9 +67,11 @@ class TwitchClipEditor {
         this.popupManager = new window.PopupManager();
         this.videoDownloader = new window.VideoDownloader();
         this.twitchPopupManager = new window.TwitchPopupManager();
+        this.clipLibrary = new window.ClipLibrary();
 
-        // Make videoDownloader globally accessible for popup
+        // Make videoDownloader and clipLibrary globally accessible for popup
         window.videoDownloader = this.videoDownloader;
+        window.clipLibrary = this.clipLibrary;
     }
 
     /**
@@ -146,6 +149,9 @@ class TwitchClipEditor {
                 
                 // Show our custom popup
                 this.popupManager.createPopup(videoSrc);
+
+                // Keep a copy in the clip library (runs in the background)
+                this.saveCapturedClip(videoSrc);
                 
             } 
             
@@ -163,6 +169,25 @@ class TwitchClipEditor {
         }
     }
 
+    /**
+     * Download a captured clip and store it in the clip library
+     * @param {string} videoSrc - Captured clip URL
+     */
+    async saveCapturedClip(videoSrc) {
+        try {
+            const processedVideo = await window.videoProcessor.downloadAndProcess(videoSrc);
+            const channel = this.utils.VideoUtils.getChannelName();
+
+            await this.clipLibrary.addClip(processedVideo.blob, {
+                title: channel ? `${channel} clip` : document.title,
+                channel,
+                sourceUrl: videoSrc
+            });
+        } catch (error) {
+            this.utils.Logger.warn('Could not save clip to library:', error);
+        }
+    }
+
     /**
      * Show fallback popup when video capture fails
      */
@@ -244,7 +269,8 @@ class TwitchClipEditor {
             clipDetector: this.clipDetector,
             popupManager: this.popupManager,
             videoDownloader: this.videoDownloader,
-            twitchPopupManager: this.twitchPopupManager
+            twitchPopupManager: this.twitchPopupManager,
+            clipLibrary: this.clipLibrary
         };
     }
 
@@ -270,6 +296,10 @@ class TwitchClipEditor {
             this.twitchPopupManager.cleanup();
         }
 
+        if (this.clipLibrary) {
+            this.clipLibrary.cleanup();
+        }
+
         // Remove event listeners
         document.removeEventListener('twitchClipRequested', this.handleClipRequest);
         window.removeEventListener('popstate', this.handlePageNavigation);
@@ -0,0 +1,385 @@
+/**
+ * Clip Library Service
+ * Persists captured and uploaded clips in IndexedDB so they can be re-opened without another download
+ */
+
+class ClipLibrary {
+    constructor() {
+        this.db = null;
+
+        // Get utilities and constants
+        this.constants = window.TWITCH_CLIP_EDITOR_CONSTANTS;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.config = this.constants.LIBRARY_CONFIG;
+    }
+
+    /**
+     * Open (and upgrade) the library database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        const { DB_NAME, DB_VERSION, CLIPS_STORE, BLOBS_STORE, PROJECTS_STORE, THUMBNAILS_STORE } = this.config;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (e) => {
+                const db = e.target.result;
+
+                // Metadata and blobs live in separate stores so listing never loads video data
+                if (!db.objectStoreNames.contains(CLIPS_STORE)) {
+                    const clips = db.createObjectStore(CLIPS_STORE, { keyPath: 'id' });
+                    clips.createIndex('capturedAt', 'capturedAt');
+                    clips.createIndex('sourceUrl', 'sourceUrl');
+                }
+                if (!db.objectStoreNames.contains(BLOBS_STORE)) {
+                    db.createObjectStore(BLOBS_STORE, { keyPath: 'id' });
+                }
+                // Editor projects, keyed by the clip they belong to
+                if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                    db.createObjectStore(PROJECTS_STORE, { keyPath: 'key' });
+                }
+                // Timeline filmstrips, keyed like projects
+                const thumbnails = db.objectStoreNames.contains(THUMBNAILS_STORE)
+                    ? e.target.transaction.objectStore(THUMBNAILS_STORE)
+                    : db.createObjectStore(THUMBNAILS_STORE, { keyPath: 'key' });
+                if (!thumbnails.indexNames.contains('savedAt')) {
+                    // Strips saved before the index have no savedAt and could never be evicted
+                    thumbnails.clear();
+                    thumbnails.createIndex('savedAt', 'savedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a transaction and resolve once it completes
+     * @param {string[]} storeNames - Stores used by the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the stores; its return value is resolved
+     * @returns {Promise<*>}
+     */
+    async runTransaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => transaction.objectStore(name));
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            result = callback(...stores);
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a clip with its metadata, unless the same capture or upload is already stored
+     * @param {Blob} blob - Clip video data
+     * @param {Object} metadata - title, channel, sourceUrl, duration (optional)
+     * @returns {Promise<string>} Clip id (of the stored copy for a duplicate)
+     */
+    async addClip(blob, metadata = {}) {
+        const duration = metadata.duration ?? await this.probeDuration(blob);
+        const clip = {
+            id: `clip-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            title: metadata.title || 'Untitled clip',
+            channel: metadata.channel || '',
+            sourceUrl: metadata.sourceUrl || '',
+            capturedAt: Date.now(),
+            duration: duration || 0,
+            size: blob.size,
+            type: blob.type || 'video/mp4'
+        };
+        const key = this.getClipKey(clip);
+
+        // Looked up and added in one transaction, so saving the same clip twice at once keeps one copy
+        const { CLIPS_STORE, BLOBS_STORE } = this.config;
+        const existing = await this.runTransaction([CLIPS_STORE, BLOBS_STORE], 'readwrite', (clips, blobs) => {
+            const found = {};
+            // Uploads have no source URL and are matched on their file name and size
+            const request = clips.index('sourceUrl').getAll(clip.sourceUrl);
+            request.onsuccess = () => {
+                found.clip = request.result.find(stored => this.getClipKey(stored) === key);
+                if (found.clip) return;
+                clips.put(clip);
+                blobs.put({ id: clip.id, blob });
+            };
+            return found;
+        });
+        if (existing.clip) return existing.clip.id;
+
+        this.utils.Logger.info('📚 Clip saved to library:', clip.title);
+
+        await this.enforceSizeLimit(clip.id);
+        this.emitChange();
+        return clip.id;
+    }
+
+    /**
+     * List clip metadata, newest first
+     * @returns {Promise<Object[]>}
+     */
+    async listClips() {
+        const { CLIPS_STORE } = this.config;
+        const db = await this.open();
+        const store = db.transaction(CLIPS_STORE, 'readonly').objectStore(CLIPS_STORE);
+        const clips = await this.requestToPromise(store.getAll());
+        return clips.sort((a, b) => b.capturedAt - a.capturedAt);
+    }
+
+    /**
+     * Get a clip with its video data
+     * @param {string} id - Clip id
+     * @returns {Promise<Object|null>} Clip metadata with a `blob` property
+     */
+    async getClip(id) {
+        const { CLIPS_STORE, BLOBS_STORE } = this.config;
+        const db = await this.open();
+        const transaction = db.transaction([CLIPS_STORE, BLOBS_STORE], 'readonly');
+
+        const [clip, blobEntry] = await Promise.all([
+            this.requestToPromise(transaction.objectStore(CLIPS_STORE).get(id)),
+            this.requestToPromise(transaction.objectStore(BLOBS_STORE).get(id))
+        ]);
+
+        if (!clip || !blobEntry) return null;
+        return { ...clip, blob: blobEntry.blob };
+    }
+
+    /**
+     * Delete a clip and its video data
+     * @param {string} id - Clip id
+     */
+    async deleteClip(id) {
+        await this.removeClips([id]);
+        this.emitChange();
+    }
+
+    /**
+     * Remove clips with their projects and filmstrips, without emitting a change event
+     * @param {string[]} ids - Clip ids
+     */
+    async removeClips(ids) {
+        const { CLIPS_STORE, BLOBS_STORE, PROJECTS_STORE, THUMBNAILS_STORE } = this.config;
+        const storeNames = [CLIPS_STORE, BLOBS_STORE, PROJECTS_STORE, THUMBNAILS_STORE];
+        await this.runTransaction(storeNames, 'readwrite', (clips, blobs, projects, thumbnails) => {
+            ids.forEach(id => {
+                // Requests run in order, so the metadata is read before it is deleted
+                clips.get(id).onsuccess = (e) => {
+                    if (!e.target.result) return;
+                    const key = this.getClipKey(e.target.result);
+                    projects.delete(key);
+                    thumbnails.delete(key);
+                };
+                clips.delete(id);
+                blobs.delete(id);
+            });
+        });
+    }
+
+    /**
+     * Key the editor files a clip's project and filmstrip under
+     * (the same as ProjectManager.getProjectKey() for the opened clip)
+     * @param {Object} clip - Clip metadata
+     * @returns {string}
+     */
+    getClipKey(clip) {
+        // Uploaded library clips are titled with their file name
+        return clip.sourceUrl || `upload:${clip.title}:${clip.size}`;
+    }
+
+    /**
+     * Save the editor project for a clip
+     * @param {string} key - Clip key (see ProjectManager.getProjectKey)
+     * @param {Object} project - Project data
+     */
+    async saveProject(key, project) {
+        const { PROJECTS_STORE } = this.config;
+        await this.runTransaction([PROJECTS_STORE], 'readwrite', (projects) => {
+            projects.put({ key, project });
+        });
+    }
+
+    /**
+     * Get the last saved editor project for a clip
+     * @param {string} key - Clip key
+     * @returns {Promise<Object|null>}
+     */
+    async getProject(key) {
+        const { PROJECTS_STORE } = this.config;
+        const db = await this.open();
+        const store = db.transaction(PROJECTS_STORE, 'readonly').objectStore(PROJECTS_STORE);
+        const entry = await this.requestToPromise(store.get(key));
+        return entry ? entry.project : null;
+    }
+
+    /**
+     * Save the timeline filmstrip of a clip
+     * @param {string} key - Clip key (see ProjectManager.getProjectKey)
+     * @param {Object} strip - { duration, interval, frames } with frames as image blobs
+     */
+    async saveThumbnails(key, strip) {
+        const { THUMBNAILS_STORE, MAX_THUMBNAIL_STRIPS } = this.config;
+        await this.runTransaction([THUMBNAILS_STORE], 'readwrite', (thumbnails) => {
+            thumbnails.put({ key, strip, savedAt: Date.now() });
+
+            // Evict the oldest strips past the cap, including those of clips never kept in the library
+            thumbnails.count().onsuccess = (e) => {
+                let excess = e.target.result - MAX_THUMBNAIL_STRIPS;
+                if (excess <= 0) return;
+                thumbnails.index('savedAt').openKeyCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess <= 0) return;
+                    thumbnails.delete(cursor.primaryKey);
+                    excess--;
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    /**
+     * Get the saved timeline filmstrip of a clip
+     * @param {string} key - Clip key
+     * @returns {Promise<Object|null>}
+     */
+    async getThumbnails(key) {
+        const { THUMBNAILS_STORE } = this.config;
+        const db = await this.open();
+        const store = db.transaction(THUMBNAILS_STORE, 'readonly').objectStore(THUMBNAILS_STORE);
+        const entry = await this.requestToPromise(store.get(key));
+        return entry ? entry.strip : null;
+    }
+
+    /**
+     * Get the configured library size limit
+     * @returns {number} Limit in bytes
+     */
+    getMaxSize() {
+        const megabytes = this.utils.StorageUtils.get('library-max-size-mb', this.config.DEFAULT_MAX_SIZE_MB);
+        return megabytes * 1024 * 1024;
+    }
+
+    /**
+     * Change the library size limit and evict clips past it
+     * @param {number} megabytes - New limit in MB
+     */
+    async setMaxSize(megabytes) {
+        this.utils.StorageUtils.set('library-max-size-mb', megabytes);
+        await this.enforceSizeLimit();
+        this.emitChange();
+    }
+
+    /**
+     * Evict the oldest clips until the library fits within its size limit
+     * @param {string} keepId - Clip that must never be evicted (the one just added)
+     * @returns {Promise<number>} Number of evicted clips
+     */
+    async enforceSizeLimit(keepId = null) {
+        const maxSize = this.getMaxSize();
+        const clips = await this.listClips();
+        let totalSize = clips.reduce((sum, clip) => sum + clip.size, 0);
+
+        const evicted = [];
+        // listClips is newest first, so walk from the end
+        for (let i = clips.length - 1; i >= 0 && totalSize > maxSize; i--) {
+            if (clips[i].id === keepId) continue;
+            evicted.push(clips[i].id);
+            totalSize -= clips[i].size;
+        }
+
+        if (evicted.length > 0) {
+            await this.removeClips(evicted);
+            this.utils.Logger.info(`📚 Evicted ${evicted.length} old clip(s) from the library`);
+        }
+
+        return evicted.length;
+    }
+
+    /**
+     * Get library usage and browser storage quota
+     * @returns {Promise<Object>} used, limit, quota (bytes)
+     */
+    async getUsage() {
+        const clips = await this.listClips();
+        const used = clips.reduce((sum, clip) => sum + clip.size, 0);
+
+        let quota = null;
+        if (navigator.storage?.estimate) {
+            try {
+                quota = (await navigator.storage.estimate()).quota || null;
+            } catch (e) {
+                // Quota is informational only
+            }
+        }
+
+        return { used, limit: this.getMaxSize(), quota, count: clips.length };
+    }
+
+    /**
+     * Read a clip's duration from its video data
+     * @param {Blob} blob
+     * @returns {Promise<number>} Duration in seconds (0 if unreadable)
+     */
+    probeDuration(blob) {
+        return new Promise((resolve) => {
+            const probe = document.createElement('video');
+            const url = URL.createObjectURL(blob);
+
+            probe.preload = 'metadata';
+            probe.onloadedmetadata = () => {
+                URL.revokeObjectURL(url);
+                resolve(isFinite(probe.duration) ? probe.duration : 0);
+            };
+            probe.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(0);
+            };
+            probe.src = url;
+        });
+    }
+
+    /**
+     * Notify listeners that the library contents changed
+     */
+    emitChange() {
+        document.dispatchEvent(new CustomEvent('clipLibraryChanged'));
+    }
+
+    /**
+     * Close the database connection
+     */
+    cleanup() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// Export for use in content script and popup
+if (typeof window !== 'undefined') {
+    window.ClipLibrary = ClipLibrary;
+}
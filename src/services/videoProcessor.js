@@ -6,42 +6,51 @@ class VideoProcessor {
     constructor() {
         this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
         this.cache = new Map();
+        this.pending = new Map(); // URL -> download in progress, shared by concurrent callers
         this.onProgress = null;
         this.maxRetries = 3;
         this.retryDelay = 1000; // 1 second
     }
 
     /**
-     * Download video with multiple fallback methods
+     * Download video bytes through the background service worker
+     * @param {string} videoUrl - Clip URL on the Twitch CDN
+     * @returns {Promise<Object>} Processed video with a manipulable Blob
      */
     async downloadAndProcess(videoUrl) {
+        if (this.cache.has(videoUrl)) {
+            this.utils.Logger.info('✅ Using cached video');
+            return this.cache.get(videoUrl);
+        }
+        if (this.pending.has(videoUrl)) {
+            this.utils.Logger.info('⏳ Joining download already in progress');
+            return this.pending.get(videoUrl);
+        }
+
+        const download = this.download(videoUrl);
+        this.pending.set(videoUrl, download);
+        try {
+            return await download;
+        } finally {
+            this.pending.delete(videoUrl);
+        }
+    }
+
+    /**
+     * Download and process a clip that is neither cached nor already downloading
+     * @param {string} videoUrl - Clip URL on the Twitch CDN
+     * @returns {Promise<Object>} Processed video with a manipulable Blob
+     */
+    async download(videoUrl) {
         try {
             this.utils.Logger.info('📥 Requesting video download via background...', videoUrl);
 
-            const response = await new Promise((resolve, reject) => {
-                chrome.runtime.sendMessage(
-                    { type: 'downloadVideo', videoUrl },
-                    (response) => {
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                        } else if (response.success) {
-                            resolve(response);
-                        } else {
-                            reject(new Error(response.error || 'Unknown download error'));
-                        }
-                    }
-                );
-            });
+            const videoBlob = await this.fetchViaBackground(videoUrl);
 
             this.utils.Logger.info('✅ Download completed via background');
-            return {
-                localUrl: response.localUrl, // Placeholder; adjust with blob URL
-                blob: null, // To be updated with actual blob
-                originalUrl: videoUrl,
-                canManipulate: false, // Update to true with blob
-                downloadMethod: 'background-chrome-api',
-                size: response.size
-            };
+            const result = await this.processSuccessfulDownload(videoBlob, videoUrl);
+            result.downloadMethod = 'background-stream';
+            return result;
 
         } catch (error) {
             this.utils.Logger.error('❌ Download failed:', error);
@@ -49,6 +58,67 @@ class VideoProcessor {
         }
     }
 
+    /**
+     * Receive clip bytes streamed in base64 chunks over a runtime port
+     * @param {string} videoUrl - Clip URL
+     * @returns {Promise<Blob>}
+     */
+    fetchViaBackground(videoUrl) {
+        return new Promise((resolve, reject) => {
+            const port = chrome.runtime.connect({ name: 'fetch-clip' });
+            const chunks = [];
+            let settled = false;
+
+            const finish = (callback) => {
+                if (settled) return;
+                settled = true;
+                port.disconnect();
+                callback();
+            };
+
+            port.onMessage.addListener((message) => {
+                switch (message.type) {
+                    case 'CLIP_CHUNK':
+                        chunks.push(this.base64ToBytes(message.data));
+                        if (message.total && this.onProgress) {
+                            this.onProgress(Math.round((message.received / message.total) * 100));
+                        }
+                        break;
+
+                    case 'CLIP_DONE':
+                        finish(() => resolve(new Blob(chunks, { type: message.mimeType })));
+                        break;
+
+                    case 'CLIP_ERROR':
+                        finish(() => reject(new Error(message.error || 'Unknown download error')));
+                        break;
+                }
+            });
+
+            port.onDisconnect.addListener(() => {
+                if (settled) return;
+                settled = true;
+                reject(new Error(chrome.runtime.lastError?.message || 'Background connection closed'));
+            });
+
+            port.postMessage({ type: 'FETCH_CLIP', videoUrl });
+        });
+    }
+
+    /**
+     * Decode a base64 chunk into bytes
+     * @param {string} base64 - Base64 data
+     * @returns {Uint8Array}
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
     /**
      * Method 1: Modern fetch API with proper headers
      */
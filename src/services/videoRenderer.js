@@ -6,6 +6,7 @@ class VideoRenderer {
     constructor() {
         this.ffmpeg = null;
         this.isLoaded = false;
+        this.audioProbes = new WeakMap(); // Blob -> whether it has an audio stream
         this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
         this.constants = window.EDITOR_CONSTANTS;
     }
@@ -47,11 +48,15 @@ class VideoRenderer {
     /**
      * Render the video with keyframe data.
      * @param {File} videoFile - The source video file.
-     * @param {Array} keyframes - The array of keyframe data.
+     * @param {Array} keyframes - Keyframes with selections in source video pixels.
      * @param {Function} onProgress - Callback for rendering progress.
+     * @param {number} trimStart - Start of the exported range in seconds.
+     * @param {number} trimEnd - End of the exported range in seconds.
+     * @param {Object} options - Export settings (audio, outputSize, fit, overlays, branding, captions, regions for split-screen layouts,
+     *                           segments [{ start, end }] to keep, in output order, music placed under the audio).
      * @returns {File} The rendered video file.
      */
-    async render(videoFile, keyframes, onProgress, trimStart, trimEnd) {
+    async render(videoFile, keyframes, onProgress, trimStart, trimEnd, options = {}) {
         if (!this.isLoaded) throw new Error('FFmpeg is not loaded. Call load() first.');
         if (!keyframes || keyframes.length === 0) throw new Error('No keyframes provided for rendering.');
 
@@ -63,61 +68,854 @@ class VideoRenderer {
 
         this.ffmpeg.FS('writeFile', inputFileName, await window.FFmpeg.fetchFile(videoFile));
 
-        // --- Build the complex filtergraph from keyframes ---
-        const videoMetadata = { width: 1920, height: 1080 }; // Assuming 1080p, should be dynamic later
-        const targetAspect = 9 / 16;
+        // Every file written to FFmpeg's filesystem, removed once the render is done with them
+        const files = [inputFileName, outputFileName];
+        try {
+            // --- Build the complex filtergraph from keyframes ---
+            const videoMetadata = await this.getVideoDimensions(videoFile);
+            const { width: WIDTH, height: HEIGHT } = this.getOutputSize(options);
+            this.utils.Logger.info('Source video dimensions:', videoMetadata);
 
-        // Filter to trim the video first
-        const trimFilter = `trim=start=${trimStart}:end=${trimEnd},setpts=PTS-STARTPTS`;
+            const ranges = window.SegmentTimeline.getRanges(options.segments, trimStart, trimEnd);
+            if (ranges.length === 0) throw new Error('Every part of the clip has been cut.');
 
-        // Build the zoompan filter expressions
-        let zExpr = "'1'"; // Default zoom
-        let xExpr = "'iw/2-(iw*1)/2'"; // Default x
-        let yExpr = "'ih/2-(ih*1)/2'"; // Default y
+            const formatFilter = `format=yuv420p`;
+            const cameraOutput = '[vcam]';
+            const filtergraph = [];
 
-        if (keyframes && keyframes.length > 0) {
-            // Normalize keyframe timestamps relative to the trim start
-            const relativeKeyframes = keyframes.map(kf => ({
-                ...kf,
-                timestamp: kf.timestamp - trimStart
-            }));
+            // Each kept segment gets its own camera with keyframe times relative to the segment,
+            // then the segments are joined in order into the output timeline
+            if (ranges.length === 1) {
+                filtergraph.push(...this.buildSegmentGraph('[0:v]', cameraOutput, ranges[0], keyframes, videoMetadata, WIDTH, HEIGHT, options));
+            } else {
+                const inputs = ranges.map((_, i) => `[vin${i}]`);
+                const outputs = ranges.map((_, i) => `[vseg${i}]`);
+                // xfade needs both of its inputs on the same time base
+                const timebase = ranges.some(range => range.transition) ? ',settb=AVTB' : '';
+                filtergraph.push(`[0:v]split=${ranges.length}${inputs.join('')}`);
+                ranges.forEach((range, i) => {
+                    filtergraph.push(...this.buildSegmentGraph(
+                        inputs[i], `${timebase}${outputs[i]}`, range, keyframes, videoMetadata, WIDTH, HEIGHT, options, `s${i}`
+                    ));
+                });
+                filtergraph.push(...this.buildJoinGraph(outputs, ranges, cameraOutput, 'video'));
+            }
+
+            // Overlay layers, the channel branding and captions are drawn like the preview into
+            // images (FFmpeg inputs 1..n), overlaid while each one is shown; captions go on top
+            const overlays = [
+                ...(options.overlays || []),
+                ...await window.BrandingPreset.createLayers(
+                    options.branding, WIDTH, HEIGHT,
+                    Math.min(...ranges.map(range => range.start)), Math.max(...ranges.map(range => range.end))
+                )
+            ];
+            const images = [
+                ...await this.writeOverlayImages(overlays, WIDTH, HEIGHT, ranges),
+                ...await this.writeCaptionImages(options.captions, WIDTH, HEIGHT, ranges)
+            ];
+            files.push(...new Set(images.map(image => image.file)));
+            filtergraph.push(...this.buildImageGraph(cameraOutput, `${formatFilter}[vout]`, images));
+
+            const outputArgs = ['-map', '[vout]', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '22'];
+
+            // --- Audio: trimmed in sync with the video, then gain and fades, with the music mixed in before the fades ---
+            const audio = options.audio || {};
+            const music = options.music || null;
+            const hasClipAudio = !audio.muted && await this.hasAudioTrack(videoFile, inputFileName);
+            const musicArgs = [];
+            if (music) {
+                // The music file is the input after the overlay images
+                const musicFileName = `music.${music.file.name.split('.').pop().toLowerCase()}`;
+                this.ffmpeg.FS('writeFile', musicFileName, await window.FFmpeg.fetchFile(music.file));
+                files.push(musicFileName);
+                musicArgs.push('-i', musicFileName);
+                filtergraph.push(...this.buildMusicMixGraph(audio, music, ranges, hasClipAudio, `[${1 + images.length}:a]`, '[aout]'));
+            } else if (hasClipAudio) {
+                filtergraph.push(...this.buildAudioGraph(audio, ranges, '[aout]'));
+            }
+            if (music || hasClipAudio) {
+                outputArgs.push('-map', '[aout]', '-c:a', 'aac', '-b:a', `${this.constants.AUDIO.BITRATE}`);
+            } else {
+                outputArgs.push('-an');
+            }
+
+            const command = [
+                '-i', inputFileName,
+                ...images.flatMap(image => this.getImageInputArgs(image)),
+                ...musicArgs,
+                '-filter_complex', filtergraph.join(';'),
+                ...outputArgs,
+                outputFileName
+            ];
 
-            zExpr = `'${relativeKeyframes.map(kf => `if(gte(t,${kf.timestamp}),${kf.selection.zoom},1)`).join(':')}'`;
-            xExpr = `'${relativeKeyframes.map(kf => `if(gte(t,${kf.timestamp}),${kf.selection.x},iw/2)`).join(':')}'`;
-            yExpr = `'${relativeKeyframes.map(kf => `if(gte(t,${kf.timestamp}),${kf.selection.y},ih/2)`).join(':')}'`;
+            this.utils.Logger.info('Executing FFmpeg command:', command.join(' '));
+            onProgress({ message: 'Rendering video... (this may take a while)' });
+
+            this.ffmpeg.setProgress(({ ratio }) => {
+                onProgress({ ratio: Math.max(0, ratio) });
+            });
+
+            await this.ffmpeg.run(...command);
+
+            onProgress({ message: 'Finalizing video...' });
+
+            const data = this.ffmpeg.FS('readFile', outputFileName);
+            const renderedFile = new File([data.buffer], `fastclipper-export-${Date.now()}.mp4`, { type: 'video/mp4' });
+
+            this.utils.Logger.info('Video rendering complete.');
+            return renderedFile;
+        } finally {
+            this.removeFiles(files);
         }
-        
-        const zoompanFilter = `zoompan=z=${zExpr}:x=${xExpr}:y=${yExpr}:d=-1:s=${this.constants.CANVAS.PREVIEW_WIDTH}x${this.constants.CANVAS.PREVIEW_HEIGHT}:fps=30`;
-        const cropFilter = `crop=w=ih*${targetAspect}`;
-        const formatFilter = `format=yuv420p`;
-
-        const filtergraph = `${trimFilter},${cropFilter},${zoompanFilter},${formatFilter}`;
-
-        const command = [
-            '-i', inputFileName,
-            '-vf', filtergraph,
-            '-c:v', 'libx264',
-            '-preset', 'veryfast',
-            '-crf', '22',
-            outputFileName
+    }
+
+    /**
+     * Render several clips into one compilation: each part is rendered on its own like a single export,
+     * then the parts are scaled onto the first part's frame, joined with their transitions and the joined
+     * audio goes through one loudness normalization pass.
+     * @param {Array} parts - [{ file, keyframes, trimStart, trimEnd, options, transition }] in output order,
+     *                        transition { type, duration } leading into the part from the one before, or null.
+     * @param {Function} onProgress - Callback for rendering progress.
+     * @param {Object} options - Compilation settings (normalize).
+     * @returns {File} The rendered compilation.
+     */
+    async renderCompilation(parts, onProgress, options = {}) {
+        if (!this.isLoaded) throw new Error('FFmpeg is not loaded. Call load() first.');
+        if (parts.length < 2) throw new Error('A compilation needs at least two clips.');
+
+        const { FRAME_RATE } = this.constants.EXPORT;
+        const { SAMPLE_RATE } = this.constants.AUDIO;
+        const { width: WIDTH, height: HEIGHT } = this.getOutputSize(parts[0].options);
+        const steps = parts.length + 1;
+        const partNames = parts.map((_, i) => `part${i}.mp4`);
+        const outputFileName = 'compilation.mp4';
+
+        try {
+            // --- Render every part on its own, keeping the files in FFmpeg's filesystem ---
+            const durations = [];
+            const hasAudio = [];
+            for (let i = 0; i < parts.length; i++) {
+                const part = parts[i];
+                const label = `Clip ${i + 1}/${parts.length}`;
+                const partFile = await this.render(part.file, part.keyframes, ({ ratio, message }) => {
+                    onProgress({
+                        message: message ? `${label}: ${message}` : undefined,
+                        ratio: ratio !== undefined ? (i + ratio) / steps : undefined
+                    });
+                }, part.trimStart, part.trimEnd, part.options);
+
+                this.ffmpeg.FS('writeFile', partNames[i], new Uint8Array(await partFile.arrayBuffer()));
+                durations.push(window.SegmentTimeline.getDuration(
+                    window.SegmentTimeline.getRanges(part.options.segments, part.trimStart, part.trimEnd)
+                ));
+                hasAudio.push(await this.hasAudioTrack(partFile, partNames[i]));
+            }
+
+            // The parts as ranges of one output timeline, so transitions are clamped like segment transitions
+            let start = 0;
+            const ranges = window.SegmentTimeline.getRanges(parts.map((part, i) => {
+                const segment = { start, end: start + durations[i], speed: 1, transition: part.transition };
+                start = segment.end;
+                return segment;
+            }), 0, start);
+            if (ranges.length !== parts.length) throw new Error('A clip in the compilation is too short to export.');
+
+            const filtergraph = [];
+            const videoLabels = parts.map((_, i) => `[vpart${i}]`);
+            const audioLabels = parts.map((_, i) => `[apart${i}]`);
+
+            // Parts with another shape are fitted inside the first part's frame
+            parts.forEach((_, i) => {
+                filtergraph.push(`[${i}:v]scale=${WIDTH}:${HEIGHT}:force_original_aspect_ratio=decrease,` +
+                    `pad=${WIDTH}:${HEIGHT}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FRAME_RATE},format=yuv420p,settb=AVTB${videoLabels[i]}`);
+            });
+            filtergraph.push(...this.buildJoinGraph(videoLabels, ranges, '[vout]', 'video'));
+
+            const outputArgs = ['-map', '[vout]', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '22'];
+
+            // --- Audio: silence for muted parts, joined, then normalized together ---
+            if (hasAudio.some(Boolean)) {
+                const format = `aformat=sample_rates=${SAMPLE_RATE}:channel_layouts=stereo`;
+                parts.forEach((_, i) => {
+                    filtergraph.push(hasAudio[i]
+                        ? `[${i}:a]${format},asetpts=PTS-STARTPTS${audioLabels[i]}`
+                        : `anullsrc=r=${SAMPLE_RATE}:cl=stereo,atrim=duration=${this.formatNumber(durations[i])}${audioLabels[i]}`);
+                });
+                const normalize = options.normalize ? `,${this.buildLoudnessFilter()}` : '';
+                filtergraph.push(...this.buildJoinGraph(audioLabels, ranges, `${normalize}[aout]`, 'audio'));
+                outputArgs.push('-map', '[aout]', '-c:a', 'aac', '-b:a', `${this.constants.AUDIO.BITRATE}`);
+            } else {
+                outputArgs.push('-an');
+            }
+
+            const command = [
+                ...partNames.flatMap(name => ['-i', name]),
+                '-filter_complex', filtergraph.join(';'),
+                ...outputArgs,
+                outputFileName
+            ];
+
+            this.utils.Logger.info('Executing FFmpeg compilation command:', command.join(' '));
+            onProgress({ message: 'Joining clips... (this may take a while)', ratio: parts.length / steps });
+
+            this.ffmpeg.setProgress(({ ratio }) => {
+                onProgress({ ratio: (parts.length + Math.max(0, ratio)) / steps });
+            });
+
+            await this.ffmpeg.run(...command);
+
+            onProgress({ message: 'Finalizing compilation...' });
+
+            const data = this.ffmpeg.FS('readFile', outputFileName);
+            const renderedFile = new File([data.buffer], `fastclipper-compilation-${Date.now()}.mp4`, { type: 'video/mp4' });
+
+            this.utils.Logger.info('Compilation rendering complete.');
+            return renderedFile;
+        } finally {
+            this.removeFiles([...partNames, outputFileName]);
+        }
+    }
+
+    /**
+     * Build the loudness normalization of a compilation's joined audio, so clips recorded
+     * at different levels play back at one loudness.
+     * @returns {string} Audio filters.
+     */
+    buildLoudnessFilter() {
+        const { LOUDNESS, TRUE_PEAK, LOUDNESS_RANGE } = this.constants.COMPILATION;
+        // loudnorm upsamples internally, so the output is resampled back to the export rate
+        return `loudnorm=I=${LOUDNESS}:TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE},aresample=${this.constants.AUDIO.SAMPLE_RATE}`;
+    }
+
+    /**
+     * Build the filtergraph of one kept segment: trimmed and retimed to its speed (or held on one
+     * frame for a freeze-frame), then framed by the fit mode, the split-screen regions or the keyframed selection.
+     * @param {string} input - Label of the source video stream.
+     * @param {string} output - Filters and label appended to the framed segment.
+     * @param {Object} range - Source range { start, end, speed, hold, zoom } of the segment.
+     * @param {Array} keyframes - Keyframes with selections in source video pixels.
+     * @param {Object} videoMetadata - Source { width, height }.
+     * @param {number} width - Output width.
+     * @param {number} height - Output height.
+     * @param {Object} options - Export settings (fit, regions).
+     * @param {string} prefix - Prefix keeping this segment's intermediate labels unique.
+     * @returns {string[]} Filtergraph lines.
+     */
+    buildSegmentGraph(input, output, range, keyframes, videoMetadata, width, height, options, prefix = '') {
+        const { FRAME_RATE } = this.constants.EXPORT;
+
+        // Filter to trim the video first and stretch it to the segment's speed, then lock the
+        // frame rate so the output frame counter maps directly onto the segment's output timeline
+        const setpts = range.speed === 1 ? 'PTS-STARTPTS' : `(PTS-STARTPTS)/${range.speed}`;
+        const trimFilter = range.hold
+            ? this.buildFreezeFilter(range)
+            : `trim=start=${range.start}:end=${range.end},setpts=${setpts},fps=${FRAME_RATE}`;
+        const cameraPath = (pathKeyframes) => (range.hold ? this.getFreezeKeyframes(pathKeyframes, range) : pathKeyframes);
+
+        if (options.fit?.mode === 'blur') {
+            // Whole frame over a blurred background; the selection isn't used
+            return this.buildBlurredFitGraph(`${input}${trimFilter}`, output, videoMetadata, width, height, options.fit, prefix);
+        }
+
+        if (options.regions?.length > 1) {
+            // Split-screen: crop each region into its slot and overlay the slots on a black frame
+            const { regions } = options;
+            const branches = regions.map((_, i) => `[${prefix}src${i}]`).join('');
+            const lines = [
+                `${input}${trimFilter},split=${regions.length}${branches}`,
+                `color=c=black:s=${width}x${height}:r=${FRAME_RATE}[${prefix}base0]`
+            ];
+
+            regions.forEach((region, i) => {
+                const rect = window.OutputFormat.getSlotRect(region.slot, width, height);
+                const camera = this.buildCameraFilter(cameraPath(region.keyframes), videoMetadata, rect.width, rect.height, range);
+                const next = i === regions.length - 1 ? output : `[${prefix}base${i + 1}]`;
+                lines.push(`[${prefix}src${i}]${camera}[${prefix}slot${i}]`);
+                lines.push(`[${prefix}base${i}][${prefix}slot${i}]overlay=x=${rect.x}:y=${rect.y}:shortest=1${next}`);
+            });
+            return lines;
+        }
+
+        const camera = this.buildCameraFilter(cameraPath(keyframes), videoMetadata, width, height, range);
+        return [`${input}${trimFilter},${camera}${output}`];
+    }
+
+    /**
+     * Build the filter chain that repeats the frame on screen at a freeze-frame's time for its whole hold.
+     * Starting one frame early finds that frame even when the freeze is at the very end of the clip.
+     * @param {Object} range - Freeze-frame range { start, hold }.
+     * @returns {string} FFmpeg filter chain.
+     */
+    buildFreezeFilter(range) {
+        const { FRAME_RATE } = this.constants.EXPORT;
+        return [
+            `trim=start=${this.formatNumber(Math.max(0, range.start - 1 / FRAME_RATE))}`,
+            'setpts=PTS-STARTPTS',
+            'trim=end_frame=1',
+            'loop=loop=-1:size=1',
+            `setpts=N/${FRAME_RATE}/TB`,
+            `trim=duration=${range.hold}`
+        ].join(',');
+    }
+
+    /**
+     * Camera keyframes for a freeze-frame: the selection at the frozen time, eased towards
+     * the freeze's zoom by its end, like SegmentTimeline.getFreezeZoom in the preview.
+     * @param {Array} keyframes - Keyframes with selections in source video pixels.
+     * @param {Object} range - Freeze-frame range { start, hold, zoom }.
+     * @returns {Array} Keyframes timed from the freeze's start.
+     */
+    getFreezeKeyframes(keyframes, range) {
+        // Same interpolation as the editor preview
+        const path = new window.FrameRecorder();
+        keyframes.forEach(keyframe => path.keyframes.set(keyframe.timestamp, keyframe));
+        const selection = path.getInterpolatedSelection(range.start);
+        if (!selection) return keyframes;
+
+        const held = { timestamp: range.start, selection, easing: 'ease-in-out' };
+        if (range.zoom === 1) return [held];
+        return [held, {
+            timestamp: range.start + range.hold,
+            selection: window.SegmentTimeline.zoomSelection(selection, range.zoom),
+            easing: 'ease-in-out'
+        }];
+    }
+
+    /**
+     * Build the pad + zoompan chain that follows a keyframed selection
+     * and scales it to the given size.
+     * @param {Array} keyframes - Keyframes with selections in source video pixels.
+     * @param {Object} videoMetadata - Source { width, height }.
+     * @param {number} width - Output width of the chain.
+     * @param {number} height - Output height of the chain.
+     * @param {Object} range - Source range { start, speed } of the segment the chain frames.
+     * @returns {string} FFmpeg filter chain.
+     */
+    buildCameraFilter(keyframes, videoMetadata, width, height, range) {
+        const { FRAME_RATE } = this.constants.EXPORT;
+
+        // zoompan always crops with the aspect ratio of its input, so pad the
+        // frame (below for taller outputs, to the right for wider ones) to the
+        // output aspect. The padding is never sampled because the selection
+        // always lies inside the original frame.
+        const paddedWidth = Math.ceil(videoMetadata.height * (width / height) / 2) * 2;
+        const paddedHeight = Math.ceil(videoMetadata.width * (height / width) / 2) * 2;
+        const padFilter = `pad=w=${Math.max(paddedWidth, videoMetadata.width)}:h=${Math.max(paddedHeight, videoMetadata.height)}:x=0:y=0`;
+
+        // Remap keyframe timestamps onto the segment's own output timeline
+        const relativeKeyframes = this.sampleCurvedSegments(keyframes
+            .map(kf => ({ ...kf, timestamp: (kf.timestamp - range.start) / range.speed }))
+            .sort((a, b) => a.timestamp - b.timestamp));
+
+        // Output frame number -> seconds on the segment's timeline
+        const timeExpr = `on/${FRAME_RATE}`;
+        const xExpr = this.buildInterpolationExpression(relativeKeyframes, 'x', timeExpr);
+        const yExpr = this.buildInterpolationExpression(relativeKeyframes, 'y', timeExpr);
+        const widthExpr = this.buildInterpolationExpression(relativeKeyframes, 'width', timeExpr);
+
+        const zoompanFilter = `zoompan=z='iw/(${widthExpr})':x='${xExpr}':y='${yExpr}':d=1:s=${width}x${height}:fps=${FRAME_RATE}`;
+        return `${padFilter},${zoompanFilter}`;
+    }
+
+    /**
+     * Build the filtergraph for the blurred-background fit mode, mirroring
+     * PreviewRenderer.drawBlurredFit: a centered cover crop blurred at reduced
+     * size, dimmed and scaled up, with the whole frame fitted on top.
+     * @param {string} input - Filter chain producing the trimmed source video.
+     * @param {string} output - Filters and label appended to the composited stream.
+     * @param {Object} videoMetadata - Source { width, height }.
+     * @param {number} width - Output width.
+     * @param {number} height - Output height.
+     * @param {Object} fit - Fit settings (blur, dim).
+     * @param {string} prefix - Prefix keeping the intermediate labels unique.
+     * @returns {string[]} Filtergraph lines.
+     */
+    buildBlurredFitGraph(input, output, videoMetadata, width, height, fit, prefix = '') {
+        const { BACKGROUND_SCALE } = this.constants.FIT;
+        const OutputFormat = window.OutputFormat;
+        const toEven = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+        const cover = OutputFormat.getCoverRect(videoMetadata.width, videoMetadata.height, width / height);
+        const backgroundWidth = toEven(width * BACKGROUND_SCALE);
+        const backgroundHeight = toEven(height * BACKGROUND_SCALE);
+        const sigma = this.formatNumber(OutputFormat.getBlurSigma(fit.blur, width, height) * BACKGROUND_SCALE);
+        const brightness = this.formatNumber(1 - fit.dim);
+        const frame = OutputFormat.getContainRect(videoMetadata.width, videoMetadata.height, width, height);
+
+        const background = [
+            `crop=${toEven(cover.width)}:${toEven(cover.height)}:${Math.round(cover.x)}:${Math.round(cover.y)}`,
+            `scale=${backgroundWidth}:${backgroundHeight}`
+        ];
+        if (sigma > 0) background.push(`gblur=sigma=${sigma}`);
+        background.push(`colorchannelmixer=rr=${brightness}:gg=${brightness}:bb=${brightness}`, `scale=${width}:${height}`);
+
+        return [
+            `${input},split=2[${prefix}bgsrc][${prefix}fgsrc]`,
+            `[${prefix}bgsrc]${background.join(',')}[${prefix}bg]`,
+            `[${prefix}fgsrc]scale=${frame.width}:${frame.height}[${prefix}fg]`,
+            `[${prefix}bg][${prefix}fg]overlay=x=${frame.x}:y=${frame.y}${output}`
         ];
+    }
+
+    /**
+     * Render the captions shown in the kept ranges to PNG files in the FFmpeg filesystem.
+     * A caption spanning a cut is shown once per kept piece, from the same image.
+     * @param {Object} captions - Caption cues (source video seconds) and style.
+     * @param {number} width - Output width.
+     * @param {number} height - Output height.
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @returns {Promise<Array>} Images [{ file, x, y, start, end }] timed on the output timeline.
+     */
+    async writeCaptionImages(captions, width, height, ranges) {
+        if (!captions?.cues?.length) return [];
+
+        const images = [];
+        for (const [index, cue] of captions.cues.entries()) {
+            const pieces = window.SegmentTimeline.mapInterval(ranges, cue.start, cue.end);
+            if (pieces.length === 0) continue;
+
+            const image = window.CaptionRenderer.renderImage(cue.text, captions.style, width, height);
+            if (!image) continue;
+
+            const file = `caption${index}.png`;
+            await this.writeImageFile(image.canvas, file);
+            pieces.forEach(piece => {
+                images.push({ file, x: image.x, y: image.y, start: this.formatNumber(piece.start), end: this.formatNumber(piece.end) });
+            });
+        }
+        return images;
+    }
+
+    /**
+     * Render the overlay layers shown in the kept ranges to PNG files in the FFmpeg filesystem.
+     * A layer spanning a cut is shown once per kept piece; fades are only kept on the
+     * pieces holding the layer's own start or end.
+     * @param {Array} overlays - Overlay layers (source video seconds).
+     * @param {number} width - Output width.
+     * @param {number} height - Output height.
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @returns {Promise<Array>} Images [{ file, x, y, start, end, fadeIn, fadeOut }] timed on the output timeline.
+     */
+    async writeOverlayImages(overlays, width, height, ranges) {
+        if (!overlays?.length) return [];
+        await window.OverlayRenderer.loadImages(overlays);
+
+        const images = [];
+        for (const [index, overlay] of overlays.entries()) {
+            const pieces = window.SegmentTimeline.mapInterval(ranges, overlay.start, overlay.end);
+            if (pieces.length === 0 || overlay.opacity <= 0) continue;
 
-        this.utils.Logger.info('Executing FFmpeg command:', command.join(' '));
-        onProgress({ message: 'Rendering video... (this may take a while)' });
+            const image = window.OverlayRenderer.renderImage(overlay, width, height);
+            if (!image) continue;
 
-        this.ffmpeg.setProgress(({ ratio }) => {
-            onProgress({ ratio: Math.max(0, ratio) });
+            const file = `overlay${index}.png`;
+            await this.writeImageFile(image.canvas, file);
+            pieces.forEach(piece => {
+                const duration = piece.end - piece.start;
+                images.push({
+                    file,
+                    x: image.x,
+                    y: image.y,
+                    start: this.formatNumber(piece.start),
+                    end: this.formatNumber(piece.end),
+                    fadeIn: piece.sourceStart === overlay.start ? Math.min(overlay.fadeIn, duration) : 0,
+                    fadeOut: piece.sourceEnd === overlay.end ? Math.min(overlay.fadeOut, duration) : 0
+                });
+            });
+        }
+        return images;
+    }
+
+    /**
+     * Write a canvas to the FFmpeg filesystem as a PNG.
+     * @param {HTMLCanvasElement} canvas - Rendered image.
+     * @param {string} file - File name.
+     */
+    async writeImageFile(canvas, file) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        this.ffmpeg.FS('writeFile', file, await window.FFmpeg.fetchFile(blob));
+    }
+
+    /**
+     * Remove files from the FFmpeg filesystem, skipping any that were never written.
+     * @param {string[]} files - File names.
+     */
+    removeFiles(files) {
+        files.forEach(file => {
+            try {
+                this.ffmpeg.FS('unlink', file);
+            } catch (e) {
+                // Not written, the render stopped before it
+            }
         });
+    }
 
-        await this.ffmpeg.run(...command);
+    /**
+     * FFmpeg input arguments for an image: looped at the frame rate for as long as it is shown.
+     * @param {Object} image - From writeOverlayImages or writeCaptionImages.
+     * @returns {string[]}
+     */
+    getImageInputArgs(image) {
+        const { FRAME_RATE } = this.constants.EXPORT;
+        return ['-loop', '1', '-framerate', `${FRAME_RATE}`, '-t', `${this.formatNumber(image.end - image.start)}`, '-i', image.file];
+    }
 
-        onProgress({ message: 'Finalizing video...' });
+    /**
+     * Overlay images (FFmpeg inputs 1..n, in order) on the video, each shifted to its start
+     * time, faded on its alpha channel, and passed over once its input ends.
+     * @param {string} input - Label of the video stream.
+     * @param {string} output - Filters and label appended to the composited stream.
+     * @param {Array} images - From writeOverlayImages and writeCaptionImages.
+     * @returns {string[]} Filtergraph lines.
+     */
+    buildImageGraph(input, output, images) {
+        const lines = [];
+        let label = input;
 
-        const data = this.ffmpeg.FS('readFile', outputFileName);
-        const renderedFile = new File([data.buffer], `fastclipper-export-${Date.now()}.mp4`, { type: 'video/mp4' });
-        
-        this.utils.Logger.info('Video rendering complete.');
-        return renderedFile;
+        images.forEach((image, i) => {
+            const duration = image.end - image.start;
+            const filters = ['format=rgba'];
+            if (image.fadeIn > 0) {
+                filters.push(`fade=t=in:st=0:d=${this.formatNumber(image.fadeIn)}:alpha=1`);
+            }
+            if (image.fadeOut > 0) {
+                filters.push(`fade=t=out:st=${this.formatNumber(duration - image.fadeOut)}:d=${this.formatNumber(image.fadeOut)}:alpha=1`);
+            }
+            filters.push(`setpts=PTS-STARTPTS+${image.start}/TB`);
+
+            const next = `[img${i}]`;
+            lines.push(`[${i + 1}:v]${filters.join(',')}[layer${i}]`);
+            lines.push(`${label}[layer${i}]overlay=x=${image.x}:y=${image.y}:eof_action=pass${next}`);
+            label = next;
+        });
+
+        lines.push(`${label}${output}`);
+        return lines;
+    }
+
+    /**
+     * Read the real dimensions of the source video.
+     * @param {Blob} videoFile - The source video file.
+     * @returns {Promise<{width: number, height: number}>}
+     */
+    getVideoDimensions(videoFile) {
+        return new Promise((resolve, reject) => {
+            const probe = document.createElement('video');
+            const url = URL.createObjectURL(videoFile);
+
+            probe.preload = 'metadata';
+            probe.onloadedmetadata = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: probe.videoWidth, height: probe.videoHeight });
+            };
+            probe.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read source video dimensions.'));
+            };
+            probe.src = url;
+        });
+    }
+
+    /**
+     * Check whether a file has an audio stream from the stream list FFmpeg logs when it opens it,
+     * remembered per Blob so a file is only probed once.
+     * @param {Blob} videoFile - The source video file.
+     * @param {string} fileName - Where the file is in FFmpeg's filesystem.
+     * @returns {Promise<boolean>}
+     */
+    async hasAudioTrack(videoFile, fileName) {
+        if (this.audioProbes.has(videoFile)) return this.audioProbes.get(videoFile);
+
+        let hasAudio = false;
+        this.ffmpeg.setLogger(({ message }) => {
+            if (/Stream #\d+:\d+.*: Audio:/.test(message)) hasAudio = true;
+        });
+        try {
+            // With no output FFmpeg only opens the input, lists its streams and stops
+            await this.ffmpeg.run('-hide_banner', '-i', fileName);
+        } catch (e) {
+            // Expected: there is nothing to write
+        } finally {
+            this.ffmpeg.setLogger(() => {});
+        }
+
+        if (!hasAudio) this.utils.Logger.info('Source has no audio track, exporting video only.');
+        this.audioProbes.set(videoFile, hasAudio);
+        return hasAudio;
+    }
+
+    /**
+     * Build the audio filtergraph: the kept ranges trimmed, retimed to their speeds and joined
+     * in order (with silence for freeze-frames), then gain and fades.
+     * @param {Object} audio - Audio settings (gainDb, fadeIn, fadeOut).
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @param {string} output - Label of the finished audio stream.
+     * @returns {string[]} Filtergraph lines.
+     */
+    buildAudioGraph(audio, ranges, output) {
+        const trim = (range) => (range.hold
+            ? `atrim=start=${range.start},asetpts=PTS-STARTPTS,volume=0,apad,atrim=duration=${range.hold}`
+            : [`atrim=start=${range.start}:end=${range.end},asetpts=PTS-STARTPTS`, ...this.getTempoFilters(range.speed)].join(','));
+        const filter = this.buildAudioFilter(audio, window.SegmentTimeline.getDuration(ranges));
+
+        if (ranges.length === 1) {
+            return [`[0:a]${[trim(ranges[0]), filter].filter(Boolean).join(',')}${output}`];
+        }
+
+        const inputs = ranges.map((_, i) => `[ain${i}]`);
+        const outputs = ranges.map((_, i) => `[aseg${i}]`);
+        return [
+            `[0:a]asplit=${ranges.length}${inputs.join('')}`,
+            ...ranges.map((range, i) => `${inputs[i]}${trim(range)}${outputs[i]}`),
+            ...this.buildJoinGraph(outputs, ranges, `${filter ? `,${filter}` : ''}${output}`, 'audio')
+        ];
+    }
+
+    /**
+     * Build the audio filtergraph with background music: the clip audio with its gain (when there is any)
+     * mixed with the music placed on the output timeline at its volume and ducked under speech,
+     * then the fades over the mix.
+     * @param {Object} audio - Audio settings (gainDb, fadeIn, fadeOut).
+     * @param {Object} music - Music settings (offset, trimStart, trimEnd, volumeDb, duck).
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @param {boolean} hasClipAudio - Whether the clip's own audio is exported.
+     * @param {string} input - Label of the music input stream.
+     * @param {string} output - Label of the finished audio stream.
+     * @returns {string[]} Filtergraph lines.
+     */
+    buildMusicMixGraph(audio, music, ranges, hasClipAudio, input, output) {
+        const duration = window.SegmentTimeline.getDuration(ranges);
+        const span = window.MusicTrack.getSpan(music, duration);
+        const fades = this.buildAudioFilter({ fadeIn: audio.fadeIn, fadeOut: audio.fadeOut }, duration);
+        const delay = Math.round(span.start * 1000);
+        const duck = this.buildDuckExpression(music.duck);
+
+        // After the delay the frame timestamps are output seconds, which the duck expression is written in;
+        // padding and trimming make the music exactly as long as the output
+        const musicFilters = [
+            `atrim=start=${this.formatNumber(music.trimStart)}:end=${this.formatNumber(music.trimEnd)}`,
+            'asetpts=PTS-STARTPTS',
+            `aformat=sample_rates=${this.constants.AUDIO.SAMPLE_RATE}:channel_layouts=stereo`,
+            ...(delay > 0 ? [`adelay=${delay}|${delay}`] : []),
+            `volume=${music.volumeDb}dB`,
+            ...(duck ? [`volume='${duck}':eval=frame`] : []),
+            'apad',
+            `atrim=duration=${this.formatNumber(duration)}`
+        ];
+
+        if (!hasClipAudio) {
+            return [`${input}${[...musicFilters, fades].filter(Boolean).join(',')}${output}`];
+        }
+
+        // amix halves each input; doubling afterwards keeps both at their own level
+        return [
+            ...this.buildAudioGraph({ gainDb: audio.gainDb }, ranges, '[aclip]'),
+            `${input}${musicFilters.join(',')}[amusic]`,
+            `[aclip][amusic]amix=inputs=2:duration=first:dropout_transition=0,volume=2${fades ? `,${fades}` : ''}${output}`
+        ];
+    }
+
+    /**
+     * Build the FFmpeg expression of MusicTrack.getDuckGain: one ramp per duck interval,
+     * which never overlap, so their sum is how far the music is ducked.
+     * @param {Object|null} duck - { intervals, depth } in output seconds.
+     * @returns {string|null} Expression of t, or null when nothing is ducked.
+     */
+    buildDuckExpression(duck) {
+        if (!duck || duck.intervals.length === 0) return null;
+
+        const { ATTACK, RELEASE } = this.constants.MUSIC.DUCKING;
+        const ramps = duck.intervals.map(interval =>
+            `clip(min((t-${this.formatNumber(interval.start)})/${ATTACK}+1,(${this.formatNumber(interval.end)}-t)/${RELEASE}+1),0,1)`
+        );
+        return `1-${this.formatNumber(duck.depth)}*min(1,${ramps.join('+')})`;
+    }
+
+    /**
+     * Join the segment streams in output order: one concat when every boundary is a cut,
+     * otherwise pair by pair with xfade (video) or acrossfade (audio) at each transition.
+     * @param {string[]} labels - Segment stream labels in output order.
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @param {string} output - Filters and label appended to the joined stream.
+     * @param {string} media - 'video' or 'audio'.
+     * @returns {string[]} Filtergraph lines.
+     */
+    buildJoinGraph(labels, ranges, output, media) {
+        const video = media === 'video';
+        const streams = video ? 'v=1:a=0' : 'v=0:a=1';
+        if (!ranges.some(range => range.transition)) {
+            return [`${labels.join('')}concat=n=${labels.length}:${streams}${output}`];
+        }
+
+        const prefix = video ? 'v' : 'a';
+        const lines = [];
+        let joined = labels[0];
+        ranges.slice(1).forEach((range, index) => {
+            const i = index + 1;
+            const next = i === ranges.length - 1 ? output : `[${prefix}join${i}]`;
+            const transition = range.transition;
+
+            if (!transition) {
+                lines.push(`${joined}${labels[i]}concat=n=2:${streams}${video ? ',settb=AVTB' : ''}${next}`);
+            } else if (video) {
+                // The offset is where the transition starts on the output timeline
+                const xfade = window.TransitionRenderer.getXfade(transition.type);
+                lines.push(`${joined}${labels[i]}xfade=transition=${xfade}:duration=${this.formatNumber(transition.duration)}:offset=${this.formatNumber(range.offset)}${next}`);
+            } else {
+                lines.push(`${joined}${labels[i]}acrossfade=d=${this.formatNumber(transition.duration)}${next}`);
+            }
+            joined = next;
+        });
+        return lines;
+    }
+
+    /**
+     * Build the atempo chain that plays audio at a speed without changing its pitch.
+     * A single atempo only accepts 0.5 to 2, so larger changes are chained.
+     * @param {number} speed - 0.25 to 4.
+     * @returns {string[]} atempo filters (none at normal speed).
+     */
+    getTempoFilters(speed) {
+        const filters = [];
+        let remaining = speed;
+        while (remaining > 2) {
+            filters.push('atempo=2');
+            remaining /= 2;
+        }
+        while (remaining < 0.5) {
+            filters.push('atempo=0.5');
+            remaining /= 0.5;
+        }
+        if (remaining !== 1) filters.push(`atempo=${this.formatNumber(remaining)}`);
+        return filters;
+    }
+
+    /**
+     * Build the gain and fade filters for the output audio.
+     * @param {Object} audio - Audio settings (gainDb, fadeIn, fadeOut).
+     * @param {number} duration - Output length in seconds.
+     * @returns {string} FFmpeg audio filter chain (empty when nothing applies).
+     */
+    buildAudioFilter(audio, duration) {
+        const filters = [];
+
+        if (audio.gainDb) {
+            filters.push(`volume=${audio.gainDb}dB`);
+        }
+        if (audio.fadeIn > 0) {
+            filters.push(`afade=t=in:st=0:d=${Math.min(audio.fadeIn, duration)}`);
+        }
+        if (audio.fadeOut > 0) {
+            const fadeOut = Math.min(audio.fadeOut, duration);
+            filters.push(`afade=t=out:st=${this.formatNumber(duration - fadeOut)}:d=${fadeOut}`);
+        }
+
+        return filters.join(',');
+    }
+
+    /**
+     * Build an FFmpeg expression that reproduces FrameRecorder.getInterpolatedSelection
+     * for a single selection property.
+     * Each keyframe segment contributes one gated term, so the expression stays flat
+     * instead of nesting one if() per keyframe.
+     * @param {Array} keyframes - Keyframes sorted by timestamp.
+     * @param {string} property - Selection property to interpolate (x, y, width, height, zoom).
+     * @param {string} timeExpr - Expression yielding the current time in seconds.
+     * @returns {string} FFmpeg expression.
+     */
+    buildInterpolationExpression(keyframes, property, timeExpr) {
+        const values = keyframes.map(kf => this.formatNumber(kf.selection[property]));
+        const times = keyframes.map(kf => this.formatNumber(kf.timestamp));
+        const last = keyframes.length - 1;
+
+        if (last === 0) return values[0];
+
+        // Hold the first and last values outside the keyframed range
+        const terms = [
+            `lt(${timeExpr},${times[0]})*${values[0]}`,
+            `gte(${timeExpr},${times[last]})*${values[last]}`
+        ];
+
+        for (let i = 0; i < last; i++) {
+            const duration = this.formatNumber(keyframes[i + 1].timestamp - keyframes[i].timestamp);
+            if (duration <= 0) continue;
+
+            const progress = `((${timeExpr}-(${times[i]}))/${duration})`;
+            const eased = this.buildEasingExpression(progress, keyframes[i].easing);
+            terms.push(
+                `gte(${timeExpr},${times[i]})*lt(${timeExpr},${times[i + 1]})*(${values[i]}+(${values[i + 1]}-(${values[i]}))*${eased})`
+            );
+        }
+
+        return terms.join('+');
+    }
+
+    /**
+     * Get the encoded output size from the export settings.
+     * @param {Object} options - Export settings.
+     * @returns {Object} { width, height }
+     */
+    getOutputSize(options) {
+        const { WIDTH, HEIGHT } = this.constants.EXPORT;
+        return options.outputSize || { width: WIDTH, height: HEIGHT };
+    }
+
+    /**
+     * FFmpeg equivalent of a segment easing (see KeyframeEasing).
+     * @param {string} progress - Expression yielding segment progress (0-1).
+     * @param {string} easing - Easing of the segment.
+     * @returns {string} FFmpeg expression.
+     */
+    buildEasingExpression(progress, easing) {
+        return window.KeyframeEasing.toFFmpegExpression(easing, progress) ?? progress;
+    }
+
+    /**
+     * Replace custom-curve segments with linear keyframes on every output frame.
+     * Curves have no closed-form FFmpeg expression, but sampling them at the
+     * frame rate reproduces the preview exactly on every rendered frame.
+     * @param {Array} keyframes - Keyframes sorted by timestamp.
+     * @returns {Array} Keyframes with curved segments sampled.
+     */
+    sampleCurvedSegments(keyframes) {
+        const { FRAME_RATE } = this.constants.EXPORT;
+        const easing = window.KeyframeEasing;
+        const result = [];
+
+        keyframes.forEach((keyframe, i) => {
+            const next = keyframes[i + 1];
+            if (!next || easing.parse(keyframe.easing).type !== 'cubic-bezier') {
+                result.push(keyframe);
+                return;
+            }
+
+            result.push({ ...keyframe, easing: 'linear' });
+            const duration = next.timestamp - keyframe.timestamp;
+            const firstFrame = Math.floor(keyframe.timestamp * FRAME_RATE) + 1;
+
+            for (let frame = firstFrame; frame / FRAME_RATE < next.timestamp; frame++) {
+                const timestamp = frame / FRAME_RATE;
+                const eased = easing.evaluate(keyframe.easing, (timestamp - keyframe.timestamp) / duration);
+                const selection = {};
+                Object.keys(keyframe.selection).forEach(property => {
+                    const from = keyframe.selection[property];
+                    selection[property] = from + (next.selection[property] - from) * eased;
+                });
+                result.push({ timestamp, selection, easing: 'linear' });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Format a number for use inside an FFmpeg expression.
+     * @param {number} value - Number to format.
+     * @returns {number}
+     */
+    formatNumber(value) {
+        return Math.round(value * 1000) / 1000;
     }
 
     /**
@@ -0,0 +1,625 @@
+/**
+ * WebCodecs Renderer Service
+ * Handles video rendering with the browser's native encoders (VideoEncoder/AudioEncoder)
+ */
+class WebCodecsRenderer {
+    constructor() {
+        this.isLoaded = false;
+        this.videoConfig = null;
+        this.encoderError = null;
+        this.utils = window.TWITCH_CLIP_EDITOR_UTILS;
+        this.constants = window.EDITOR_CONSTANTS;
+    }
+
+    /**
+     * Check if the browser exposes everything this renderer needs.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' &&
+            typeof VideoFrame !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof window.Mp4Muxer !== 'undefined';
+    }
+
+    /**
+     * Verify that the export configuration can be encoded.
+     * Must be called before any rendering.
+     */
+    async load() {
+        if (this.isLoaded) return;
+        if (!WebCodecsRenderer.isSupported()) throw new Error('WebCodecs is not available in this browser.');
+
+        const { WIDTH, HEIGHT } = this.constants.EXPORT;
+        this.videoConfig = await this.getVideoConfig(WIDTH, HEIGHT);
+        this.isLoaded = true;
+        this.utils.Logger.info('WebCodecs renderer ready.');
+    }
+
+    /**
+     * Render the video with keyframe data.
+     * @param {File} videoFile - The source video file.
+     * @param {Array} keyframes - Keyframes with selections in source video pixels.
+     * @param {Function} onProgress - Callback for rendering progress.
+     * @param {number} trimStart - Start of the exported range in seconds.
+     * @param {number} trimEnd - End of the exported range in seconds.
+     * @param {Object} options - Export settings (audio, outputSize, fit, overlays, branding, captions, regions for split-screen layouts,
+     *                           segments [{ start, end }] to keep, in output order, music placed under the audio).
+     * @returns {File} The rendered video file.
+     */
+    async render(videoFile, keyframes, onProgress, trimStart, trimEnd, options = {}) {
+        if (!this.isLoaded) throw new Error('WebCodecs renderer is not loaded. Call load() first.');
+        if (!keyframes || keyframes.length === 0) throw new Error('No keyframes provided for rendering.');
+
+        this.utils.Logger.info('Starting WebCodecs render process...');
+        onProgress({ message: 'Preparing video data...' });
+
+        const { WIDTH, HEIGHT, FRAME_RATE } = this.constants.EXPORT;
+        const { width, height } = options.outputSize || { width: WIDTH, height: HEIGHT };
+        this.videoConfig = await this.getVideoConfig(width, height);
+
+        const ranges = window.SegmentTimeline.getRanges(options.segments, trimStart, trimEnd);
+        if (ranges.length === 0) throw new Error('Every part of the clip has been cut.');
+
+        const audioSettings = options.audio || {};
+        const music = options.music ? await this.decodeMusic(options.music) : null;
+        let audio = audioSettings.muted ? null : await this.decodeAudio(videoFile, ranges);
+        if (!audio && music) audio = this.createSilence(ranges, music.channels.length);
+        const audioConfig = audio ? await this.getAudioConfig(audio) : null;
+        if (audioConfig) this.applyAudioSettings(audio, audioSettings, music);
+
+        const target = new window.Mp4Muxer.ArrayBufferTarget();
+        const muxer = new window.Mp4Muxer.Muxer({
+            target,
+            video: { codec: 'avc', width, height, frameRate: FRAME_RATE },
+            audio: audioConfig ? {
+                codec: 'aac',
+                sampleRate: audioConfig.sampleRate,
+                numberOfChannels: audioConfig.numberOfChannels
+            } : undefined,
+            fastStart: 'in-memory',
+            firstTimestampBehavior: 'offset'
+        });
+
+        this.encoderError = null;
+        const video = await this.createSourceVideo(videoFile);
+
+        try {
+            onProgress({ message: 'Rendering video...' });
+            await this.encodeVideo(muxer, video, keyframes, onProgress, ranges, options);
+
+            if (audioConfig) {
+                onProgress({ message: 'Encoding audio...' });
+                await this.encodeAudio(muxer, audio, audioConfig);
+            }
+        } finally {
+            URL.revokeObjectURL(video.src);
+            video.removeAttribute('src');
+        }
+
+        onProgress({ message: 'Finalizing video...' });
+        muxer.finalize();
+
+        const renderedFile = new File([target.buffer], `fastclipper-export-${Date.now()}.mp4`, { type: 'video/mp4' });
+
+        this.utils.Logger.info('Video rendering complete.');
+        return renderedFile;
+    }
+
+    /**
+     * Draw every output frame through PreviewRenderer and feed it to the encoder.
+     * Split-screen regions, the blurred-background fit, overlay layers, branding and captions are drawn by the same renderer.
+     * Output frames are mapped back through the kept ranges, so keyframes, layers and captions stay in source time.
+     */
+    async encodeVideo(muxer, video, keyframes, onProgress, ranges, options = {}) {
+        const { FRAME_RATE } = this.constants.EXPORT;
+        const { width, height } = this.videoConfig;
+        const { regions, fit, captions } = options;
+        const frameRenderer = this.createFrameRenderer(video, width, height);
+        if (fit?.mode === 'blur') frameRenderer.setFit(fit);
+        if (captions?.cues.length) frameRenderer.setCaptions(captions);
+        const overlays = [
+            ...(options.overlays || []),
+            ...await window.BrandingPreset.createLayers(
+                options.branding, width, height,
+                Math.min(...ranges.map(range => range.start)), Math.max(...ranges.map(range => range.end))
+            )
+        ];
+        if (overlays.length) {
+            await window.OverlayRenderer.loadImages(overlays);
+            frameRenderer.setOverlays(overlays);
+        }
+        const cameraPath = this.createCameraPath(keyframes);
+        const regionPaths = regions?.length > 1
+            ? regions.map(region => ({ slot: region.slot, path: this.createCameraPath(region.keyframes) }))
+            : null;
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        // Outgoing and incoming frames of a transition, blended into the output canvas
+        const transitionFrames = [new OffscreenCanvas(width, height), new OffscreenCanvas(width, height)];
+
+        const encoder = new VideoEncoder({
+            output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+            error: (error) => { this.encoderError = error; }
+        });
+        encoder.configure(this.videoConfig);
+
+        const totalFrames = Math.max(1, Math.floor(window.SegmentTimeline.getDuration(ranges) * FRAME_RATE));
+        const frameDuration = 1e6 / FRAME_RATE;
+        const keyFrameInterval = FRAME_RATE * 2;
+
+        try {
+            for (let i = 0; i < totalFrames; i++) {
+                if (this.encoderError) throw this.encoderError;
+
+                const outputTime = i / FRAME_RATE;
+                const renderAt = (sourceTime) => {
+                    const selection = cameraPath.getInterpolatedSelection(sourceTime);
+                    const frameRegions = regionPaths?.map(({ slot, path }) => ({
+                        slot,
+                        selection: path.getInterpolatedSelection(sourceTime)
+                    })) || null;
+                    return frameRenderer.renderFrameAtTime(sourceTime, selection, frameRegions);
+                };
+                frameRenderer.setZoom(window.SegmentTimeline.getZoom(ranges, outputTime));
+
+                const transition = window.SegmentTimeline.getTransition(ranges, outputTime);
+                if (transition) {
+                    transitionFrames[0].getContext('2d').putImageData(await renderAt(transition.from), 0, 0);
+                    transitionFrames[1].getContext('2d').putImageData(await renderAt(transition.to), 0, 0);
+                    window.TransitionRenderer.draw(ctx, ...transitionFrames, transition.type, transition.progress, width, height);
+                } else {
+                    ctx.putImageData(await renderAt(window.SegmentTimeline.toSourceTime(ranges, outputTime)), 0, 0);
+                }
+
+                const frame = new VideoFrame(canvas, {
+                    timestamp: Math.round(i * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+                frame.close();
+
+                await this.waitForEncoderQueue(encoder);
+                onProgress({ ratio: (i + 1) / totalFrames });
+            }
+
+            await encoder.flush();
+            if (this.encoderError) throw this.encoderError;
+        } finally {
+            encoder.close();
+            frameRenderer.cleanup();
+        }
+    }
+
+    /**
+     * Encode the decoded audio track in one-second chunks.
+     */
+    async encodeAudio(muxer, audio, audioConfig) {
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (error) => { this.encoderError = error; }
+        });
+        encoder.configure(audioConfig);
+
+        const { sampleRate, numberOfChannels, channels } = audio;
+        const totalSamples = channels[0].length;
+
+        try {
+            for (let offset = 0; offset < totalSamples; offset += sampleRate) {
+                if (this.encoderError) throw this.encoderError;
+
+                const numberOfFrames = Math.min(sampleRate, totalSamples - offset);
+                const planar = new Float32Array(numberOfFrames * numberOfChannels);
+                channels.forEach((channel, index) => {
+                    planar.set(channel.subarray(offset, offset + numberOfFrames), index * numberOfFrames);
+                });
+
+                const data = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate,
+                    numberOfFrames,
+                    numberOfChannels,
+                    timestamp: Math.round(offset * 1e6 / sampleRate),
+                    data: planar
+                });
+                encoder.encode(data);
+                data.close();
+
+                await this.waitForEncoderQueue(encoder);
+            }
+
+            await encoder.flush();
+            if (this.encoderError) throw this.encoderError;
+        } finally {
+            encoder.close();
+        }
+    }
+
+    /**
+     * Build a supported H.264 encoder configuration for an output size.
+     * @param {number} width - Output width.
+     * @param {number} height - Output height.
+     * @returns {Promise<Object>}
+     */
+    async getVideoConfig(width, height) {
+        const { FRAME_RATE, BITRATE } = this.constants.EXPORT;
+
+        // Level 4.0 covers up to 1080p; larger frames (4K) need level 5.1
+        const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+        const config = {
+            codec: macroblocks <= 8192 ? 'avc1.640028' : 'avc1.640033', // H.264 High
+            width,
+            height,
+            bitrate: Math.round(BITRATE * Math.max(1, (width * height) / (1080 * 1920))),
+            framerate: FRAME_RATE
+        };
+
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (!supported) throw new Error(`H.264 encoding at ${width}x${height} is not supported by this browser.`);
+        return config;
+    }
+
+    /**
+     * Decode the audio track of the source file and join the kept ranges in order, each time-stretched
+     * to its speed without changing pitch (like FFmpeg's atempo), with silence for freeze-frames and
+     * linear crossfades where transitions overlap two ranges.
+     * @param {File} videoFile - The source video file.
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @returns {Promise<Object|null>} Planar samples, or null if the file has no usable audio.
+     */
+    async decodeAudio(videoFile, ranges) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return null;
+
+        try {
+            const audioContext = new OfflineAudioContext(1, 1, 48000);
+            const buffer = await audioContext.decodeAudioData(await videoFile.arrayBuffer());
+
+            const slices = ranges
+                .map((range, index) => ({
+                    start: Math.floor(range.start * buffer.sampleRate),
+                    end: Math.min(buffer.length, Math.ceil(range.end * buffer.sampleRate)),
+                    speed: range.speed,
+                    hold: range.hold,
+                    offset: Math.round(range.offset * buffer.sampleRate),
+                    length: Math.floor(window.SegmentTimeline.getLength(range) * buffer.sampleRate),
+                    fadeIn: Math.round((range.transition?.duration || 0) * buffer.sampleRate),
+                    fadeOut: Math.round((ranges[index + 1]?.transition?.duration || 0) * buffer.sampleRate)
+                }))
+                .filter(slice => slice.hold || slice.end > slice.start);
+            const totalSamples = Math.floor(window.SegmentTimeline.getDuration(ranges) * buffer.sampleRate);
+            if (totalSamples === 0) return null;
+
+            // Grains are lined up once on a mono mix so every channel stays in phase
+            const stretched = slices.filter(slice => !slice.hold && slice.speed !== 1);
+            if (stretched.length) {
+                const mono = this.getMonoMix(buffer);
+                stretched.forEach(slice => {
+                    slice.grains = this.getStretchGrains(mono, slice, buffer.sampleRate);
+                });
+            }
+
+            const channels = [];
+            for (let i = 0; i < buffer.numberOfChannels; i++) {
+                const source = buffer.getChannelData(i);
+                const channel = new Float32Array(totalSamples);
+                slices.forEach(slice => this.mixAudioSlice(source, slice, channel));
+                channels.push(channel);
+            }
+
+            return {
+                sampleRate: buffer.sampleRate,
+                numberOfChannels: buffer.numberOfChannels,
+                channels
+            };
+        } catch (e) {
+            this.utils.Logger.warn('No decodable audio track, exporting video only.', e);
+            return null;
+        }
+    }
+
+    /**
+     * Add a slice of samples to the output at its offset, time-stretched to the slice's speed
+     * and faded in and out over the transitions it shares with its neighbours.
+     * @param {Float32Array} source - Source channel samples.
+     * @param {Object} slice - { start, end, speed, hold, offset, length, fadeIn, fadeOut } in samples,
+     *     with grains from getStretchGrains() when its speed is not 1.
+     * @param {Float32Array} target - Output channel samples.
+     */
+    mixAudioSlice(source, slice, target) {
+        // Freeze-frames stay silent (the output starts zeroed)
+        if (slice.hold) return;
+
+        const length = Math.min(slice.length, target.length - slice.offset);
+        const gainAt = (i) => {
+            let gain = 1;
+            if (i < slice.fadeIn) gain *= i / slice.fadeIn;
+            if (slice.length - i < slice.fadeOut) gain *= (slice.length - i) / slice.fadeOut;
+            return gain;
+        };
+
+        if (!slice.grains) {
+            for (let i = 0; i < length; i++) {
+                target[slice.offset + i] += source[Math.min(slice.start + i, slice.end - 1)] * gainAt(i);
+            }
+            return;
+        }
+
+        // Overlap-add the grains; the first one starts at full level instead of ramping in
+        const { offsets, size, hop, window: grainWindow } = slice.grains;
+        offsets.forEach((grainStart, k) => {
+            const outputStart = k * hop;
+            const count = Math.min(size, length - outputStart);
+            for (let j = 0; j < count; j++) {
+                const index = grainStart + j;
+                if (index >= slice.end) break;
+                const weight = k === 0 && j < hop ? 1 : grainWindow[j];
+                target[slice.offset + outputStart + j] += source[index] * weight * gainAt(outputStart + j);
+            }
+        });
+    }
+
+    /**
+     * Average of all channels of decoded audio.
+     * @param {AudioBuffer} buffer
+     * @returns {Float32Array}
+     */
+    getMonoMix(buffer) {
+        if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+        const mono = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const channel = buffer.getChannelData(c);
+            for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / buffer.numberOfChannels;
+        }
+        return mono;
+    }
+
+    /**
+     * Plan a pitch-preserving time-stretch of a slice (WSOLA): Hann-windowed grains are laid half a
+     * grain apart in the output, each read from near its place at the slice's speed where its
+     * waveform best continues the grain before it, so they add up without phase cancellation.
+     * @param {Float32Array} mono - Source samples to line the grains up on.
+     * @param {Object} slice - { start, end, speed, length } in samples.
+     * @param {number} sampleRate
+     * @returns {Object} { offsets, size, hop, window } with offsets the source sample each grain starts at.
+     */
+    getStretchGrains(mono, slice, sampleRate) {
+        const { STRETCH_GRAIN, STRETCH_SEEK } = this.constants.AUDIO;
+        const STRIDE = 4; // every fourth sample is enough to compare waveforms
+        const hop = Math.max(1, Math.round((STRETCH_GRAIN * sampleRate) / 2));
+        const size = hop * 2;
+        const seek = Math.round(STRETCH_SEEK * sampleRate);
+        const lastStart = Math.max(slice.start, slice.end - size);
+
+        // Periodic Hann: two windows half a grain apart sum to one
+        const grainWindow = new Float32Array(size);
+        for (let j = 0; j < size; j++) grainWindow[j] = 0.5 - 0.5 * Math.cos((2 * Math.PI * j) / size);
+
+        const offsets = new Int32Array(Math.ceil(slice.length / hop));
+        offsets[0] = slice.start;
+        for (let k = 1; k < offsets.length; k++) {
+            const nominal = Math.min(lastStart, slice.start + Math.round(k * hop * slice.speed));
+            const natural = offsets[k - 1] + hop;
+            const from = Math.max(slice.start, nominal - seek);
+            const to = Math.min(lastStart, nominal + seek);
+
+            let best = nominal;
+            let bestScore = -Infinity;
+            for (let candidate = from; candidate <= to; candidate++) {
+                let correlation = 0;
+                let energy = 1e-9;
+                for (let j = 0; j < hop; j += STRIDE) {
+                    const sample = mono[candidate + j] || 0;
+                    correlation += (mono[natural + j] || 0) * sample;
+                    energy += sample * sample;
+                }
+                const score = correlation / Math.sqrt(energy);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+            offsets[k] = best;
+        }
+
+        return { offsets, size, hop, window: grainWindow };
+    }
+
+    /**
+     * Decode the background music at the export sample rate.
+     * @param {Object} music - Music settings (file, offset, trimStart, trimEnd, volumeDb, duck).
+     * @returns {Promise<Object|null>} The settings with planar samples, or null if it cannot be decoded.
+     */
+    async decodeMusic(music) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return null;
+
+        try {
+            const audioContext = new OfflineAudioContext(1, 1, this.constants.AUDIO.SAMPLE_RATE);
+            const buffer = await audioContext.decodeAudioData(await music.file.arrayBuffer());
+            const channels = [];
+            for (let i = 0; i < buffer.numberOfChannels; i++) channels.push(buffer.getChannelData(i));
+            return { ...music, sampleRate: buffer.sampleRate, channels };
+        } catch (e) {
+            this.utils.Logger.warn('Background music could not be decoded, exporting without it.', e);
+            return null;
+        }
+    }
+
+    /**
+     * Silent planar samples as long as the output, for music under a muted or silent clip.
+     * @param {Array} ranges - Kept ranges (see SegmentTimeline.getRanges).
+     * @param {number} numberOfChannels
+     * @returns {Object} Planar samples.
+     */
+    createSilence(ranges, numberOfChannels) {
+        const sampleRate = this.constants.AUDIO.SAMPLE_RATE;
+        const totalSamples = Math.floor(window.SegmentTimeline.getDuration(ranges) * sampleRate);
+        return {
+            sampleRate,
+            numberOfChannels,
+            channels: Array.from({ length: numberOfChannels }, () => new Float32Array(totalSamples))
+        };
+    }
+
+    /**
+     * Apply gain, mix in the music and apply linear fades over the mix in place,
+     * matching FFmpeg's volume/amix/afade filters.
+     * @param {Object} audio - Decoded planar samples.
+     * @param {Object} settings - Audio settings (gainDb, fadeIn, fadeOut).
+     * @param {Object|null} music - From decodeMusic().
+     */
+    applyAudioSettings(audio, settings, music = null) {
+        const gain = Math.pow(10, (settings.gainDb || 0) / 20);
+        const totalSamples = audio.channels[0].length;
+        const fadeInSamples = Math.min(totalSamples, Math.round((settings.fadeIn || 0) * audio.sampleRate));
+        const fadeOutSamples = Math.min(totalSamples, Math.round((settings.fadeOut || 0) * audio.sampleRate));
+        const fadeOutStart = totalSamples - fadeOutSamples;
+
+        if (gain === 1 && fadeInSamples === 0 && fadeOutSamples === 0 && !music) return;
+
+        const musicGains = music ? this.getMusicGains(music, totalSamples, audio.sampleRate) : null;
+        const musicStart = music ? Math.round((music.trimStart - music.offset) * audio.sampleRate) : 0;
+
+        audio.channels.forEach((channel, c) => {
+            const musicChannel = music ? this.getMusicChannel(music, c, audio.numberOfChannels) : null;
+            for (let i = 0; i < totalSamples; i++) {
+                let sample = channel[i] * gain;
+                if (musicGains?.[i]) sample += (musicChannel[musicStart + i] || 0) * musicGains[i];
+
+                let envelope = 1;
+                if (i < fadeInSamples) envelope *= i / fadeInSamples;
+                if (i >= fadeOutStart && fadeOutSamples > 0) envelope *= (totalSamples - i) / fadeOutSamples;
+                channel[i] = sample * envelope;
+            }
+        });
+    }
+
+    /**
+     * Level of the music at every output sample: its volume and ducking where it plays, silence elsewhere.
+     * Ducking is evaluated once per block of samples, like FFmpeg's per-frame volume expression.
+     * @param {Object} music - From decodeMusic().
+     * @param {number} totalSamples - Output length in samples.
+     * @param {number} sampleRate
+     * @returns {Float32Array} Linear gains.
+     */
+    getMusicGains(music, totalSamples, sampleRate) {
+        const BLOCK = 1024;
+        const gains = new Float32Array(totalSamples);
+        const span = window.MusicTrack.getSpan(music, totalSamples / sampleRate);
+        const start = Math.round(span.start * sampleRate);
+        const end = Math.min(totalSamples, Math.round(span.end * sampleRate));
+        const volume = Math.pow(10, music.volumeDb / 20);
+
+        for (let block = start; block < end; block += BLOCK) {
+            const gain = volume * window.MusicTrack.getDuckGain(music.duck, block / sampleRate);
+            gains.fill(gain, block, Math.min(end, block + BLOCK));
+        }
+        return gains;
+    }
+
+    /**
+     * One channel of the music for an output channel, downmixed when the output has fewer channels.
+     * @param {Object} music - From decodeMusic().
+     * @param {number} index - Output channel.
+     * @param {number} numberOfChannels - Output channels.
+     * @returns {Float32Array}
+     */
+    getMusicChannel(music, index, numberOfChannels) {
+        if (numberOfChannels > 1 || music.channels.length === 1) {
+            return music.channels[Math.min(index, music.channels.length - 1)];
+        }
+        if (!music.downmix) {
+            const [left, right] = music.channels;
+            music.downmix = left.map((sample, i) => (sample + right[i]) / 2);
+        }
+        return music.downmix;
+    }
+
+    /**
+     * Build a supported AAC encoder configuration for the decoded audio.
+     * @returns {Promise<Object|null>}
+     */
+    async getAudioConfig(audio) {
+        const config = {
+            codec: 'mp4a.40.2', // AAC-LC
+            sampleRate: audio.sampleRate,
+            numberOfChannels: audio.numberOfChannels,
+            bitrate: this.constants.AUDIO.BITRATE
+        };
+
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        if (!supported) {
+            this.utils.Logger.warn('AAC encoding is not supported, exporting video only.');
+            return null;
+        }
+        return config;
+    }
+
+    /**
+     * Load the source file into a detached video element used only for seeking.
+     * @returns {Promise<HTMLVideoElement>}
+     */
+    createSourceVideo(videoFile) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            video.onloadeddata = () => resolve(video);
+            video.onerror = () => {
+                URL.revokeObjectURL(video.src);
+                reject(new Error('Could not load the source video for rendering.'));
+            };
+            video.src = URL.createObjectURL(videoFile);
+        });
+    }
+
+    /**
+     * Create a PreviewRenderer drawing at export resolution.
+     * Its "landscape canvas" is the source video itself, so selections already
+     * expressed in video pixels map through unchanged.
+     * @returns {PreviewRenderer}
+     */
+    createFrameRenderer(video, width, height) {
+        const sourceSpace = {
+            landscapeCanvas: { width: video.videoWidth, height: video.videoHeight }
+        };
+
+        const frameRenderer = new window.PreviewRenderer(sourceSpace, video);
+        frameRenderer.resize(width, height);
+        return frameRenderer;
+    }
+
+    /**
+     * Create a FrameRecorder holding the keyframes so the export follows
+     * exactly the same interpolation as the editor preview.
+     * @returns {FrameRecorder}
+     */
+    createCameraPath(keyframes) {
+        const cameraPath = new window.FrameRecorder();
+        keyframes.forEach(keyframe => cameraPath.keyframes.set(keyframe.timestamp, keyframe));
+        return cameraPath;
+    }
+
+    /**
+     * Yield until the encoder has caught up, keeping memory bounded.
+     * @param {VideoEncoder|AudioEncoder} encoder
+     */
+    async waitForEncoderQueue(encoder) {
+        while (encoder.encodeQueueSize > 8) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    /**
+     * Release renderer state.
+     */
+    cleanup() {
+        this.videoConfig = null;
+        this.encoderError = null;
+        this.isLoaded = false;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.WebCodecsRenderer = WebCodecsRenderer;
+}
@@ -56,6 +56,19 @@ const VIDEO_CONFIG = {
     DOWNLOAD_PREFIX: 'twitch-clip-'
 };
 
+// Clip Library Configuration
+const LIBRARY_CONFIG = {
+    DB_NAME: 'TwitchClipEditor',
+    DB_VERSION: 5,
+    CLIPS_STORE: 'clips',
+    BLOBS_STORE: 'clipBlobs',
+    PROJECTS_STORE: 'projects',
+    THUMBNAILS_STORE: 'thumbnails',
+    MAX_THUMBNAIL_STRIPS: 30, // filmstrips kept, the least recently saved evicted first
+    DEFAULT_MAX_SIZE_MB: 2048,
+    SIZE_OPTIONS_MB: [512, 1024, 2048, 4096, 8192]
+};
+
 // Popup Styling Constants
 const POPUP_STYLES = {
     Z_INDEX: 2147483647,
@@ -94,6 +107,7 @@ if (typeof window !== 'undefined') {
         TWITCH_SELECTORS,
         TIMING_CONFIG,
         VIDEO_CONFIG,
+        LIBRARY_CONFIG,
         POPUP_STYLES,
         CSS_CLASSES,
         MESSAGES
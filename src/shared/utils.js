@@ -208,6 +208,43 @@ const VideoUtils = {
     generateFilename: () => {
         const { DOWNLOAD_PREFIX } = window.TWITCH_CLIP_EDITOR_CONSTANTS.VIDEO_CONFIG;
         return `${DOWNLOAD_PREFIX}${Date.now()}.mp4`;
+    },
+
+    /**
+     * Get the channel name of the Twitch page currently open
+     * @returns {string} Channel name, or an empty string off channel pages
+     */
+    getChannelName: () => {
+        const reserved = ['directory', 'settings', 'following', 'videos', 'search', 'downloads'];
+        const [firstSegment] = window.location.pathname.split('/').filter(Boolean);
+
+        if (!firstSegment || reserved.includes(firstSegment.toLowerCase())) return '';
+        // On clips.twitch.tv the path is the clip slug, not the channel
+        if (window.location.hostname.startsWith('clips.')) return '';
+        return decodeURIComponent(firstSegment);
+    },
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string}
+     */
+    formatBytes: (bytes) => {
+        if (!bytes) return '0 MB';
+        const megabytes = bytes / 1024 / 1024;
+        return megabytes >= 1024 ? `${(megabytes / 1024).toFixed(1)} GB` : `${megabytes.toFixed(1)} MB`;
+    },
+
+    /**
+     * Format a duration for display
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} M:SS, or an empty string for unknown durations
+     */
+    formatDuration: (seconds) => {
+        if (!seconds) return '';
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
     }
 };
 